@@ -1,37 +1,21 @@
 // Import GHL API functions
 import { deleteContactByEmail } from './lib/ghl-api.js';
+import { sendErrorResponse } from './lib/errors.js';
+import { requireTenant, runWithTenant } from './lib/tenants.js';
+import { validate, sendValidationErrors, CONTACT_EMAIL_SCHEMA } from './lib/validation.js';
+import { handleCors } from './lib/cors.js';
+import { requireScope } from './lib/api-auth.js';
+import { createLogger, withRequestLogging } from './lib/logger.js';
 
-// Helper function to validate email
-function isValidEmail(email) {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
-}
-
-export default async function handler(req, res) {
-  // Set CORS headers FIRST - before any other logic
-  const origin = req.headers.origin;
-  
-  // Allow common origins
-  const allowedOrigins = [
-    'https://dailyhug.com',
-    'http://localhost:3000',
-    'http://localhost:5173',
-    'http://127.0.0.1:3000'
-  ];
-  
-  const corsOrigin = origin && allowedOrigins.some(allowed => origin.includes(allowed))
-    ? origin
-    : '*';
-  
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', corsOrigin);
-  res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS, DELETE');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-  res.setHeader('Access-Control-Max-Age', '86400');
+const log = createLogger('TYG Delete');
 
-  // Handle preflight OPTIONS requests
-  if (req.method === 'OPTIONS') {
-    return res.status(200).json({ message: 'OK' });
+export default withRequestLogging(async function handler(req, res) {
+  // Called by GHL webhooks and other servers holding a `delete` key
+  if (handleCors(req, res, {
+    methods: ['POST', 'GET', 'DELETE'],
+    headers: ['X-Api-Key', 'X-TYG-Timestamp', 'X-TYG-Signature']
+  })) {
+    return;
   }
 
   // Allow POST, GET, and DELETE methods (webhooks can use different methods)
@@ -42,101 +26,82 @@ export default async function handler(req, res) {
     });
   }
 
+  // Pick the GHL sub-account (tenant) this request belongs to
+  const tenant = requireTenant(req, res);
+  if (!tenant) {
+    return;
+  }
+
+  // Deletes contacts, so callers need the `delete` scope
+  if (!await requireScope(req, res, 'delete', tenant)) {
+    return;
+  }
+
+  return runWithTenant(tenant, () => processDeletion(req, res));
+});
+
+// Delete the target contact from the tenant's GHL location
+async function processDeletion(req, res) {
   try {
-    // Extract email from query params, body, or both
-    // GHL webhooks can send data in different ways
-    let email = null;
-    
-    // Try query parameters first (common for GET requests)
-    if (req.query && req.query.email) {
-      email = req.query.email;
-    }
-    
-    // Try body parameters (common for POST requests)
-    if (!email && req.body) {
-      // Handle both JSON and URL-encoded bodies
-      if (typeof req.body === 'string') {
-        const params = new URLSearchParams(req.body);
-        email = params.get('email');
-      } else if (req.body.email) {
-        email = req.body.email;
-      }
-    }
+    const bodyData = typeof req.body === 'string'
+      ? Object.fromEntries(new URLSearchParams(req.body))
+      : req.body || {};
 
-    // Validate email is provided
-    if (!email || email.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        message: 'Email parameter is required',
-        error: 'Please provide an email address in the query parameter (?email=...) or request body'
-      });
-    }
+    // Extract email from the query (common for GET requests) or the body
+    // (POST); GHL webhooks can send data in different ways
+    const { value, errors } = validate(CONTACT_EMAIL_SCHEMA, {
+      email: req.query?.email || bodyData.email
+    });
 
-    // Validate email format
-    const emailTrimmed = email.trim().toLowerCase();
-    if (!isValidEmail(emailTrimmed)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid email format',
-        error: `"${emailTrimmed}" is not a valid email address`
-      });
+    if (errors.length > 0) {
+      const missing = errors[0].code === 'REQUIRED';
+      return sendValidationErrors(res, errors, missing
+        ? {
+            message: 'Email parameter is required',
+            error: 'Please provide an email address in the query parameter (?email=...) or request body'
+          }
+        : {
+            message: 'Invalid email format',
+            error: errors[0].message
+          });
     }
+    const { email } = value;
 
-    console.log('[TYG Delete] Delete request received:', {
-      email: emailTrimmed,
-      method: req.method,
-      timestamp: new Date().toISOString()
+    log.info('Delete request received', {
+      email,
+      method: req.method
     });
 
     // Delete the contact
-    const deleted = await deleteContactByEmail(emailTrimmed);
+    const deleted = await deleteContactByEmail(email);
 
     if (deleted) {
-      console.log('[TYG Delete] Contact deleted successfully:', emailTrimmed);
+      log.info('Contact deleted', { email });
       return res.status(200).json({
         success: true,
         message: 'Contact deleted successfully',
         data: {
-          email: emailTrimmed,
+          email,
           deleted: true
         }
       });
     } else {
-      console.log('[TYG Delete] Contact not found:', emailTrimmed);
+      log.info('Contact not found', { email });
       return res.status(404).json({
         success: false,
         message: 'Contact not found',
         data: {
-          email: emailTrimmed,
+          email,
           deleted: false
         }
       });
     }
 
   } catch (error) {
-    console.error('[TYG Delete] Error processing delete request:', error);
+    log.error('Error processing delete request', { error });
     
-    // Handle specific error types
-    if (error.code === 'MISSING_API_KEY') {
-      return res.status(500).json({
-        success: false,
-        message: 'Server configuration error',
-        error: 'GHL_API_KEY is not configured'
-      });
-    }
-    
-    if (error.code === 'AUTH_ERROR') {
-      return res.status(500).json({
-        success: false,
-        message: 'Authentication error',
-        error: 'Invalid GoHighLevel API key'
-      });
-    }
-
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'An error occurred while processing the request'
+    return sendErrorResponse(res, error, {
+      fallbackMessage: 'An error occurred while processing the request'
     });
   }
 }
@@ -0,0 +1,95 @@
+// Import Daily Hug subscription functions
+import { verifyDailyHugToken, confirmDailyHug, getResultPageUrl } from './lib/daily-hug.js';
+import { sendErrorResponse } from './lib/errors.js';
+import { getTenants, runWithTenant } from './lib/tenants.js';
+import { getClientIp } from './lib/client-ip.js';
+import { isFormPost, sendTokenPage } from './lib/token-page.js';
+import { handleCors } from './lib/cors.js';
+import { createLogger, withRequestLogging } from './lib/logger.js';
+
+const log = createLogger('Daily Hug');
+
+export default withRequestLogging(async function handler(req, res) {
+  // Opened from the confirmation email, not called by the form. The confirm
+  // page posts back from this deployment's own origin.
+  if (handleCors(req, res, { methods: ['GET', 'POST'], sameOrigin: true })) {
+    return;
+  }
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({
+      success: false,
+      message: 'Method not allowed. Use GET or POST.'
+    });
+  }
+
+  // Link clicks (GET) and the confirm page's form go to the result page when
+  // one is configured
+  const fromBrowser = req.method === 'GET' || isFormPost(req);
+  const respond = (status, pageStatus, body) => {
+    const pageUrl = fromBrowser ? getResultPageUrl(pageStatus) : null;
+    return pageUrl ? res.redirect(req.method === 'GET' ? 302 : 303, pageUrl) : res.status(status).json(body);
+  };
+
+  try {
+    const body = typeof req.body === 'string'
+      ? Object.fromEntries(new URLSearchParams(req.body))
+      : req.body || {};
+    const token = req.query?.token || body.token;
+
+    // The token names the tenant, so a link works whichever domain serves it
+    const verified = verifyDailyHugToken(token, 'confirm');
+    const tenant = verified.error ? null : getTenants().get(verified.tenantId);
+
+    if (!tenant) {
+      const code = verified.code || 'INVALID_TOKEN';
+      return respond(code === 'TOKEN_EXPIRED' ? 410 : 400, code === 'TOKEN_EXPIRED' ? 'expired' : 'invalid', {
+        success: false,
+        message: verified.error || 'This link is invalid',
+        error: code === 'TOKEN_EXPIRED'
+          ? 'Confirmation links expire; submit the form again to get a new one'
+          : 'The confirmation token is missing, malformed or not signed by this deployment',
+        code
+      });
+    }
+
+    // Opening the link only shows a button: mail scanners and link
+    // prefetchers also open it, and must not subscribe anyone
+    if (req.method === 'GET') {
+      return sendTokenPage(res, {
+        title: 'Confirm your Daily Hug subscription',
+        button: 'Yes, send me the Daily Hug',
+        token
+      });
+    }
+
+    log.info('Confirmation received', {
+      email: verified.email,
+      tenant: tenant.id
+    });
+
+    const subscription = await runWithTenant(tenant, () => confirmDailyHug(verified.email, {
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent'] || null
+    }));
+
+    return respond(200, 'confirmed', {
+      success: true,
+      message: subscription.alreadySubscribed
+        ? 'Daily Hug subscription was already confirmed'
+        : 'Daily Hug subscription confirmed',
+      data: {
+        email: subscription.email,
+        status: subscription.status,
+        confirmedAt: subscription.confirmedAt
+      }
+    });
+
+  } catch (error) {
+    log.error('Error confirming subscription', { error });
+
+    return sendErrorResponse(res, error, {
+      fallbackMessage: 'An error occurred while confirming the subscription'
+    });
+  }
+});
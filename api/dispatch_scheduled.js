@@ -0,0 +1,55 @@
+// Import scheduled delivery dispatch
+import { dispatchScheduled } from './lib/outbox.js';
+import { sendErrorResponse } from './lib/errors.js';
+import { requireAdmin } from './lib/admin-auth.js';
+import { validate, sendValidationErrors, BATCH_LIMIT_SCHEMA } from './lib/validation.js';
+import { handleCors } from './lib/cors.js';
+import { createLogger, withRequestLogging } from './lib/logger.js';
+
+const log = createLogger('Dispatch Scheduled');
+
+export default withRequestLogging(async function handler(req, res) {
+  // Cron endpoint: no browser origins are allowed
+  if (handleCors(req, res, { methods: ['GET', 'POST'], browsers: false })) {
+    return;
+  }
+
+  // Vercel Cron calls GET; POST is accepted for other schedulers
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({
+      success: false,
+      message: 'Method not allowed. Use GET or POST.'
+    });
+  }
+
+  if (!requireAdmin(req, res, { allowCron: true })) {
+    return;
+  }
+
+  try {
+    const { value: { limit }, errors } = validate(BATCH_LIMIT_SCHEMA, req.query);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    log.info('Request received', {
+      method: req.method,
+      limit
+    });
+
+    const result = await dispatchScheduled({ limit });
+
+    return res.status(200).json({
+      success: true,
+      message: `Dispatched ${result.dispatched} scheduled gram(s), ${result.sent} sent`,
+      data: result
+    });
+
+  } catch (error) {
+    log.error('Error dispatching scheduled grams', { error });
+
+    return sendErrorResponse(res, error, {
+      fallbackMessage: 'An error occurred while dispatching scheduled grams'
+    });
+  }
+});
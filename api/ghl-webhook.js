@@ -0,0 +1,90 @@
+// Import GHL webhook processing
+import { verifyGhlSignature, readGhlEvent, processGhlEvent } from './lib/ghl-webhooks.js';
+import { sendErrorResponse } from './lib/errors.js';
+import { findTenantByLocation, getDefaultTenant, runWithTenant } from './lib/tenants.js';
+import { sendValidationErrors } from './lib/validation.js';
+import { handleCors } from './lib/cors.js';
+import { createLogger, withRequestLogging } from './lib/logger.js';
+
+const log = createLogger('GHL Webhook');
+
+// The signature covers the exact bytes GHL sent, so Vercel must not parse
+// (and re-serialise) the body first
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+export default withRequestLogging(async function handler(req, res) {
+  // Called by GoHighLevel only: no browser origins are allowed
+  if (handleCors(req, res, { methods: ['POST'], browsers: false })) {
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      message: 'Method not allowed. Use POST.'
+    });
+  }
+
+  try {
+    await verifyGhlSignature(req);
+
+    let body = req.body === undefined ? req.rawBody : req.body;
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+      try {
+        body = JSON.parse(body.toString());
+      } catch {
+        body = null;
+      }
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook payload',
+        error: 'Expected a JSON object'
+      });
+    }
+
+    const { event, errors } = readGhlEvent(body);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors, { message: 'Invalid webhook payload' });
+    }
+
+    // Events carry the GHL location they belong to
+    const tenant = event.locationId ? findTenantByLocation(event.locationId) : getDefaultTenant();
+    if (!tenant) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown tenant',
+        error: `Location ${event.locationId} does not match a configured tenant`
+      });
+    }
+
+    log.info('Event received', {
+      type: event.type,
+      eventId: event.eventId,
+      tenant: tenant.id
+    });
+
+    const outcome = await runWithTenant(tenant, () => processGhlEvent(event));
+
+    return res.status(200).json({
+      success: true,
+      message: outcome.status === 'duplicate' ? 'Event already processed' : `Event ${outcome.status}`,
+      data: {
+        ...outcome,
+        tenantId: tenant.id
+      }
+    });
+
+  } catch (error) {
+    log.error('Error processing webhook', { error });
+
+    return sendErrorResponse(res, error, {
+      fallbackMessage: 'An error occurred while processing the webhook'
+    });
+  }
+});
@@ -0,0 +1,68 @@
+// Import gram ledger
+import { listGramsForEmail } from './lib/gram-ledger.js';
+import { sendErrorResponse } from './lib/errors.js';
+import { requireAdmin } from './lib/admin-auth.js';
+import { requireTenant } from './lib/tenants.js';
+import { validate, sendValidationErrors, CONTACT_EMAIL_SCHEMA } from './lib/validation.js';
+import { handleCors } from './lib/cors.js';
+import { createLogger, withRequestLogging } from './lib/logger.js';
+
+const log = createLogger('Grams');
+
+export default withRequestLogging(async function handler(req, res) {
+  // Admin endpoint: no browser origins are allowed
+  if (handleCors(req, res, { methods: ['GET'], browsers: false })) {
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      message: 'Method not allowed. Use GET.'
+    });
+  }
+
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  // History is kept per GHL sub-account (tenant)
+  const tenant = requireTenant(req, res);
+  if (!tenant) {
+    return;
+  }
+
+  const { value: { email }, errors } = validate(CONTACT_EMAIL_SCHEMA, { email: req.query?.email });
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors, {
+      message: 'A valid email parameter is required',
+      error: 'Provide the contact email in the query (?email=...)'
+    });
+  }
+
+  try {
+    const { sent, received } = await listGramsForEmail(email, { tenantId: tenant.id });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Gram history retrieved successfully',
+      data: {
+        email,
+        tenantId: tenant.id,
+        sent,
+        received,
+        counts: {
+          sent: sent.length,
+          received: received.length
+        }
+      }
+    });
+
+  } catch (error) {
+    log.error('Error reading gram history', { error });
+
+    return sendErrorResponse(res, error, {
+      fallbackMessage: 'An error occurred while reading the gram history'
+    });
+  }
+});
@@ -1,12 +1,61 @@
-export default async function handler(req, res) {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-  // Handle preflight requests
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+// Import OAuth token and circuit breaker status
+import { getTokenStatus } from './lib/oauth.js';
+import { getCircuitBreakerStatus } from './lib/ghl-api.js';
+import { handleCors } from './lib/cors.js';
+import { isAuthorizedAdmin } from './lib/admin-auth.js';
+import { getOutboxStore } from './lib/outbox.js';
+import { getGramStore } from './lib/gram-ledger.js';
+import { getSuppressionStore } from './lib/suppression.js';
+import { getSubscriptionStore } from './lib/daily-hug.js';
+import { getIdempotencyStore } from './lib/idempotency.js';
+import { getRateLimitStore } from './lib/rate-limit.js';
+import { getSignatureStore } from './lib/api-auth.js';
+import { getWebhookEventStore } from './lib/ghl-webhooks.js';
+import { getTenants } from './lib/tenants.js';
+import { withRequestLogging } from './lib/logger.js';
+
+// Every record store, by the name of its data
+const STORES = {
+  outbox: getOutboxStore,
+  grams: getGramStore,
+  suppressions: getSuppressionStore,
+  dailyHug: getSubscriptionStore,
+  idempotency: getIdempotencyStore,
+  rateLimits: getRateLimitStore,
+  webhookSignatures: getSignatureStore,
+  ghlWebhookEvents: getWebhookEventStore
+};
+
+// Which backend each store uses and whether it outlives the instance
+function getStorageStatus() {
+  return Object.fromEntries(Object.entries(STORES).map(([name, getStore]) => {
+    const store = getStore();
+    return [name, { backend: store.name || 'custom', persistent: store.durable !== false }];
+  }));
+}
+
+// OAuth token state of every configured tenant, by tenant id
+async function getOauthStatus() {
+  const tenants = [...getTenants().values()];
+  return Object.fromEntries(await Promise.all(tenants.map(async tenant => [tenant.id, await getTokenStatus(tenant)])));
+}
+
+// Upstream error messages can carry GHL internals, so only the admin key
+// sees them; everyone else gets status, codes and timestamps
+function withoutErrorDetails({ oauth, circuitBreakers }) {
+  return {
+    oauth: Object.fromEntries(Object.entries(oauth).map(([tenantId, { error, lastRefreshError, ...status }]) => [tenantId, status])),
+    circuitBreakers: Object.fromEntries(Object.entries(circuitBreakers).map(([name, breaker]) => [name, {
+      ...breaker,
+      lastFailure: breaker.lastFailure && { code: breaker.lastFailure.code, at: breaker.lastFailure.at }
+    }]))
+  };
+}
+
+export default withRequestLogging(async function handler(req, res) {
+  // Readable from anywhere, e.g. status pages
+  if (handleCors(req, res, { methods: ['GET'], anyOrigin: true })) {
+    return;
   }
 
   if (req.method !== 'GET') {
@@ -16,9 +65,32 @@ export default async function handler(req, res) {
     });
   }
 
+  // Report "degraded" while any GHL upstream is failing fast
+  const circuitBreakers = getCircuitBreakerStatus();
+  const degraded = Object.values(circuitBreakers).some(breaker => breaker.state !== 'closed');
+  const oauth = await getOauthStatus();
+  const storage = getStorageStatus();
+  const details = isAuthorizedAdmin(req)
+    ? { oauth, circuitBreakers }
+    : withoutErrorDetails({ oauth, circuitBreakers });
+
+  // Per-instance stores are the default on Vercel; report them without
+  // failing uptime checks. A rotated OAuth token that isn't kept only locks
+  // the tenant out after a cold start, so it is a warning as well.
+  const warnings = [];
+  if (Object.values(oauth).some(status => status.refreshable && !status.persistent)) {
+    warnings.push('OAUTH_TOKEN_NOT_PERSISTED');
+  }
+  if (Object.values(storage).some(store => !store.persistent)) {
+    warnings.push('STORE_NOT_PERSISTED');
+  }
+
   return res.status(200).json({
-    status: 'ok',
-    timestamp: new Date().toISOString()
+    status: degraded ? 'degraded' : 'ok',
+    timestamp: new Date().toISOString(),
+    ...(warnings.length > 0 && { warnings }),
+    ...details,
+    storage
   });
-}
+});
 
@@ -0,0 +1,53 @@
+// Admin endpoint authentication
+//
+// Admin endpoints are enabled by setting ADMIN_API_KEY and are called with
+// Authorization: Bearer <ADMIN_API_KEY>. Endpoints meant for Vercel Cron also
+// accept Authorization: Bearer <CRON_SECRET>, which is what Vercel sends.
+
+import { safeEqual } from './safe-equal.js';
+
+// Timing-safe check of the Authorization: Bearer <secret> header
+function hasBearerSecret(req, secret) {
+  const authorization = req.headers.authorization || '';
+  const token = authorization.startsWith('Bearer ') ? authorization.substring(7) : '';
+
+  return Boolean(secret && token) && safeEqual(token, secret);
+}
+
+// Check the Authorization: Bearer <ADMIN_API_KEY> header
+function isAuthorizedAdmin(req) {
+  return hasBearerSecret(req, process.env.ADMIN_API_KEY);
+}
+
+// Send a 403/401 and return false unless the request carries the admin key
+// (or, with `allowCron`, the CRON_SECRET)
+function requireAdmin(req, res, { allowCron = false } = {}) {
+  if (allowCron && hasBearerSecret(req, process.env.CRON_SECRET)) {
+    return true;
+  }
+
+  if (!process.env.ADMIN_API_KEY) {
+    res.status(403).json({
+      success: false,
+      message: 'Admin endpoints are disabled',
+      error: 'Set ADMIN_API_KEY to enable admin endpoints'
+    });
+    return false;
+  }
+
+  if (!isAuthorizedAdmin(req)) {
+    res.status(401).json({
+      success: false,
+      message: 'Unauthorized',
+      error: 'Provide the admin key as Authorization: Bearer <ADMIN_API_KEY>'
+    });
+    return false;
+  }
+
+  return true;
+}
+
+export {
+  isAuthorizedAdmin,
+  requireAdmin
+};
@@ -0,0 +1,381 @@
+// Authentication for endpoints that send email or change GHL data
+//
+// Callers prove themselves with a scoped API key, a signed request, or both
+// (TYG_AUTH_MODE: `any`, the default, `key`, `signature` or `both`).
+//
+// API keys come from TYG_API_KEYS (a JSON array) or TYG_API_KEYS_FILE:
+//   [{ "id": "ghl-workflows", "key": "...", "scopes": ["send", "delete"],
+//      "tenants": ["dailyhug"], "expiresAt": "2027-01-01T00:00:00Z" }]
+// and are sent as Authorization: Bearer <key> or X-Api-Key. Several keys
+// can be live at once, so a key is rotated by adding its replacement,
+// moving callers over, then removing (or expiring) the old one. `tenants`
+// is optional and limits a key to those tenants. ADMIN_API_KEY has every
+// scope.
+//
+// Signed requests carry X-TYG-Timestamp (unix seconds) and
+// X-TYG-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<METHOD>.<path
+// and query>.<raw body>"> keyed with one of the signing secrets in
+// TYG_WEBHOOK_SECRETS, a JSON array bound like the API keys:
+//   [{ "id": "zapier", "secret": "...", "scopes": ["delete"],
+//      "tenants": ["dailyhug"], "expiresAt": "2027-01-01T00:00:00Z" }]
+// Signatures older than TYG_WEBHOOK_TOLERANCE_SECONDS are refused and each
+// one is only accepted once.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { RequestRejectedError, GhlConfigError, sendErrorResponse } from './errors.js';
+import { createRecordStore } from './record-store.js';
+import { safeEqual } from './safe-equal.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('API Auth');
+
+const SCOPES = ['send', 'delete', 'read-templates'];
+const AUTH_MODES = ['any', 'key', 'signature', 'both'];
+const SIGNATURE_TOLERANCE_SECONDS = parseInt(process.env.TYG_WEBHOOK_TOLERANCE_SECONDS || '300', 10);
+// Used signatures are swept every this many signed requests on an instance
+const PRUNE_EVERY = 200;
+// Largest body bufferRawBody() reads, as on Vercel
+const RAW_BODY_LIMIT = 4.5 * 1024 * 1024;
+
+let apiKeys = null;
+let signingSecrets = null;
+let signatureStore = null;
+let signaturesSincePrune = 0;
+
+function getSignatureStore() {
+  if (!signatureStore) {
+    signatureStore = createRecordStore('webhook-signatures');
+  }
+  return signatureStore;
+}
+
+// Replace the used-signature backend (see record-store.js for the interface)
+function setSignatureStore(store) {
+  signatureStore = store;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+function readKeyConfig() {
+  try {
+    if (process.env.TYG_API_KEYS) {
+      return JSON.parse(process.env.TYG_API_KEYS);
+    }
+    if (process.env.TYG_API_KEYS_FILE) {
+      return JSON.parse(fs.readFileSync(process.env.TYG_API_KEYS_FILE, 'utf8'));
+    }
+  } catch (error) {
+    throw new GhlConfigError(`Could not read the API keys: ${error.message}`, { code: 'INVALID_API_KEYS' });
+  }
+  return [];
+}
+
+function readSecretConfig() {
+  const value = (process.env.TYG_WEBHOOK_SECRETS || '').trim();
+  if (!value) {
+    return [];
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new GhlConfigError(
+      `TYG_WEBHOOK_SECRETS must be a JSON array of { id, secret, scopes } objects: ${error.message}`,
+      { code: 'INVALID_WEBHOOK_SECRETS' }
+    );
+  }
+}
+
+// Validate TYG_API_KEYS or TYG_WEBHOOK_SECRETS entries, whose credential is
+// in `field` ("key" or "secret")
+function parseCredentials(config, { field, label, variable, code }) {
+  if (!Array.isArray(config)) {
+    throw new GhlConfigError(`${variable} must be a JSON array of ${label} objects`, { code });
+  }
+
+  return config.map((entry, index) => {
+    if (!entry?.[field] || !Array.isArray(entry.scopes)) {
+      throw new GhlConfigError(`${label} #${index + 1} needs a "${field}" and a "scopes" array`, { code });
+    }
+    const unknown = entry.scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new GhlConfigError(`${label} "${entry.id || index + 1}" has unknown scopes: ${unknown.join(', ')}`, { code });
+    }
+    return {
+      id: String(entry.id || `${field}-${index + 1}`),
+      [field]: String(entry[field]),
+      scopes: entry.scopes,
+      tenants: Array.isArray(entry.tenants) ? entry.tenants.map(String) : null,
+      expiresAt: entry.expiresAt ? Date.parse(entry.expiresAt) : null
+    };
+  });
+}
+
+// Parse the configured keys once per instance
+function getApiKeys() {
+  if (!apiKeys) {
+    apiKeys = parseCredentials(readKeyConfig(), {
+      field: 'key',
+      label: 'API key',
+      variable: 'TYG_API_KEYS',
+      code: 'INVALID_API_KEYS'
+    });
+  }
+  return apiKeys;
+}
+
+// Parse the configured signing secrets once per instance
+function getSigningSecrets() {
+  if (!signingSecrets) {
+    signingSecrets = parseCredentials(readSecretConfig(), {
+      field: 'secret',
+      label: 'Signing secret',
+      variable: 'TYG_WEBHOOK_SECRETS',
+      code: 'INVALID_WEBHOOK_SECRETS'
+    });
+  }
+  return signingSecrets;
+}
+
+// Drop the cached keys and signing secrets (after changing TYG_API_KEYS or
+// TYG_WEBHOOK_SECRETS at runtime)
+function resetApiKeys() {
+  apiKeys = null;
+  signingSecrets = null;
+}
+
+function getAuthMode() {
+  const mode = (process.env.TYG_AUTH_MODE || 'any').trim().toLowerCase();
+  if (!AUTH_MODES.includes(mode)) {
+    throw new GhlConfigError(`Unknown TYG_AUTH_MODE "${mode}" (use any, key, signature or both)`, { code: 'INVALID_AUTH_MODE' });
+  }
+  return mode;
+}
+
+function readApiKey(req) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.substring(7).trim() || null;
+  }
+  return req.headers['x-api-key'] ? String(req.headers['x-api-key']).trim() : null;
+}
+
+// The key record for `token`, or null. The admin key has every scope.
+function findApiKey(token, now = Date.now()) {
+  if (!token) {
+    return null;
+  }
+  if (process.env.ADMIN_API_KEY && safeEqual(token, process.env.ADMIN_API_KEY)) {
+    return { id: 'admin', scopes: SCOPES, tenants: null, expiresAt: null };
+  }
+
+  // Every key is compared, so the time taken doesn't tell which one matched
+  let match = null;
+  for (const entry of getApiKeys()) {
+    if (safeEqual(token, entry.key) && !match) {
+      match = entry;
+    }
+  }
+  if (match?.expiresAt && match.expiresAt <= now) {
+    return null;
+  }
+  return match;
+}
+
+// Read the request stream into req.rawBody when the route turned Vercel's
+// body parser off (`export const config = { api: { bodyParser: false } }`),
+// so req.body is undefined and the bytes are still unread. server.js sets
+// req.rawBody itself, and a parsed body is left alone.
+async function bufferRawBody(req) {
+  if (req.rawBody !== undefined || req.body !== undefined || typeof req[Symbol.asyncIterator] !== 'function') {
+    return;
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > RAW_BODY_LIMIT) {
+      throw new RequestRejectedError('Request body too large', {
+        status: 413,
+        code: 'BODY_TOO_LARGE',
+        detail: `The body must be at most ${RAW_BODY_LIMIT} bytes`
+      });
+    }
+    chunks.push(Buffer.from(chunk));
+  }
+  req.rawBody = Buffer.concat(chunks);
+}
+
+// The body exactly as sent: the bytes kept by server.js or bufferRawBody().
+// Otherwise, on Vercel with its body parser on, a URL-encoded body may arrive
+// as a string, and a JSON body that was parsed is serialised again, so
+// signers should send compact JSON.
+function readRawBody(req) {
+  if (req.rawBody !== undefined) {
+    return Buffer.isBuffer(req.rawBody) ? req.rawBody.toString('utf8') : String(req.rawBody);
+  }
+  if (req.body === undefined || req.body === null) {
+    return '';
+  }
+  if (typeof req.body === 'string') {
+    return req.body;
+  }
+  if (Buffer.isBuffer(req.body)) {
+    return req.body.toString('utf8');
+  }
+  return Object.keys(req.body).length === 0 ? '' : JSON.stringify(req.body);
+}
+
+function signRequest(secret, { timestamp, method, url, body }) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${method.toUpperCase()}.${url}.${body}`)
+    .digest('hex');
+}
+
+// Check X-TYG-Timestamp/X-TYG-Signature. Returns { valid: true, signer }
+// with the signing secret's record, or { valid: false, code, message }. A
+// valid signature is recorded so it can't be replayed.
+async function verifyRequestSignature(req, now = Date.now()) {
+  const secrets = getSigningSecrets();
+  const timestamp = String(req.headers['x-tyg-timestamp'] || '');
+  const header = String(req.headers['x-tyg-signature'] || '');
+  const signature = header.startsWith('sha256=') ? header.substring(7) : header;
+
+  if (!timestamp || !signature) {
+    return { valid: false, code: 'SIGNATURE_REQUIRED', message: 'Missing X-TYG-Timestamp or X-TYG-Signature header' };
+  }
+
+  const seconds = Number(timestamp);
+  if (!Number.isInteger(seconds) || Math.abs(now / 1000 - seconds) > SIGNATURE_TOLERANCE_SECONDS) {
+    return { valid: false, code: 'SIGNATURE_EXPIRED', message: `X-TYG-Timestamp must be within ${SIGNATURE_TOLERANCE_SECONDS} seconds of the current time` };
+  }
+
+  const payload = { timestamp, method: req.method, url: req.url || '', body: readRawBody(req) };
+  // Every secret is tried, so the time taken doesn't tell which one matched
+  let signer = null;
+  for (const entry of secrets) {
+    if (safeEqual(signRequest(entry.secret, payload), signature.toLowerCase()) && !signer) {
+      signer = entry;
+    }
+  }
+  if (!signer || (signer.expiresAt && signer.expiresAt <= now)) {
+    return { valid: false, code: 'INVALID_SIGNATURE', message: 'The request signature does not match' };
+  }
+
+  const store = getSignatureStore();
+  const id = sha256(signature.toLowerCase()).toString('hex');
+  // Only written when no record exists, so two deliveries on different
+  // instances can't both get through
+  if (!(await store.putIf({ id, expiresAt: (seconds + SIGNATURE_TOLERANCE_SECONDS) * 1000 }, 0))) {
+    return { valid: false, code: 'SIGNATURE_REPLAYED', message: 'This signed request has already been received' };
+  }
+
+  if (++signaturesSincePrune >= PRUNE_EVERY) {
+    signaturesSincePrune = 0;
+    for (const record of await store.list(record => record.expiresAt <= now)) {
+      await store.delete(record.id);
+    }
+  }
+
+  return { valid: true, signer };
+}
+
+function rejected(status, code, message, detail) {
+  return new RequestRejectedError(message, { status, code, detail });
+}
+
+// Throw a 403 unless the API key or signing secret `entry` grants `scope`
+// for `tenant`
+function checkGrant(entry, label, scope, tenant) {
+  if (!entry.scopes.includes(scope)) {
+    throw rejected(403, 'INSUFFICIENT_SCOPE', 'Forbidden', `The ${label} "${entry.id}" does not have the "${scope}" scope`);
+  }
+  if (entry.tenants && !entry.tenants.includes(tenant.id)) {
+    throw rejected(403, 'INSUFFICIENT_SCOPE', 'Forbidden', `The ${label} "${entry.id}" cannot be used for tenant "${tenant.id}"`);
+  }
+}
+
+// Check that the request may use `scope` for `tenant`, according to
+// TYG_AUTH_MODE. Resolves to { keyId, signerId, signed } or throws
+// RequestRejectedError (401 or 403). The API key and the signing secret
+// must each grant the scope and tenant.
+async function authorizeRequest(req, scope, tenant) {
+  const mode = getAuthMode();
+  const secrets = getSigningSecrets();
+  const keysConfigured = getApiKeys().length > 0 || Boolean(process.env.ADMIN_API_KEY);
+  const wantKey = mode !== 'signature';
+  const wantSignature = mode !== 'key';
+
+  if ((mode === 'key' && !keysConfigured) ||
+      (mode === 'signature' && secrets.length === 0) ||
+      (mode === 'both' && (!keysConfigured || secrets.length === 0)) ||
+      (mode === 'any' && !keysConfigured && secrets.length === 0)) {
+    throw rejected(403, 'AUTH_NOT_CONFIGURED', 'This endpoint is disabled',
+      'Configure TYG_API_KEYS (or ADMIN_API_KEY) and/or TYG_WEBHOOK_SECRETS to enable it');
+  }
+
+  let key = null;
+  const token = wantKey ? readApiKey(req) : null;
+  if (token) {
+    key = findApiKey(token);
+    if (!key) {
+      throw rejected(401, 'INVALID_API_KEY', 'Unauthorized', 'The API key is unknown or has expired');
+    }
+    checkGrant(key, 'API key', scope, tenant);
+  }
+
+  const hasSignature = Boolean(req.headers['x-tyg-signature']);
+  let signer = null;
+  if (wantSignature && secrets.length > 0 && (hasSignature || mode !== 'any' || !key)) {
+    const result = await verifyRequestSignature(req);
+    // In `any` mode an unsigned request falls through to the key check below
+    if (!result.valid && (hasSignature || mode !== 'any')) {
+      throw rejected(401, result.code, 'Unauthorized', result.message);
+    }
+    if (result.valid) {
+      checkGrant(result.signer, 'signing secret', scope, tenant);
+      signer = result.signer;
+    }
+  }
+
+  if ((mode === 'key' || mode === 'both') && !key) {
+    throw rejected(401, 'AUTH_REQUIRED', 'Unauthorized', 'Provide an API key as Authorization: Bearer <key> or X-Api-Key');
+  }
+  if (mode === 'any' && !key && !signer) {
+    throw rejected(401, 'AUTH_REQUIRED', 'Unauthorized', 'Provide an API key (Authorization: Bearer <key> or X-Api-Key) or sign the request');
+  }
+
+  return { keyId: key?.id || null, signerId: signer?.id || null, signed: Boolean(signer) };
+}
+
+// Resolve with the caller (see authorizeRequest) if the request is
+// authorized for `scope`; otherwise send a 401/403 and resolve with null
+async function requireScope(req, res, scope, tenant) {
+  try {
+    const caller = await authorizeRequest(req, scope, tenant);
+    log.info('Authorized', { scope, tenant: tenant.id, keyId: caller.keyId, signerId: caller.signerId });
+    return caller;
+  } catch (error) {
+    log.warn('Refused', { scope, tenant: tenant.id, reason: error.code || error.message });
+    sendErrorResponse(res, error);
+    return null;
+  }
+}
+
+export {
+  SCOPES,
+  getApiKeys,
+  resetApiKeys,
+  getSigningSecrets,
+  getSignatureStore,
+  setSignatureStore,
+  bufferRawBody,
+  readRawBody,
+  signRequest,
+  verifyRequestSignature,
+  authorizeRequest,
+  requireScope
+};
@@ -0,0 +1,123 @@
+// Spam and bot protection for the public endpoints
+//
+// checkPublicRequest() runs before anything is saved or sent: the honeypot
+// field must be empty, the client IP must be under its rate limit and, when
+// a CAPTCHA provider is configured, the CAPTCHA token must verify.
+// checkSenderLimit() runs once the email is known and limits how many grams
+// one address can send. Callers that authenticated with a key or signature
+// skip the public checks; checkCallerLimit() limits them per key instead.
+// Failures throw RequestRejectedError (403 or 429).
+
+import { RequestRejectedError } from './errors.js';
+import { readLimit, consumeRateLimit } from './rate-limit.js';
+import { getCaptchaVerifier, readCaptchaToken } from './captcha.js';
+import { getClientIp } from './client-ip.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Bot Protection');
+
+// Hidden form field that people leave empty and naive bots fill in
+const HONEYPOT_FIELD = process.env.TYG_HONEYPOT_FIELD || 'website';
+
+const IP_LIMIT = readLimit('TYG_RATE_LIMIT_IP', { max: 30, windowMs: 10 * 60 * 1000 });
+const SENDER_LIMIT = readLimit('TYG_RATE_LIMIT_SENDER', { max: 30, windowMs: 60 * 60 * 1000 });
+const CALLER_LIMIT = readLimit('TYG_RATE_LIMIT_KEY', { max: 600, windowMs: 10 * 60 * 1000 });
+
+// Endpoints that require a CAPTCHA when a provider is configured
+function captchaEndpoints() {
+  return (process.env.TYG_CAPTCHA_ENDPOINTS || 'submit-tyg-form')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+function rateLimited(message, result) {
+  return new RequestRejectedError(message, {
+    status: 429,
+    code: 'RATE_LIMITED',
+    detail: `Limit of ${result.limit} reached, try again after ${new Date(result.resetAt).toISOString()}`,
+    retryAfterMs: result.retryAfterMs
+  });
+}
+
+async function verifyCaptcha(req, body, endpoint) {
+  const verifier = getCaptchaVerifier();
+  if (!verifier || !captchaEndpoints().includes(endpoint)) {
+    return;
+  }
+
+  const token = readCaptchaToken(req, body);
+  if (!token) {
+    throw new RequestRejectedError('CAPTCHA required', {
+      code: 'CAPTCHA_REQUIRED',
+      detail: 'Complete the CAPTCHA and send its token with the form'
+    });
+  }
+
+  let result;
+  try {
+    result = await verifier({ token, ip: getClientIp(req) });
+  } catch (error) {
+    log.error('CAPTCHA verification failed', { endpoint, error: error.message });
+    throw new RequestRejectedError('CAPTCHA verification is unavailable, please try again shortly', {
+      status: 503,
+      code: 'CAPTCHA_UNAVAILABLE'
+    });
+  }
+
+  if (!result.success) {
+    log.warn('CAPTCHA rejected', { endpoint, errorCodes: result.errorCodes });
+    throw new RequestRejectedError('CAPTCHA verification failed', {
+      code: 'CAPTCHA_FAILED',
+      detail: 'The CAPTCHA token is invalid or expired; complete the CAPTCHA again'
+    });
+  }
+}
+
+// Honeypot, per-IP limit and CAPTCHA for a request to `endpoint`
+async function checkPublicRequest(req, body, endpoint) {
+  if (body[HONEYPOT_FIELD]) {
+    log.warn('Honeypot field filled', { endpoint, ip: getClientIp(req) });
+    throw new RequestRejectedError('Request rejected', {
+      code: 'BOT_DETECTED',
+      detail: 'The request looks automated'
+    });
+  }
+
+  const ip = getClientIp(req);
+  const result = await consumeRateLimit(`ip:${endpoint}`, ip, IP_LIMIT);
+  if (!result.allowed) {
+    log.warn('Over the IP rate limit', { endpoint, ip });
+    throw rateLimited('Too many requests, please try again later', result);
+  }
+
+  await verifyCaptcha(req, body, endpoint);
+}
+
+// Per-key limit for an authenticated `caller` (from requireScope) of
+// `endpoint`; a request that is both keyed and signed counts against the key
+async function checkCallerLimit(caller, endpoint) {
+  const id = caller.keyId ? `key:${caller.keyId}` : `signer:${caller.signerId}`;
+  const result = await consumeRateLimit(`caller:${endpoint}`, id, CALLER_LIMIT);
+  if (!result.allowed) {
+    log.warn('Over the caller rate limit', { endpoint, caller: id });
+    throw rateLimited('Too many requests for this API key, please try again later', result);
+  }
+}
+
+// Count `grams` grams against the per-address limit for `email`; `scope`
+// keeps senders and recipients of anonymous emails apart
+async function checkSenderLimit(email, grams = 1, scope = 'sender') {
+  const result = await consumeRateLimit(scope, email, SENDER_LIMIT, { cost: grams });
+  if (!result.allowed) {
+    log.warn('Over the sender rate limit', { scope, email });
+    throw rateLimited('Too many requests for this email address, please try again later', result);
+  }
+}
+
+export {
+  HONEYPOT_FIELD,
+  checkPublicRequest,
+  checkCallerLimit,
+  checkSenderLimit
+};
@@ -0,0 +1,92 @@
+// Server-side CAPTCHA verification
+//
+// A verifier is an async function ({ token, ip }) → { success, errorCodes }.
+// The built-in ones are picked with TYG_CAPTCHA_PROVIDER:
+// - turnstile: Cloudflare Turnstile, secret in TYG_CAPTCHA_SECRET
+// - hcaptcha:  hCaptcha, secret in TYG_CAPTCHA_SECRET
+// - stub:      no network; any token passes except "fail" (local testing)
+// Without a provider, CAPTCHA checks are off. Tests and other providers can
+// plug in their own verifier with setCaptchaVerifier().
+
+import { fetchWithRetry } from './retry.js';
+import { GhlConfigError } from './errors.js';
+
+const SITEVERIFY_URLS = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify'
+};
+
+let verifier = null;
+
+// Both providers take the same form fields and answer in the same shape
+function createSiteverifyVerifier(provider, secret) {
+  return async ({ token, ip }) => {
+    const form = new URLSearchParams({ secret, response: token });
+    if (ip) {
+      form.set('remoteip', ip);
+    }
+
+    // Tokens are single-use, so a verification is never retried after it was sent
+    const response = await fetchWithRetry(SITEVERIFY_URLS[provider], {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: form.toString()
+    }, { label: 'Captcha', path: provider });
+
+    if (!response.ok) {
+      throw new Error(`${provider} siteverify returned ${response.status}`);
+    }
+
+    const result = await response.json();
+    return { success: result.success === true, errorCodes: result['error-codes'] || [] };
+  };
+}
+
+async function stubVerifier({ token }) {
+  return token === 'fail'
+    ? { success: false, errorCodes: ['stub-rejected'] }
+    : { success: true, errorCodes: [] };
+}
+
+// The configured verifier, or null when CAPTCHA checks are off
+function getCaptchaVerifier() {
+  if (verifier) {
+    return verifier;
+  }
+
+  const provider = (process.env.TYG_CAPTCHA_PROVIDER || '').trim().toLowerCase();
+  if (!provider) {
+    return null;
+  }
+  if (provider === 'stub') {
+    return stubVerifier;
+  }
+  if (!SITEVERIFY_URLS[provider]) {
+    throw new GhlConfigError(`Unknown TYG_CAPTCHA_PROVIDER "${provider}" (use turnstile, hcaptcha or stub).`, { code: 'INVALID_CAPTCHA_PROVIDER' });
+  }
+  if (!process.env.TYG_CAPTCHA_SECRET) {
+    throw new GhlConfigError(`TYG_CAPTCHA_SECRET is required for ${provider} CAPTCHA verification.`, { code: 'MISSING_CAPTCHA_SECRET' });
+  }
+  return createSiteverifyVerifier(provider, process.env.TYG_CAPTCHA_SECRET);
+}
+
+// Replace the verifier; null goes back to the one TYG_CAPTCHA_PROVIDER picks
+function setCaptchaVerifier(fn) {
+  verifier = fn;
+}
+
+// The CAPTCHA token a widget put in the form, or sent in X-Captcha-Token
+function readCaptchaToken(req, body = {}) {
+  const token = req.headers['x-captcha-token'] ||
+    body['cf-turnstile-response'] ||
+    body['h-captcha-response'] ||
+    body.captchaToken ||
+    req.query?.captchaToken;
+  return token ? String(token).trim() : null;
+}
+
+export {
+  getCaptchaVerifier,
+  setCaptchaVerifier,
+  readCaptchaToken
+};
@@ -0,0 +1,124 @@
+// Circuit breaker for upstream APIs
+//
+// After GHL_BREAKER_FAILURE_THRESHOLD consecutive failures (5xx, timeouts,
+// network errors) the breaker opens and calls fail fast with
+// GhlCircuitOpenError for GHL_BREAKER_RESET_MS. After that one trial call is
+// let through (half-open): success closes the breaker, failure re-opens it.
+// 4xx responses mean the upstream is answering, so they count as successes.
+
+import { GhlCircuitOpenError, GhlTimeoutError, GhlUpstreamError } from './errors.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Circuit');
+
+const BREAKER_FAILURE_THRESHOLD = parseInt(process.env.GHL_BREAKER_FAILURE_THRESHOLD || '5', 10);
+const BREAKER_RESET_MS = parseInt(process.env.GHL_BREAKER_RESET_MS || '30000', 10);
+
+// Whether an error says the upstream itself is unhealthy
+function isUpstreamFailure(error) {
+  if (error instanceof GhlTimeoutError) {
+    return true;
+  }
+  return error instanceof GhlUpstreamError && (!error.status || error.status >= 500);
+}
+
+function createCircuitBreaker(name, {
+  failureThreshold = BREAKER_FAILURE_THRESHOLD,
+  resetTimeoutMs = BREAKER_RESET_MS
+} = {}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastFailure = null;
+
+  function open(error) {
+    state = 'open';
+    openedAt = Date.now();
+    log.warn('Open', { circuit: name, openMs: resetTimeoutMs, failures, error: error.message });
+  }
+
+  function onSuccess() {
+    if (state !== 'closed') {
+      log.info('Closed, upstream recovered', { circuit: name });
+    }
+    state = 'closed';
+    failures = 0;
+    openedAt = null;
+  }
+
+  function onFailure(error) {
+    failures++;
+    lastFailure = { code: error.code || null, message: error.message, at: new Date().toISOString() };
+    if (state === 'half_open' || failures >= failureThreshold) {
+      open(error);
+    }
+  }
+
+  // Run fn through the breaker, or throw GhlCircuitOpenError while open
+  async function execute(fn) {
+    if (state === 'open') {
+      const remainingMs = openedAt + resetTimeoutMs - Date.now();
+      if (remainingMs > 0) {
+        throw new GhlCircuitOpenError(`GHL ${name} API is unavailable (circuit open), retry in ${Math.ceil(remainingMs / 1000)}s`, {
+          retryAfterMs: remainingMs
+        });
+      }
+      state = 'half_open';
+    }
+
+    // Only one trial call at a time while half-open
+    const isTrial = state === 'half_open';
+    if (isTrial) {
+      if (trialInFlight) {
+        throw new GhlCircuitOpenError(`GHL ${name} API is unavailable (circuit half-open), retry shortly`, {
+          retryAfterMs: 1000
+        });
+      }
+      trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      onSuccess();
+      return result;
+    } catch (error) {
+      if (isUpstreamFailure(error)) {
+        onFailure(error);
+      } else {
+        onSuccess();
+      }
+      throw error;
+    } finally {
+      if (isTrial) {
+        trialInFlight = false;
+      }
+    }
+  }
+
+  // Breaker state for the health endpoint
+  function getStatus() {
+    return {
+      state,
+      consecutiveFailures: failures,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      retryAt: state === 'open' ? new Date(openedAt + resetTimeoutMs).toISOString() : null,
+      lastFailure
+    };
+  }
+
+  function reset() {
+    state = 'closed';
+    failures = 0;
+    openedAt = null;
+    trialInFlight = false;
+    lastFailure = null;
+  }
+
+  return { name, execute, getStatus, reset };
+}
+
+export {
+  createCircuitBreaker,
+  isUpstreamFailure
+};
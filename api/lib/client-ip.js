@@ -0,0 +1,43 @@
+// Client IP address of a request
+//
+// Behind Vercel (or any proxy) the socket address is the proxy's, so the
+// address comes from X-Forwarded-For, but only when TYG_TRUST_PROXY says how
+// many proxies in front of the app append to it. Each proxy appends the
+// address it received the request from, so the entry that many places from
+// the right is the one the first trusted proxy saw; anything left of it was
+// sent by the client and can be forged. Without trusted proxies the header is
+// ignored and the socket address is used.
+
+// Number of trusted proxy hops: `1` on Vercel, `0` elsewhere unless set.
+// `true` means one.
+function getTrustedProxyCount() {
+  const setting = process.env.TYG_TRUST_PROXY;
+  if (setting === undefined || setting === '') {
+    return process.env.VERCEL ? 1 : 0;
+  }
+  if (setting === 'true') {
+    return 1;
+  }
+  return Math.max(0, parseInt(setting, 10) || 0);
+}
+
+function getClientIp(req) {
+  const hops = getTrustedProxyCount();
+  if (hops > 0) {
+    const forwardedFor = String(req.headers['x-forwarded-for'] || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean);
+    if (forwardedFor.length > 0) {
+      return forwardedFor[Math.max(0, forwardedFor.length - hops)];
+    }
+    if (req.headers['x-real-ip']) {
+      return String(req.headers['x-real-ip']);
+    }
+  }
+  return req.socket?.remoteAddress || null;
+}
+
+export {
+  getClientIp
+};
@@ -0,0 +1,188 @@
+// CORS policy shared by every endpoint
+//
+// Browser origins are allowed by CORS_ALLOWED_ORIGINS, a comma-separated
+// list of exact origins (`https://dailyhug.com`) and wildcard subdomains
+// (`https://*.dailyhug.com`, which doesn't match the bare domain). Without
+// it, https://dailyhug.com is allowed, plus the local dev servers outside
+// production. Each tenant's `origins` are allowed too. A request from any
+// other origin gets a 403; requests without an Origin header (webhooks,
+// cron, curl) aren't cross-origin and pass. Allowed origins are echoed back,
+// never `*`, and with CORS_ALLOW_CREDENTIALS=true cookies and HTTP auth may
+// be sent along, except from origins only a `*` entry allows.
+
+import { RequestRejectedError, sendErrorResponse } from './errors.js';
+import { getTenants } from './tenants.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('CORS');
+
+const PRODUCTION_ORIGINS = ['https://dailyhug.com'];
+const DEVELOPMENT_ORIGINS = ['http://localhost:3000', 'http://localhost:5173', 'http://127.0.0.1:3000'];
+// Request headers every route accepts
+const BASE_HEADERS = ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Tenant-Key'];
+// Response headers every route lets the browser read
+const BASE_EXPOSE_HEADERS = ['X-Request-Id'];
+const PREFLIGHT_MAX_AGE = '86400';
+
+function isProduction() {
+  return (process.env.VERCEL_ENV || process.env.NODE_ENV) === 'production';
+}
+
+function getAllowedOrigins() {
+  if (process.env.CORS_ALLOWED_ORIGINS !== undefined) {
+    return process.env.CORS_ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean);
+  }
+  return isProduction() ? PRODUCTION_ORIGINS : [...PRODUCTION_ORIGINS, ...DEVELOPMENT_ORIGINS];
+}
+
+function allowsCredentials() {
+  return process.env.CORS_ALLOW_CREDENTIALS === 'true';
+}
+
+function parseOrigin(value) {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+}
+
+// Whether `origin` (as sent by a browser) matches one allowlist entry
+function matchesOrigin(origin, entry) {
+  if (entry === '*') {
+    return true;
+  }
+
+  const url = parseOrigin(origin);
+  // Browsers send a bare origin; anything with a path or "null" never matches
+  if (!url || url.origin !== origin) {
+    return false;
+  }
+
+  // Tenant origins may be bare hostnames
+  if (!entry.includes('://')) {
+    return url.hostname === entry.toLowerCase();
+  }
+
+  const wildcard = entry.match(/^([a-z][a-z0-9+.-]*):\/\/\*\.(.+)$/i);
+  if (!wildcard) {
+    return parseOrigin(entry)?.origin === url.origin;
+  }
+
+  const base = parseOrigin(`${wildcard[1]}://${wildcard[2]}`);
+  return Boolean(base) &&
+    url.protocol === base.protocol &&
+    url.port === base.port &&
+    url.hostname.endsWith(`.${base.hostname}`);
+}
+
+// Whether `origin` is this deployment itself: the host the request was sent
+// to, or TYG_PUBLIC_URL
+function isSameOrigin(req, origin) {
+  const url = parseOrigin(origin);
+  if (!url || url.origin !== origin) {
+    return false;
+  }
+  const publicUrl = process.env.TYG_PUBLIC_URL && parseOrigin(process.env.TYG_PUBLIC_URL);
+  return url.host === String(req.headers.host || '').toLowerCase() ||
+    Boolean(publicUrl) && url.origin === publicUrl.origin;
+}
+
+// The allowlist entry that lets `origin` in, preferring a specific entry
+// over `*`; null when none does
+function findAllowedEntry(origin) {
+  const tenantOrigins = [...getTenants().values()].flatMap(tenant => tenant.origins);
+  const entries = [...getAllowedOrigins(), ...tenantOrigins];
+  return entries.find(entry => entry !== '*' && matchesOrigin(origin, entry)) ||
+    (entries.includes('*') ? '*' : null);
+}
+
+function isOriginAllowed(origin) {
+  return findAllowedEntry(origin) !== null;
+}
+
+let warnedWildcardCredentials = false;
+
+// Credentials are only sent to origins that are listed by name: with `*`
+// they would let every site make credentialed requests
+function allowsCredentialsFor(entry) {
+  if (!allowsCredentials()) {
+    return false;
+  }
+  if (entry === '*') {
+    if (!warnedWildcardCredentials) {
+      warnedWildcardCredentials = true;
+      log.warn('CORS_ALLOW_CREDENTIALS is ignored for origins only allowed by "*" in CORS_ALLOWED_ORIGINS');
+    }
+    return false;
+  }
+  return true;
+}
+
+// Apply the CORS policy for a route. Options:
+// - methods: the methods the route serves (OPTIONS is added)
+// - headers: request headers on top of the common ones
+// - exposeHeaders: response headers the browser may read, on top of
+//   X-Request-Id
+// - browsers: false for admin and cron routes, which no origin may call
+// - anyOrigin: true for read-only public routes such as /api/health
+// - sameOrigin: true for pages this deployment serves itself, so their
+//   forms can post back without the deployment being in
+//   CORS_ALLOWED_ORIGINS
+// Returns true when the request has been answered (a preflight or a
+// rejected origin) and the handler must stop.
+function handleCors(req, res, { methods, headers = [], exposeHeaders = [], browsers = true, anyOrigin = false, sameOrigin = false }) {
+  const origin = req.headers.origin;
+  const allowMethods = [...new Set([...methods, 'OPTIONS'])].join(', ');
+
+  if (!anyOrigin) {
+    res.setHeader('Vary', 'Origin');
+  }
+
+  if (!origin) {
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Allow', allowMethods);
+      res.status(204).end();
+      return true;
+    }
+    return false;
+  }
+
+  const entry = sameOrigin && isSameOrigin(req, origin) ? origin : findAllowedEntry(origin);
+  if (!anyOrigin && (!browsers || entry === null)) {
+    log.warn('Rejected origin', { method: req.method, origin });
+    sendErrorResponse(res, new RequestRejectedError('Origin not allowed', {
+      code: 'ORIGIN_NOT_ALLOWED',
+      detail: browsers
+        ? `${origin} is not in CORS_ALLOWED_ORIGINS`
+        : 'This endpoint cannot be called from a browser'
+    }));
+    return true;
+  }
+
+  if (anyOrigin) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    if (allowsCredentialsFor(entry)) {
+      res.setHeader('Access-Control-Allow-Credentials', 'true');
+    }
+  }
+  res.setHeader('Access-Control-Expose-Headers', [...BASE_EXPOSE_HEADERS, ...exposeHeaders].join(', '));
+
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Methods', allowMethods);
+    res.setHeader('Access-Control-Allow-Headers', [...BASE_HEADERS, ...headers].join(', '));
+    res.setHeader('Access-Control-Max-Age', PREFLIGHT_MAX_AGE);
+    res.status(204).end();
+    return true;
+  }
+
+  return false;
+}
+
+export {
+  getAllowedOrigins,
+  isOriginAllowed,
+  handleCors
+};
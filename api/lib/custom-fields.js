@@ -0,0 +1,148 @@
+// TYG custom field schema and provisioning
+//
+// Compares the fields the TYG form writes against the location's custom
+// field definitions, creates any that are missing and reports drift (a
+// field with the wrong data type, or one that looks renamed).
+
+import {
+  listCustomFields,
+  createCustomField,
+  normalizeFieldKey
+} from './ghl-api.js';
+import { getCurrentTenant } from './tenants.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Custom Fields');
+
+// Fields written by submit-tyg-form and the Daily Hug endpoints. `dataType`
+// is what gets created; `acceptedTypes` are existing types that still work
+// with string values.
+const TYG_CUSTOM_FIELDS = [
+  { key: 'tyg_recipientname', dataType: 'TEXT', acceptedTypes: ['TEXT'] },
+  { key: 'tyg_recipientemail', dataType: 'TEXT', acceptedTypes: ['TEXT'] },
+  { key: 'tyg_message', dataType: 'LARGE_TEXT', acceptedTypes: ['TEXT', 'LARGE_TEXT'] },
+  { key: 'tyg_sendername', dataType: 'TEXT', acceptedTypes: ['TEXT'] },
+  { key: 'tyg_sendanonymously', dataType: 'TEXT', acceptedTypes: ['TEXT', 'RADIO', 'SINGLE_OPTIONS'] },
+  { key: 'tyg_subscribedailyhug', dataType: 'TEXT', acceptedTypes: ['TEXT', 'RADIO', 'SINGLE_OPTIONS'] },
+  // Daily Hug double opt-in (daily-hug.js)
+  { key: 'tyg_dailyhug_confirmurl', dataType: 'TEXT', acceptedTypes: ['TEXT', 'LARGE_TEXT'] },
+  { key: 'tyg_dailyhug_unsubscribeurl', dataType: 'TEXT', acceptedTypes: ['TEXT', 'LARGE_TEXT'] },
+  { key: 'tyg_dailyhug_consentat', dataType: 'TEXT', acceptedTypes: ['TEXT'] },
+  { key: 'tyg_dailyhug_consentip', dataType: 'TEXT', acceptedTypes: ['TEXT'] }
+];
+
+// Memoized ensureTygCustomFields() runs per tenant, so auto-provisioning
+// happens once per instance
+const ensurePromises = new Map();
+
+// Compare keys ignoring case and separators ("TYG_Recipient_Name" ~ "tyg_recipientname")
+function looseKey(value) {
+  return String(value || '').toLowerCase().replace(/^contact\./, '').replace(/[^a-z0-9]/g, '');
+}
+
+// Check the required schema against GHL and create missing fields.
+// With `dryRun`, nothing is created and missing fields are only reported.
+async function provisionCustomFields({ dryRun = false, schema = TYG_CUSTOM_FIELDS } = {}) {
+  log.info('Checking required fields', { fields: schema.length, dryRun });
+
+  const existingFields = await listCustomFields();
+  const byKey = new Map(
+    existingFields
+      .filter(field => field.fieldKey)
+      .map(field => [normalizeFieldKey(field.fieldKey), field])
+  );
+
+  const fields = [];
+
+  for (const required of schema) {
+    const existing = byKey.get(required.key);
+
+    if (existing) {
+      const typeOk = !existing.dataType || required.acceptedTypes.includes(existing.dataType);
+      fields.push({
+        key: required.key,
+        status: typeOk ? 'ok' : 'type_mismatch',
+        fieldId: existing.id,
+        expectedType: required.dataType,
+        actualType: existing.dataType || null,
+        ...(!typeOk && { detail: `Expected one of ${required.acceptedTypes.join(', ')}` })
+      });
+      continue;
+    }
+
+    // A field whose key or name matches loosely was most likely renamed in GHL.
+    // Creating another one would split the data, so report it instead.
+    const renamed = existingFields.find(field =>
+      looseKey(field.fieldKey) === looseKey(required.key) || looseKey(field.name) === looseKey(required.key)
+    );
+    if (renamed) {
+      fields.push({
+        key: required.key,
+        status: 'renamed',
+        fieldId: renamed.id,
+        expectedType: required.dataType,
+        actualType: renamed.dataType || null,
+        actualKey: renamed.fieldKey ? normalizeFieldKey(renamed.fieldKey) : null,
+        detail: `Found "${renamed.name}" with key "${renamed.fieldKey}"; rename it back to "${required.key}"`
+      });
+      continue;
+    }
+
+    if (dryRun) {
+      fields.push({ key: required.key, status: 'missing', fieldId: null, expectedType: required.dataType, actualType: null });
+      continue;
+    }
+
+    // GHL derives the key from the name, so name the field after its key
+    const created = await createCustomField({ name: required.key, dataType: required.dataType, fieldKey: required.key });
+    const createdKey = created.fieldKey ? normalizeFieldKey(created.fieldKey) : null;
+    fields.push({
+      key: required.key,
+      status: createdKey && createdKey !== required.key ? 'renamed' : 'created',
+      fieldId: created.id,
+      expectedType: required.dataType,
+      actualType: created.dataType || required.dataType,
+      ...(createdKey && createdKey !== required.key && {
+        actualKey: createdKey,
+        detail: `GHL created the field with key "${createdKey}"`
+      })
+    });
+  }
+
+  const summary = {
+    dryRun,
+    fields,
+    created: fields.filter(field => field.status === 'created').map(field => field.key),
+    missing: fields.filter(field => field.status === 'missing').map(field => field.key),
+    drift: fields.filter(field => field.status === 'type_mismatch' || field.status === 'renamed')
+  };
+
+  log.info('Provisioning finished', {
+    created: summary.created.length,
+    missing: summary.missing.length,
+    drift: summary.drift.length
+  });
+  summary.drift.forEach(field => {
+    log.warn('Field drift', { fieldKey: field.key, status: field.status, detail: field.detail });
+  });
+
+  return summary;
+}
+
+// Provision missing fields once per tenant and instance. Failures are not memoized.
+function ensureTygCustomFields() {
+  const { id: tenantId } = getCurrentTenant();
+  if (!ensurePromises.has(tenantId)) {
+    ensurePromises.set(tenantId, provisionCustomFields().catch(error => {
+      ensurePromises.delete(tenantId);
+      throw error;
+    }));
+  }
+  return ensurePromises.get(tenantId);
+}
+
+export {
+  TYG_CUSTOM_FIELDS,
+  provisionCustomFields,
+  ensureTygCustomFields
+};
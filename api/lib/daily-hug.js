@@ -0,0 +1,319 @@
+// Daily Hug subscriptions with double opt-in
+//
+// A sender who ticks subscribeDailyHug gets a confirmation email with a
+// signed, expiring link (the outbox's daily_hug_confirmation step).
+// /api/confirm-daily-hug checks the token, tags the contact, enrolls it in
+// the tenant's Daily Hug workflow (if any) and records when and from which
+// IP consent was given. The unsubscribe link saved at that point reverses it
+// through /api/unsubscribe-daily-hug.
+//
+// Tokens are "<payload>.<signature>": base64url JSON { t: tenant id,
+// e: email, a: action, x: expiry } signed with HMAC-SHA256 and
+// DAILY_HUG_TOKEN_SECRET. Unsubscribe tokens don't expire and nothing is
+// stored to revoke one: a link keeps working for as long as the secret is
+// unchanged, which is what an unsubscribe link in an old email needs. The
+// worst a leaked one can do is unsubscribe its own address.
+
+import crypto from 'crypto';
+import {
+  upsertContact,
+  addContactTags,
+  removeContactTags,
+  addContactToWorkflow,
+  removeContactFromWorkflow,
+  sendEmailTemplate
+} from './ghl-api.js';
+import { GhlConfigError, GhlNotFoundError, GhlTemplateError, GhlValidationError } from './errors.js';
+import { createRecordStore } from './record-store.js';
+import { safeEqual } from './safe-equal.js';
+import { getCurrentTenant } from './tenants.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Daily Hug');
+
+// How long a confirmation link works; a sender isn't sent another one
+// while the last is still valid
+const CONFIRM_TOKEN_TTL_MS = parseInt(process.env.TYG_DAILY_HUG_TOKEN_TTL_MS || '604800000', 10);
+const CONFIRMATION_SUBJECT = 'Confirm your Daily Hug subscription';
+
+let subscriptionStore = null;
+
+function getSubscriptionStore() {
+  if (!subscriptionStore) {
+    subscriptionStore = createRecordStore('daily-hug');
+  }
+  return subscriptionStore;
+}
+
+// Replace the subscription backend (see record-store.js for the interface)
+function setSubscriptionStore(store) {
+  subscriptionStore = store;
+}
+
+function subscriptionId(tenantId, email) {
+  return `${tenantId}:${email}`;
+}
+
+function getTokenSecret() {
+  return process.env.DAILY_HUG_TOKEN_SECRET || null;
+}
+
+// Where this deployment is reachable, for links in emails
+function getPublicBaseUrl() {
+  const url = process.env.TYG_PUBLIC_URL ||
+    (process.env.VERCEL_PROJECT_PRODUCTION_URL && `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}`) ||
+    (process.env.VERCEL_URL && `https://${process.env.VERCEL_URL}`);
+  return url ? url.replace(/\/+$/, '') : null;
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// Without ttlMs the token never expires (used for unsubscribe links)
+function createDailyHugToken({ tenantId, email, action }, { ttlMs = null } = {}) {
+  const secret = getTokenSecret();
+  if (!secret) {
+    throw new GhlConfigError('DAILY_HUG_TOKEN_SECRET is not set, so Daily Hug links cannot be signed.', { code: 'MISSING_DAILY_HUG_SECRET' });
+  }
+
+  const payload = Buffer.from(JSON.stringify({
+    t: tenantId,
+    e: email,
+    a: action,
+    x: ttlMs ? Date.now() + ttlMs : null
+  })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// Check a token for `action`. Returns { tenantId, email }, or { error, code }
+// with code INVALID_TOKEN or TOKEN_EXPIRED.
+function verifyDailyHugToken(token, action, now = Date.now()) {
+  const secret = getTokenSecret();
+  if (!secret) {
+    throw new GhlConfigError('DAILY_HUG_TOKEN_SECRET is not set, so Daily Hug links cannot be verified.', { code: 'MISSING_DAILY_HUG_SECRET' });
+  }
+
+  const invalid = { error: 'This link is invalid', code: 'INVALID_TOKEN' };
+  const [payload, signature, ...rest] = String(token || '').split('.');
+  if (!payload || !signature || rest.length > 0) {
+    return invalid;
+  }
+
+  if (!safeEqual(signature, sign(payload, secret))) {
+    return invalid;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return invalid;
+  }
+
+  if (data.a !== action || !data.t || !data.e) {
+    return invalid;
+  }
+  if (data.x && data.x < now) {
+    return { error: 'This link has expired', code: 'TOKEN_EXPIRED' };
+  }
+
+  return { tenantId: data.t, email: data.e };
+}
+
+function buildLink(endpoint, token) {
+  return `${getPublicBaseUrl()}/api/${endpoint}?token=${encodeURIComponent(token)}`;
+}
+
+// Email the sender a confirmation link, unless they are already subscribed
+// or hold a link that still works. The subscription record is checked, not
+// the gram, so a gram approved after review, a replay or another gram from
+// the same sender doesn't send a second email. Returns { status, ... } for the outbox record;
+// missing configuration and template errors are reported, not thrown, so
+// they never hold up the gram.
+async function requestDailyHugConfirmation(email, contactId) {
+  const tenant = getCurrentTenant();
+  const store = getSubscriptionStore();
+  const id = subscriptionId(tenant.id, email);
+  const existing = await store.get(id);
+  const now = Date.now();
+
+  if (existing?.status === 'subscribed') {
+    return { status: 'already_subscribed' };
+  }
+  if (existing?.status === 'pending' && now - Date.parse(existing.requestedAt) < CONFIRM_TOKEN_TTL_MS) {
+    return { status: 'already_requested', requestedAt: existing.requestedAt };
+  }
+
+  const templateId = tenant.templates.dailyHugConfirm;
+  const missing = !getTokenSecret() ? 'DAILY_HUG_TOKEN_SECRET is not set'
+    : !getPublicBaseUrl() ? 'TYG_PUBLIC_URL is not set'
+    : !templateId ? 'No Daily Hug confirmation template configured (set templates.dailyHugConfirm or TYG_DAILY_HUG_CONFIRM_TEMPLATE_ID)'
+    : null;
+  if (missing) {
+    log.warn('Confirmation not sent', { email, reason: missing });
+    return { status: 'skipped', reason: missing };
+  }
+
+  const token = createDailyHugToken({ tenantId: tenant.id, email, action: 'confirm' }, { ttlMs: CONFIRM_TOKEN_TTL_MS });
+
+  // The template links to {{contact.tyg_dailyhug_confirmurl}}
+  await upsertContact(email, {}, { tyg_dailyhug_confirmurl: buildLink('confirm-daily-hug', token) });
+  try {
+    await sendEmailTemplate(contactId, templateId, { subject: CONFIRMATION_SUBJECT });
+  } catch (error) {
+    if (error instanceof GhlTemplateError || error instanceof GhlValidationError) {
+      log.warn('Confirmation not sent', { email, reason: error.message });
+      return { status: 'failed', reason: error.message };
+    }
+    throw error;
+  }
+
+  const requestedAt = new Date(now).toISOString();
+  await store.put({
+    ...existing,
+    id,
+    tenantId: tenant.id,
+    email,
+    status: 'pending',
+    requestedAt
+  });
+  log.info('Confirmation sent', { email });
+  return { status: 'sent', requestedAt };
+}
+
+// Subscribe a confirmed email: tag it, enroll it in the workflow and record
+// the consent. Returns the subscription record.
+async function confirmDailyHug(email, { ip = null, userAgent = null } = {}) {
+  const tenant = getCurrentTenant();
+  const store = getSubscriptionStore();
+  const id = subscriptionId(tenant.id, email);
+  const existing = await store.get(id);
+
+  if (existing?.status === 'subscribed') {
+    return { ...existing, alreadySubscribed: true };
+  }
+
+  const confirmedAt = new Date().toISOString();
+  const unsubscribeToken = createDailyHugToken({ tenantId: tenant.id, email, action: 'unsubscribe' });
+
+  const { contact } = await upsertContact(email, {}, {
+    tyg_subscribedailyhug: 'true',
+    tyg_dailyhug_consentat: confirmedAt,
+    tyg_dailyhug_consentip: ip || '',
+    tyg_dailyhug_unsubscribeurl: buildLink('unsubscribe-daily-hug', unsubscribeToken)
+  });
+  await addContactTags(contact.id, [tenant.tags.dailyHug]);
+  if (tenant.workflows.dailyHug) {
+    await addContactToWorkflow(contact.id, tenant.workflows.dailyHug);
+  }
+
+  const record = {
+    ...existing,
+    id,
+    tenantId: tenant.id,
+    email,
+    contactId: contact.id,
+    status: 'subscribed',
+    source: 'email_confirmation',
+    confirmedAt,
+    consentIp: ip,
+    consentUserAgent: userAgent,
+    unsubscribedAt: null,
+    unsubscribeIp: null
+  };
+  await store.put(record);
+  log.info('Subscribed', { email });
+  return record;
+}
+
+// Reverse a subscription: untag, leave the workflow and record when
+async function unsubscribeDailyHug(email, { ip = null } = {}) {
+  const tenant = getCurrentTenant();
+  const store = getSubscriptionStore();
+  const id = subscriptionId(tenant.id, email);
+  const existing = await store.get(id);
+
+  if (existing?.status === 'unsubscribed') {
+    return { ...existing, alreadyUnsubscribed: true };
+  }
+
+  const { contact } = await upsertContact(email, {}, { tyg_subscribedailyhug: 'false' });
+  await removeContactTags(contact.id, [tenant.tags.dailyHug]);
+  if (tenant.workflows.dailyHug) {
+    try {
+      await removeContactFromWorkflow(contact.id, tenant.workflows.dailyHug);
+    } catch (error) {
+      // Not enrolled (any more)
+      if (!(error instanceof GhlNotFoundError)) {
+        throw error;
+      }
+    }
+  }
+
+  const record = {
+    ...existing,
+    id,
+    tenantId: tenant.id,
+    email,
+    contactId: contact.id,
+    status: 'unsubscribed',
+    unsubscribedAt: new Date().toISOString(),
+    unsubscribeIp: ip
+  };
+  await store.put(record);
+  log.info('Unsubscribed', { email });
+  return record;
+}
+
+// Record an unsubscribe that already happened in GHL (reported by
+// /api/ghl-webhook), without calling GHL back. `source` says how: unsubscribe,
+// tag_removed or contact_deleted. Returns the record, or null when the email
+// had no pending or active subscription.
+async function recordDailyHugOptOut(email, { source }) {
+  const tenant = getCurrentTenant();
+  const store = getSubscriptionStore();
+  const existing = await store.get(subscriptionId(tenant.id, email));
+
+  if (!existing || existing.status === 'unsubscribed') {
+    return null;
+  }
+  // A pending subscription never had the tag, so its removal means nothing
+  if (source === 'tag_removed' && existing.status !== 'subscribed') {
+    return null;
+  }
+
+  const record = {
+    ...existing,
+    status: 'unsubscribed',
+    unsubscribedAt: new Date().toISOString(),
+    unsubscribeSource: source
+  };
+  await store.put(record);
+  log.info('Unsubscribed in GHL', { email, source });
+  return record;
+}
+
+// Page to send people to after clicking a link, when TYG_DAILY_HUG_PAGE_URL
+// is set; `status` is confirmed, unsubscribed, invalid or expired
+function getResultPageUrl(status) {
+  const page = process.env.TYG_DAILY_HUG_PAGE_URL;
+  if (!page) {
+    return null;
+  }
+  const url = new URL(page);
+  url.searchParams.set('status', status);
+  return url.toString();
+}
+
+export {
+  getSubscriptionStore,
+  setSubscriptionStore,
+  createDailyHugToken,
+  verifyDailyHugToken,
+  requestDailyHugConfirmation,
+  confirmDailyHug,
+  unsubscribeDailyHug,
+  recordDailyHugOptOut,
+  getResultPageUrl
+};
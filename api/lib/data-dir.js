@@ -0,0 +1,32 @@
+// Location for local state files (OAuth tokens, stores)
+//
+// Defaults to ./.data locally and /tmp/tyg-data on Vercel, where /tmp is
+// the only writable path. Override with TYG_DATA_DIR. On Vercel every
+// instance has its own /tmp and loses it on a cold start, so files there are
+// not durable: state that must outlive an instance needs a shared backend.
+
+import fs from 'fs';
+import path from 'path';
+
+function getDataDir() {
+  return process.env.TYG_DATA_DIR || (process.env.VERCEL ? '/tmp/tyg-data' : path.resolve('.data'));
+}
+
+// Whether files in the data directory outlive the instance and are seen by
+// every instance
+function isDataDirDurable() {
+  return !process.env.VERCEL;
+}
+
+// Resolve a file inside the data directory, creating the directory if needed
+function resolveDataPath(fileName) {
+  const dataDir = getDataDir();
+  fs.mkdirSync(dataDir, { recursive: true });
+  return path.join(dataDir, fileName);
+}
+
+export {
+  getDataDir,
+  isDataDirDurable,
+  resolveDataPath
+};
@@ -0,0 +1,228 @@
+// Typed errors for GoHighLevel API failures
+//
+// Every error carries the upstream status, the endpoint that failed, the
+// parsed upstream body and whether retrying could help. Handlers turn them
+// into responses with sendErrorResponse() so status codes stay consistent.
+
+import { parseRetryAfter } from './retry.js';
+
+class GhlError extends Error {
+  constructor(message, { status = null, endpoint = null, body = null, retryable = false, code = 'GHL_ERROR', cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.endpoint = endpoint;
+    this.body = body;
+    this.retryable = retryable;
+  }
+}
+
+// Required configuration (API key, OAuth token) is missing
+class GhlConfigError extends GhlError {
+  constructor(message, options = {}) {
+    super(message, { code: 'CONFIG_ERROR', ...options });
+  }
+}
+
+class GhlAuthError extends GhlError {
+  constructor(message, options = {}) {
+    super(message, { code: 'AUTH_ERROR', status: 401, ...options });
+  }
+}
+
+class GhlNotFoundError extends GhlError {
+  constructor(message, options = {}) {
+    super(message, { code: 'NOT_FOUND', status: 404, ...options });
+  }
+}
+
+class GhlRateLimitError extends GhlError {
+  constructor(message, { retryAfterMs = null, ...options } = {}) {
+    super(message, { code: 'RATE_LIMITED', status: 429, retryable: true, ...options });
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+class GhlTemplateError extends GhlError {
+  constructor(message, options = {}) {
+    super(message, { code: 'TEMPLATE_ERROR', ...options });
+  }
+}
+
+class GhlValidationError extends GhlError {
+  constructor(message, options = {}) {
+    super(message, { code: 'VALIDATION_ERROR', status: 422, ...options });
+  }
+}
+
+// 5xx, unexpected status codes, or unparseable responses
+class GhlUpstreamError extends GhlError {
+  constructor(message, options = {}) {
+    super(message, { code: 'UPSTREAM_ERROR', ...options });
+  }
+}
+
+// GHL didn't answer within the request timeout
+class GhlTimeoutError extends GhlUpstreamError {
+  constructor(message, options = {}) {
+    super(message, { code: 'TIMEOUT', retryable: true, ...options });
+  }
+}
+
+// The circuit breaker for an upstream is open, so the call wasn't attempted
+class GhlCircuitOpenError extends GhlError {
+  constructor(message, { retryAfterMs = null, ...options } = {}) {
+    super(message, { code: 'CIRCUIT_OPEN', retryable: true, ...options });
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// A request this service turned away itself (rate limits, bot checks).
+// Carries its own HTTP status and code; not a GHL failure.
+class RequestRejectedError extends Error {
+  constructor(message, { status = 403, code = 'REQUEST_REJECTED', detail = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.detail = detail;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Read an error response body as JSON, falling back to { message: text }
+async function parseErrorBody(response) {
+  const errorText = await response.text();
+  try {
+    return JSON.parse(errorText);
+  } catch {
+    return { message: errorText };
+  }
+}
+
+// Build the matching GhlError for a failed upstream response. Options:
+// - label: prefix for the message, e.g. "GHL API"
+// - authHint: appended to 401 messages to point at the right credential
+// - templateId: set on message sends so template failures are recognised
+function createGhlError(response, body, { endpoint, label = 'GHL API', authHint, templateId } = {}) {
+  const status = response.status;
+  const detail = body?.msg || body?.message || response.statusText;
+  const options = { status, endpoint, body };
+
+  if (status === 401 || status === 403) {
+    return new GhlAuthError(`${label} Authentication Failed (${status}): ${detail || 'Invalid credentials'}.${authHint ? ` ${authHint}` : ''}`, options);
+  }
+
+  if (templateId && typeof detail === 'string' && detail.includes('Template')) {
+    return new GhlTemplateError(`Template Error: ${detail}. Please verify the template ID (${templateId}) exists and is accessible in your GHL account. Use /api/list_templates to see available templates.`, options);
+  }
+
+  if (status === 404) {
+    return new GhlNotFoundError(`${label} Error: 404 - ${detail || 'Not found'}`, options);
+  }
+
+  if (status === 429) {
+    return new GhlRateLimitError(`${label} Error: 429 - ${detail || 'Too many requests'}`, {
+      ...options,
+      retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+    });
+  }
+
+  if (status === 400 || status === 422) {
+    return new GhlValidationError(`${label} Error: ${status} - ${detail}`, options);
+  }
+
+  return new GhlUpstreamError(`${label} Error: ${status} - ${detail}`, { ...options, retryable: status >= 500 });
+}
+
+// Map an error to an HTTP status and response body
+function toErrorResponse(error, { data, fallbackMessage = 'An error occurred while processing the request' } = {}) {
+  const isDevelopment = process.env.NODE_ENV === 'development';
+  let status = 500;
+  let message = 'Internal server error';
+  let detail = isDevelopment ? error.message : fallbackMessage;
+  const headers = {};
+
+  if (error instanceof RequestRejectedError) {
+    status = error.status;
+    message = error.message;
+    detail = error.detail || error.message;
+    if (error.retryAfterMs !== null) {
+      headers['Retry-After'] = String(Math.ceil(error.retryAfterMs / 1000));
+    }
+  } else if (error instanceof GhlConfigError) {
+    message = 'Server configuration error';
+    detail = error.message;
+  } else if (error instanceof GhlAuthError) {
+    message = 'Authentication error';
+    detail = 'GoHighLevel rejected the configured credentials';
+  } else if (error instanceof GhlNotFoundError) {
+    status = 404;
+    message = error.code === 'CONTACT_NOT_FOUND' ? 'Contact not found' : 'Not found';
+    detail = error.message;
+  } else if (error instanceof GhlTemplateError) {
+    status = 400;
+    message = 'Template not found';
+    detail = error.message;
+  } else if (error instanceof GhlValidationError) {
+    status = 400;
+    message = 'Invalid request';
+    detail = error.message;
+  } else if (error instanceof GhlRateLimitError) {
+    status = 503;
+    message = 'GoHighLevel rate limit reached, please try again shortly';
+    if (error.retryAfterMs !== null) {
+      headers['Retry-After'] = String(Math.ceil(error.retryAfterMs / 1000));
+    }
+  } else if (error instanceof GhlCircuitOpenError) {
+    status = 503;
+    message = 'GoHighLevel is temporarily unavailable, please try again shortly';
+    if (error.retryAfterMs !== null) {
+      headers['Retry-After'] = String(Math.ceil(error.retryAfterMs / 1000));
+    }
+  } else if (error instanceof GhlTimeoutError) {
+    status = 504;
+    message = 'GoHighLevel did not respond in time';
+  } else if (error instanceof GhlUpstreamError) {
+    status = 502;
+    message = 'GoHighLevel request failed';
+  }
+
+  const body = {
+    success: false,
+    message,
+    error: detail,
+    ...(error.code && (error instanceof GhlError || error instanceof RequestRejectedError) && { code: error.code }),
+    ...(data && { data })
+  };
+
+  return { status, body, headers };
+}
+
+// Send an error response in the standard shape
+function sendErrorResponse(res, error, options) {
+  const { status, body, headers } = toErrorResponse(error, options);
+  for (const [name, value] of Object.entries(headers)) {
+    res.setHeader(name, value);
+  }
+  return res.status(status).json(body);
+}
+
+export {
+  GhlError,
+  GhlConfigError,
+  GhlAuthError,
+  GhlNotFoundError,
+  GhlRateLimitError,
+  GhlTemplateError,
+  GhlValidationError,
+  GhlUpstreamError,
+  GhlTimeoutError,
+  GhlCircuitOpenError,
+  RequestRejectedError,
+  parseErrorBody,
+  createGhlError,
+  toErrorResponse,
+  sendErrorResponse
+};
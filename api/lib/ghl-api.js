@@ -1,56 +1,100 @@
 // GoHighLevel API Helper Functions
 
-const GHL_API_BASE = 'https://rest.gohighlevel.com/v1';
-const GHL_SERVICES_BASE = 'https://services.leadconnectorhq.com';
-const GHL_API_KEY = process.env.GHL_API_KEY;
-const GHL_OAUTH_TOKEN = process.env.GHL_OAUTH_TOKEN; // OAuth token (JWT) for services endpoint
-const GHL_LOCATION_ID = process.env.GHL_LOCATION_ID;
+import { fetchWithRetry, isTimeoutError } from './retry.js';
+import { createCircuitBreaker } from './circuit-breaker.js';
+import {
+  GhlError,
+  GhlConfigError,
+  GhlAuthError,
+  GhlNotFoundError,
+  GhlUpstreamError,
+  GhlTimeoutError,
+  parseErrorBody,
+  createGhlError
+} from './errors.js';
+import { hasOAuthCredentials, getAccessToken, refreshAccessToken } from './oauth.js';
+import { getCurrentTenant } from './tenants.js';
+import { createLogger, getRequestId } from './logger.js';
 
-// Helper function to make API requests
-async function ghlRequest(endpoint, options = {}) {
-  if (!GHL_API_KEY) {
-    const error = new Error('GHL_API_KEY environment variable is not set. Please configure it in Vercel project settings → Environment Variables.');
-    error.code = 'MISSING_API_KEY';
-    throw error;
+// Base URLs can be overridden (e.g. to point at the local mock in mock/ghl-server.js)
+const GHL_API_BASE = (process.env.GHL_API_BASE || 'https://rest.gohighlevel.com/v1').replace(/\/+$/, '');
+const GHL_SERVICES_BASE = (process.env.GHL_SERVICES_BASE || 'https://services.leadconnectorhq.com').replace(/\/+$/, '');
+// Credentials and location come from the current tenant (see tenants.js);
+// the OAuth token (JWT) for the services endpoint is managed by oauth.js
+
+// One circuit breaker per upstream, shared by all tenants
+const circuitBreakers = {
+  rest: createCircuitBreaker('rest'),
+  services: createCircuitBreaker('services')
+};
+
+const log = createLogger('GHL');
+
+// Custom field key→ID maps, cached per location
+const CUSTOM_FIELD_CACHE_TTL_MS = parseInt(process.env.GHL_CUSTOM_FIELD_CACHE_TTL_MS || '300000', 10);
+// Minimum age before a missing key triggers a refresh, so a field that truly
+// doesn't exist doesn't cause a refetch on every update
+const CUSTOM_FIELD_REFRESH_COOLDOWN_MS = 30000;
+const customFieldCache = new Map();
+
+// Paging limits for the fuzzy contact search fallback
+const CONTACT_SEARCH_PAGE_SIZE = 100;
+const CONTACT_SEARCH_MAX_PAGES = parseInt(process.env.GHL_CONTACT_SEARCH_MAX_PAGES || '50', 10);
+
+// Wrap network failures (fetch TypeErrors, timeouts) so callers only see GhlErrors
+function toGhlError(error, endpoint, label) {
+  if (error instanceof GhlError) {
+    return error;
+  }
+  if (isTimeoutError(error)) {
+    return new GhlTimeoutError(`${label} request timed out after ${error.timeoutMs}ms`, { endpoint, cause: error });
   }
+  return new GhlUpstreamError(`${label} request failed: ${error.message}`, { endpoint, retryable: true, cause: error });
+}
+
+// Shared request implementation for the rest and services APIs.
+// Request options (stripped before calling fetch):
+// - idempotent: `true` marks a POST as safe to retry on 5xx/network errors
+// - templateId: set on message sends so template failures raise GhlTemplateError
+// Calls go through the upstream's circuit breaker, which fails fast while open.
+function performRequest(baseUrl, endpoint, options, { breaker, ...requestOptions }) {
+  return breaker.execute(() => sendRequest(baseUrl, endpoint, options, requestOptions));
+}
 
-  const url = `${GHL_API_BASE}${endpoint}`;
+async function sendRequest(baseUrl, endpoint, options, { label, token, authHint }) {
+  const { idempotent, templateId, ...fetchOptions } = options;
+  const url = `${baseUrl}${endpoint}`;
   
   const headers = {
-    'Authorization': `Bearer ${GHL_API_KEY}`,
-    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`,
+    // Don't include Content-Type for requests without a body
+    ...(fetchOptions.body !== undefined && { 'Content-Type': 'application/json' }),
     'Version': '2021-07-28',
-    ...options.headers
+    // Lets GHL support trace a call back to our request
+    ...(getRequestId() && { 'X-Request-Id': getRequestId() }),
+    ...fetchOptions.headers
   };
 
-  console.log(`[GHL API] ${options.method || 'GET'} ${endpoint}`);
+  log.debug('Request', { api: label, method: fetchOptions.method || 'GET', endpoint });
 
   try {
-    const response = await fetch(url, {
-      ...options,
+    const response = await fetchWithRetry(url, {
+      ...fetchOptions,
       headers
-    });
+    }, { label, path: endpoint, idempotent });
 
     if (!response.ok) {
-      const errorText = await response.text();
-      let errorData;
-      try {
-        errorData = JSON.parse(errorText);
-      } catch {
-        errorData = { message: errorText };
-      }
+      const errorData = await parseErrorBody(response);
       
-      console.error(`[GHL API] Error ${response.status}:`, errorData);
-      
-      // Provide more helpful error messages
-      if (response.status === 401) {
-        const error = new Error(`GHL API Authentication Failed (401): ${errorData.msg || errorData.message || 'Invalid API key'}. Please verify your GHL_API_KEY in Vercel environment variables.`);
-        error.code = 'AUTH_ERROR';
-        error.status = 401;
-        throw error;
-      }
+      log.error('Request rejected', {
+        api: label,
+        endpoint,
+        status: response.status,
+        ghlMessage: errorData?.message || errorData?.msg || null
+      });
+      log.debug('Rejected response body', { api: label, endpoint, response: errorData });
       
-      throw new Error(`GHL API Error: ${response.status} - ${errorData.msg || errorData.message || response.statusText}`);
+      throw createGhlError(response, errorData, { endpoint, label, authHint, templateId });
     }
 
     // Check if response has content and try to parse as JSON
@@ -69,7 +113,7 @@ async function ghlRequest(endpoint, options = {}) {
         return JSON.parse(responseText);
       } catch (parseError) {
         // If JSON parse fails but we expected JSON, throw error
-        throw new Error(`Invalid JSON response: ${responseText.substring(0, 100)}`);
+        throw new GhlUpstreamError(`Invalid JSON response: ${responseText.substring(0, 100)}`, { status: response.status, endpoint, body: responseText });
       }
     }
     
@@ -81,101 +125,228 @@ async function ghlRequest(endpoint, options = {}) {
       raw: responseText 
     };
   } catch (error) {
-    console.error(`[GHL API] Request failed:`, error.message);
-    throw error;
+    log.error('Request failed', { api: label, endpoint, error: error.message });
+    throw toGhlError(error, endpoint, label);
   }
 }
 
-// Search for contact by email
-async function searchContactByEmail(email) {
-  console.log(`[GHL] Searching for contact with email: ${email}`);
-  
-  const url = `/contacts/?query=${encodeURIComponent(email)}`;
-  const data = await ghlRequest(url);
-  
-  // Handle different response structures
-  let contacts = [];
+// Helper function to make API requests
+async function ghlRequest(endpoint, options = {}) {
+  const { apiKey } = getCurrentTenant();
+  if (!apiKey) {
+    throw new GhlConfigError('GHL_API_KEY environment variable is not set. Please configure it in Vercel project settings → Environment Variables.', { code: 'MISSING_API_KEY', endpoint });
+  }
+
+  return performRequest(GHL_API_BASE, endpoint, options, {
+    breaker: circuitBreakers.rest,
+    label: 'GHL API',
+    token: apiKey,
+    authHint: 'Please verify your GHL_API_KEY in Vercel environment variables.'
+  });
+}
+
+// Normalise an email for matching: trimmed and case-folded as a whole.
+// Plus aliases (name+tag@domain) are kept intact because they are distinct
+// mailboxes and GHL stores them as distinct contacts.
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Pull the contact list out of the response shapes GHL uses
+function extractContacts(data) {
   if (data.contacts && Array.isArray(data.contacts)) {
-    contacts = data.contacts;
+    return data.contacts;
   } else if (data.contact) {
-    contacts = [data.contact];
+    return [data.contact];
   } else if (Array.isArray(data)) {
-    contacts = data;
+    return data;
+  }
+  return [];
+}
+
+// Exact-match lookup via the services duplicate-search endpoint
+async function lookupContactByEmail(email) {
+  const { locationId } = getCurrentTenant();
+  const params = new URLSearchParams({ email });
+  if (locationId) {
+    params.set('locationId', locationId);
   }
   
-  // Filter for exact email matches
-  const exactMatches = contacts.filter(contact => 
-    contact.email && contact.email.toLowerCase() === email.toLowerCase()
-  );
+  const data = await ghlOAuthRequest(`/contacts/search/duplicate?${params.toString()}`);
+  const contact = data.contact || null;
+  
+  return contact && normalizeEmail(contact.email) === email ? contact : null;
+}
+
+// Walk every page of the fuzzy /contacts/?query= search until an exact match
+async function searchContactPagesByEmail(email) {
+  let startAfterId = null;
+  let startAfter = null;
+  
+  for (let page = 1; page <= CONTACT_SEARCH_MAX_PAGES; page++) {
+    const params = new URLSearchParams({ query: email, limit: String(CONTACT_SEARCH_PAGE_SIZE) });
+    if (startAfterId) {
+      params.set('startAfterId', startAfterId);
+    }
+    if (startAfter) {
+      params.set('startAfter', String(startAfter));
+    }
+    
+    const data = await ghlRequest(`/contacts/?${params.toString()}`);
+    const contacts = extractContacts(data);
+    
+    // Filter for exact email matches
+    const match = contacts.find(contact => contact.email && normalizeEmail(contact.email) === email);
+    if (match) {
+      return match;
+    }
+    
+    // Stop on the last page (no cursor, or a short page)
+    const meta = data.meta || {};
+    if (!meta.startAfterId || contacts.length < CONTACT_SEARCH_PAGE_SIZE) {
+      return null;
+    }
+    startAfterId = meta.startAfterId;
+    startAfter = meta.startAfter || null;
+  }
   
-  const result = exactMatches.length > 0 ? exactMatches[0] : null;
+  log.warn('Stopped searching for contact', { email, pages: CONTACT_SEARCH_MAX_PAGES });
+  return null;
+}
+
+// Search for contact by email
+async function searchContactByEmail(email) {
+  const normalizedEmail = normalizeEmail(email);
+  log.debug('Searching for contact', { email: normalizedEmail });
+  
+  // The duplicate-search endpoint is exact, but needs a services token
+  const result = hasOAuthCredentials()
+    ? await lookupContactByEmail(normalizedEmail)
+    : await searchContactPagesByEmail(normalizedEmail);
   
   if (result) {
-    console.log(`[GHL] Found contact: ${result.id} (${result.name || result.email})`);
+    log.info('Found contact', { contactId: result.id, email: normalizedEmail });
   } else {
-    console.log(`[GHL] No contact found with email: ${email}`);
+    log.info('No contact found', { email: normalizedEmail });
   }
   
   return result;
 }
 
-// Get custom field definitions
-async function getCustomFieldDefinitions() {
-  console.log(`[GHL] Fetching custom field definitions...`);
-  
-  const endpoint = GHL_LOCATION_ID 
-    ? `/custom-fields/?locationId=${GHL_LOCATION_ID}`
+// Remove "contact." prefix from a custom field key if present
+function normalizeFieldKey(fieldKey) {
+  return fieldKey.startsWith('contact.') ? fieldKey.substring(8) : fieldKey;
+}
+
+// List raw custom field definitions (id, name, fieldKey, dataType)
+async function listCustomFields() {
+  const { locationId } = getCurrentTenant();
+  const endpoint = locationId 
+    ? `/custom-fields/?locationId=${locationId}`
     : '/custom-fields/';
   
   const data = await ghlRequest(endpoint);
   
+  return data.customFields && Array.isArray(data.customFields) ? data.customFields : [];
+}
+
+// Get custom field definitions
+async function getCustomFieldDefinitions() {
+  log.debug('Fetching custom field definitions');
+  
+  const customFields = await listCustomFields();
+  
   // Create mapping of field key to field ID
   const fieldMap = {};
-  if (data.customFields && Array.isArray(data.customFields)) {
-    data.customFields.forEach(field => {
-      if (field.id && field.fieldKey) {
-        // Remove "contact." prefix if present
-        const normalizedKey = field.fieldKey.startsWith('contact.') 
-          ? field.fieldKey.substring(8) 
-          : field.fieldKey;
-        fieldMap[normalizedKey] = field.id;
-      }
-    });
-  }
+  customFields.forEach(field => {
+    if (field.id && field.fieldKey) {
+      fieldMap[normalizeFieldKey(field.fieldKey)] = field.id;
+    }
+  });
   
-  console.log(`[GHL] Found ${Object.keys(fieldMap).length} custom fields`);
+  log.info('Fetched custom field definitions', { count: Object.keys(fieldMap).length });
   return fieldMap;
 }
 
-// Create a new contact
-async function createContact(contactData) {
-  console.log(`[GHL] Creating contact: ${contactData.email}`);
-  
-  const payload = {
-    email: contactData.email,
-    ...(contactData.firstName && { firstName: contactData.firstName }),
-    ...(contactData.lastName && { lastName: contactData.lastName }),
-    ...(contactData.name && { name: contactData.name }),
-    ...(contactData.phone && { phone: contactData.phone })
-  };
+// Create a custom field. GHL derives the key from the name, so the name
+// should be the desired key (e.g. "tyg_message") when the key matters.
+async function createCustomField({ name, dataType, fieldKey }) {
+  log.info('Creating custom field', { fieldName: name, dataType });
   
-  const data = await ghlRequest('/contacts/', {
+  const { locationId } = getCurrentTenant();
+  const data = await ghlRequest('/custom-fields/', {
     method: 'POST',
-    body: JSON.stringify(payload)
+    body: JSON.stringify({
+      name,
+      dataType,
+      ...(fieldKey && { fieldKey: `contact.${normalizeFieldKey(fieldKey)}` }),
+      ...(locationId && { locationId })
+    })
   });
   
-  const contact = data.contact || data;
-  console.log(`[GHL] Created contact: ${contact.id} (${contact.email})`);
+  const customField = data.customField || data;
+  log.info('Created custom field', { fieldId: customField.id, fieldKey: customField.fieldKey });
   
-  return contact;
+  // New fields must be visible to upsertContact straight away
+  invalidateCustomFieldCache(locationId);
+  
+  return customField;
 }
 
-// Update contact custom fields
-async function updateContactCustomFields(contactId, fieldUpdates) {
-  console.log(`[GHL] Updating custom fields for contact: ${contactId}`);
+// Get the custom field key→ID map, served from cache while fresh.
+// Concurrent callers share a single in-flight fetch.
+async function getCachedCustomFieldDefinitions({ forceRefresh = false } = {}) {
+  const cacheKey = getCurrentTenant().locationId || 'default';
+  const entry = customFieldCache.get(cacheKey);
+  
+  if (entry && entry.pending) {
+    return entry.pending;
+  }
   
+  if (entry && !forceRefresh && Date.now() - entry.fetchedAt < CUSTOM_FIELD_CACHE_TTL_MS) {
+    return entry.fieldMap;
+  }
+  
+  const pending = getCustomFieldDefinitions();
+  customFieldCache.set(cacheKey, { ...entry, pending });
+  
+  try {
+    const fieldMap = await pending;
+    customFieldCache.set(cacheKey, { fieldMap, fetchedAt: Date.now() });
+    return fieldMap;
+  } catch (error) {
+    // Keep serving the previous map (if any) rather than caching the failure
+    if (entry && entry.fieldMap) {
+      customFieldCache.set(cacheKey, { fieldMap: entry.fieldMap, fetchedAt: entry.fetchedAt });
+    } else {
+      customFieldCache.delete(cacheKey);
+    }
+    throw error;
+  }
+}
+
+// Drop cached custom field definitions for a location (or all locations).
+// Call after creating or renaming custom fields in GHL.
+function invalidateCustomFieldCache(locationId) {
+  if (locationId === undefined) {
+    customFieldCache.clear();
+  } else {
+    customFieldCache.delete(locationId || 'default');
+  }
+}
+
+// Resolve { fieldKey: value } updates to [{ id, value }] using the cached definitions
+async function resolveCustomFieldUpdates(fieldUpdates) {
   // Get field definitions to map field keys to IDs
-  const fieldDefinitions = await getCustomFieldDefinitions();
+  let fieldDefinitions = await getCachedCustomFieldDefinitions();
+  
+  // A missing key may have been created since the cache was filled
+  const cacheEntry = customFieldCache.get(getCurrentTenant().locationId || 'default');
+  const hasMissingKey = Object.keys(fieldUpdates).some(fieldKey => !fieldDefinitions[fieldKey]);
+  if (hasMissingKey && cacheEntry && Date.now() - cacheEntry.fetchedAt >= CUSTOM_FIELD_REFRESH_COOLDOWN_MS) {
+    log.info('Custom field missing from cache, refreshing definitions');
+    fieldDefinitions = await getCachedCustomFieldDefinitions({ forceRefresh: true });
+  }
   
   // Build customField array
   const customFields = [];
@@ -188,69 +359,36 @@ async function updateContactCustomFields(contactId, fieldUpdates) {
         id: fieldId,
         value: String(fieldValue)
       });
-      console.log(`[GHL]   - ${fieldKey} (${fieldId}): ${fieldValue}`);
+      // Field values are gram content; only the keys are logged
+      log.debug('Setting custom field', { fieldKey, fieldId });
     } else {
-      console.warn(`[GHL]   - Warning: Custom field "${fieldKey}" not found in GHL`);
+      log.warn('Custom field not found in GHL (run /api/provision_custom_fields or set GHL_AUTO_PROVISION_FIELDS=true)', { fieldKey });
     }
   }
   
-  if (customFields.length === 0) {
-    console.log(`[GHL] No custom fields to update`);
-    return null;
-  }
-  
-  const data = await ghlRequest(`/contacts/${contactId}`, {
-    method: 'PUT',
-    body: JSON.stringify({
-      customField: customFields
-    })
-  });
-  
-  const contact = data.contact || data;
-  console.log(`[GHL] Updated contact custom fields successfully`);
-  
-  return contact;
-}
-
-// Find or create contact by email
-async function findOrCreateContact(email, contactData = {}) {
-  console.log(`[GHL] Finding or creating contact: ${email}`);
-  
-  let contact = await searchContactByEmail(email);
-  
-  if (!contact) {
-    console.log(`[GHL] Contact not found, creating new contact...`);
-    contact = await createContact({
-      email: email,
-      ...contactData
-    });
-  } else {
-    console.log(`[GHL] Using existing contact: ${contact.id}`);
-  }
-  
-  return contact;
+  return customFields;
 }
 
 // Delete a contact by ID
 async function deleteContact(contactId) {
-  console.log(`[GHL] Deleting contact: ${contactId}`);
+  log.debug('Deleting contact', { contactId });
   
   await ghlRequest(`/contacts/${contactId}`, {
     method: 'DELETE'
   });
   
-  console.log(`[GHL] Successfully deleted contact: ${contactId}`);
+  log.info('Deleted contact', { contactId });
   return true;
 }
 
 // Delete a contact by email (searches first, then deletes)
 async function deleteContactByEmail(email) {
-  console.log(`[GHL] Deleting contact by email: ${email}`);
+  log.debug('Deleting contact by email', { email });
   
   const contact = await searchContactByEmail(email);
   
   if (!contact) {
-    console.log(`[GHL] Contact not found with email: ${email}`);
+    log.info('Contact to delete not found', { email });
     return false;
   }
   
@@ -258,112 +396,193 @@ async function deleteContactByEmail(email) {
   return true;
 }
 
-// Add tags to a contact
-async function addTagsToContact(contactId, tags) {
-  console.log(`[GHL] Adding tags to contact: ${contactId}`, tags);
+// Helper function to make services API requests with the OAuth token (JWT).
+// A 401 triggers one token refresh and retry.
+async function ghlOAuthRequest(endpoint, options = {}) {
+  const requestWithToken = token => performRequest(GHL_SERVICES_BASE, endpoint, options, {
+    breaker: circuitBreakers.services,
+    label: 'GHL Services API',
+    token,
+    authHint: 'Please verify the GHL OAuth token configuration.'
+  });
+
+  const token = await getAccessToken();
   
-  // Ensure tags is an array
-  const tagsArray = Array.isArray(tags) ? tags : [tags];
+  try {
+    return await requestWithToken(token);
+  } catch (error) {
+    if (!(error instanceof GhlAuthError)) {
+      throw error;
+    }
+    
+    let refreshedToken;
+    try {
+      log.info('OAuth token rejected, refreshing and retrying', { endpoint });
+      refreshedToken = await refreshAccessToken();
+    } catch (refreshError) {
+      // No refresh configured (or refresh failed): surface the original 401
+      log.warn('Could not refresh OAuth token', { endpoint, error: refreshError });
+      throw error;
+    }
+    return requestWithToken(refreshedToken);
+  }
+}
+
+// Whether a v2 call was turned away before GHL acted on it: the services API
+// refused the token or doesn't have the endpoint. A timeout or 5xx may have
+// been applied anyway, so it never counts.
+function isRefusedByServices(error) {
+  return error instanceof GhlAuthError || error instanceof GhlNotFoundError;
+}
+
+// Contact writes: the v2 services endpoint when OAuth is configured (it only
+// accepts a JWT), otherwise the v1 rest endpoint with the API key. A v2 call
+// the services API refused is made again over v1 when there is an API key;
+// any other failure is re-thrown, so a write is never applied twice.
+async function withRestFallback(writeV2, writeV1, endpoint) {
+  if (!hasOAuthCredentials()) {
+    return writeV1();
+  }
+
+  try {
+    return await writeV2();
+  } catch (error) {
+    if (!isRefusedByServices(error) || !getCurrentTenant().apiKey) {
+      throw error;
+    }
+    log.warn('Services API refused the request, retrying on the rest API', { endpoint, error: error.message });
+    return writeV1();
+  }
+}
+
+function ghlContactsRequest({ v2, v1 }, options = {}) {
+  return withRestFallback(
+    () => ghlOAuthRequest(v2, options),
+    () => ghlRequest(v1, options),
+    v2
+  );
+}
+
+// v2 upsert, matched on email. Replaying it never creates a duplicate.
+async function upsertContactV2(email, profileFields, customFields) {
+  const { locationId } = getCurrentTenant();
+  const data = await ghlOAuthRequest('/contacts/upsert', {
+    method: 'POST',
+    body: JSON.stringify({
+      email,
+      ...(locationId && { locationId }),
+      ...profileFields,
+      ...(customFields.length > 0 && {
+        customFields: customFields.map(({ id, value }) => ({ id, field_value: value }))
+      })
+    }),
+    idempotent: true
+  });
   
-  // Get current contact to preserve existing tags
-  const currentContact = await ghlRequest(`/contacts/${contactId}`);
-  const contact = currentContact.contact || currentContact;
+  return { contact: data.contact || data, isNew: Boolean(data.new) };
+}
+
+// v1 has no upsert: look the contact up by email, then update or create it.
+// A replay finds the contact created by the first attempt.
+async function upsertContactV1(email, profileFields, customFields) {
+  const payload = {
+    ...profileFields,
+    ...(customFields.length > 0 && { customField: customFields })
+  };
   
-  // Merge existing tags with new tags (avoid duplicates)
-  const existingTags = contact.tags || [];
-  const newTags = [...new Set([...existingTags, ...tagsArray])];
+  const existing = await searchContactPagesByEmail(email);
+  const data = existing
+    ? await ghlRequest(`/contacts/${existing.id}`, { method: 'PUT', body: JSON.stringify(payload) })
+    : await ghlRequest('/contacts/', { method: 'POST', body: JSON.stringify({ email, ...payload }) });
   
-  const data = await ghlRequest(`/contacts/${contactId}`, {
-    method: 'PUT',
-    body: JSON.stringify({
-      tags: newTags
-    })
-  });
+  return { contact: data.contact || data, isNew: !existing };
+}
+
+// Create or update a contact (matched on email) with its profile and custom
+// fields in one write. Returns { contact, isNew }.
+async function upsertContact(email, profile = {}, fields = {}) {
+  email = normalizeEmail(email);
+  log.debug('Upserting contact', { email });
+  
+  const customFields = await resolveCustomFieldUpdates(fields);
+  const profileFields = {
+    ...(profile.firstName && { firstName: profile.firstName }),
+    ...(profile.lastName && { lastName: profile.lastName }),
+    ...(profile.name && { name: profile.name }),
+    ...(profile.phone && { phone: profile.phone })
+  };
   
-  const updatedContact = data.contact || data;
-  console.log(`[GHL] Added tags to contact successfully. Tags: ${newTags.join(', ')}`);
+  const { contact, isNew } = await withRestFallback(
+    () => upsertContactV2(email, profileFields, customFields),
+    () => upsertContactV1(email, profileFields, customFields),
+    '/contacts/upsert'
+  );
+  log.info(isNew ? 'Created contact' : 'Updated contact', { contactId: contact.id });
   
-  return updatedContact;
+  return { contact, isNew };
 }
 
-// Helper function to make API requests to services endpoint
-async function ghlServicesRequest(endpoint, options = {}) {
-  if (!GHL_API_KEY) {
-    throw new Error('GHL_API_KEY environment variable is not set. Please configure it in Vercel project settings → Environment Variables.');
+// Add tags (additive, so safe to repeat)
+async function addContactTags(contactId, tags) {
+  const tagsArray = Array.isArray(tags) ? tags : [tags];
+  if (tagsArray.length === 0) {
+    return tagsArray;
   }
 
-  const url = `${GHL_SERVICES_BASE}${endpoint}`;
-  
-  const headers = {
-    'Authorization': `Bearer ${GHL_API_KEY}`,
-    'Content-Type': 'application/json',
-    'Version': '2021-07-28',
-    ...options.headers
-  };
+  await ghlContactsRequest({ v2: `/contacts/${contactId}/tags`, v1: `/contacts/${contactId}/tags/` }, {
+    method: 'POST',
+    body: JSON.stringify({ tags: tagsArray }),
+    idempotent: true
+  });
+  log.info('Added tags', { contactId, tags: tagsArray });
+  return tagsArray;
+}
 
-  console.log(`[GHL Services API] ${options.method || 'GET'} ${endpoint}`);
+// Remove tags (tags the contact doesn't have are ignored)
+async function removeContactTags(contactId, tags) {
+  const tagsArray = Array.isArray(tags) ? tags : [tags];
+  if (tagsArray.length === 0) {
+    return tagsArray;
+  }
 
-  try {
-    const response = await fetch(url, {
-      ...options,
-      headers
-    });
+  await ghlContactsRequest({ v2: `/contacts/${contactId}/tags`, v1: `/contacts/${contactId}/tags/` }, {
+    method: 'DELETE',
+    body: JSON.stringify({ tags: tagsArray })
+  });
+  log.info('Removed tags', { contactId, tags: tagsArray });
+  return tagsArray;
+}
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorData;
-      try {
-        errorData = JSON.parse(errorText);
-      } catch {
-        errorData = { message: errorText };
-      }
-      
-      console.error(`[GHL Services API] Error ${response.status}:`, errorData);
-      
-      // Provide more helpful error messages
-      if (response.status === 401) {
-        const error = new Error(`GHL API Authentication Failed (401): ${errorData.msg || errorData.message || 'Invalid API key'}. Please verify your GHL_API_KEY in Vercel environment variables.`);
-        error.code = 'AUTH_ERROR';
-        error.status = 401;
-        throw error;
-      }
-      
-      throw new Error(`GHL Services API Error: ${response.status} - ${errorData.msg || errorData.message || response.statusText}`);
-    }
+// Enroll a contact in a GHL workflow
+async function addContactToWorkflow(contactId, workflowId) {
+  await ghlContactsRequest({ v2: `/contacts/${contactId}/workflow/${workflowId}`, v1: `/contacts/${contactId}/workflow/${workflowId}` }, {
+    method: 'POST',
+    body: JSON.stringify({})
+  });
+  log.info('Added contact to workflow', { contactId, workflowId });
+}
 
-    // Check if response has content and try to parse as JSON
-    const contentType = response.headers.get('content-type') || '';
-    const responseText = await response.text();
-    
-    // If no content, return success indicator
-    if (!responseText || responseText.trim() === '') {
-      return { success: true };
-    }
-    
-    // If content-type indicates JSON, parse it
-    if (contentType.includes('application/json')) {
-      try {
-        return JSON.parse(responseText);
-      } catch (parseError) {
-        throw new Error(`Invalid JSON response: ${responseText.substring(0, 100)}`);
-      }
-    }
-    
-    // For non-JSON responses, return as text
-    return { 
-      success: true, 
-      message: responseText,
-      raw: responseText 
-    };
-  } catch (error) {
-    console.error(`[GHL Services API] Request failed:`, error.message);
-    throw error;
-  }
+async function removeContactFromWorkflow(contactId, workflowId) {
+  await ghlContactsRequest({ v2: `/contacts/${contactId}/workflow/${workflowId}`, v1: `/contacts/${contactId}/workflow/${workflowId}` }, {
+    method: 'DELETE'
+  });
+  log.info('Removed contact from workflow', { contactId, workflowId });
+}
+
+// Append a note to a contact. Not idempotent: a retried call adds a second note.
+async function addContactNote(contactId, body) {
+  const data = await ghlContactsRequest({ v2: `/contacts/${contactId}/notes`, v1: `/contacts/${contactId}/notes/` }, {
+    method: 'POST',
+    body: JSON.stringify({ body })
+  });
+  log.info('Added note', { contactId });
+  return data.note || data;
 }
 
 // Send email to contact using a template
-async function sendEmailTemplate(contactId, templateId) {
-  console.log(`[GHL] Sending email template to contact: ${contactId}, template: ${templateId}`);
+async function sendEmailTemplate(contactId, templateId, { subject = 'Someone shared encouragement with you' } = {}) {
+  const { locationId } = getCurrentTenant();
+  log.debug('Sending email template', { contactId, templateId });
   
   // Use the correct GHL API endpoint for sending emails
   // Try /conversations/messages (without /email) with type: 'Email' in body
@@ -371,152 +590,51 @@ async function sendEmailTemplate(contactId, templateId) {
     type: 'Email',
     contactId: contactId,
     templateId: templateId,
-    subject: 'Someone shared encouragement with you'
+    subject
   };
   
   // Try different endpoint patterns
   const endpoints = [];
   
   // Try services endpoint with OAuth token (if available)
-  if (GHL_OAUTH_TOKEN) {
+  if (hasOAuthCredentials()) {
     // Try services endpoint with locationId in header and OAuth token
-    if (GHL_LOCATION_ID) {
+    if (locationId) {
       endpoints.push({
         name: 'services.leadconnectorhq.com with locationId header (OAuth)',
-        request: async () => {
-          const url = `${GHL_SERVICES_BASE}/conversations/messages`;
-          const headers = {
-            'Authorization': `Bearer ${GHL_OAUTH_TOKEN}`,
-            'Content-Type': 'application/json',
-            'Version': '2021-07-28',
-            'locationId': GHL_LOCATION_ID
-          };
-          
-          console.log(`[GHL Services API] POST /conversations/messages (using OAuth token)`);
-          
-          const response = await fetch(url, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify(emailPayload)
-          });
-          
-          if (!response.ok) {
-            const errorText = await response.text();
-            let errorData;
-            try {
-              errorData = JSON.parse(errorText);
-            } catch {
-              errorData = { message: errorText };
-            }
-            
-            if (response.status === 401) {
-              const error = new Error(`GHL API Authentication Failed (401): ${errorData.message || 'Invalid OAuth token'}`);
-              error.code = 'AUTH_ERROR';
-              error.status = 401;
-              throw error;
-            }
-            
-            // Handle template not found errors specifically (500 with template message)
-            if (response.status === 500 && errorData.message && errorData.message.includes('Template')) {
-              const error = new Error(`Template Error: ${errorData.message}. Please verify the template ID exists and is accessible in your GHL account.`);
-              error.code = 'TEMPLATE_ERROR';
-              error.status = 500;
-              throw error;
-            }
-            
-            throw new Error(`GHL Services API Error: ${response.status} - ${errorData.message || response.statusText}`);
-          }
-          
-          const contentType = response.headers.get('content-type') || '';
-          const responseText = await response.text();
-          
-          if (!responseText || responseText.trim() === '') {
-            return { success: true };
-          }
-          
-          if (contentType.includes('application/json')) {
-            return JSON.parse(responseText);
-          }
-          
-          return { success: true, message: responseText };
-        }
+        request: () => ghlOAuthRequest('/conversations/messages', {
+          method: 'POST',
+          headers: { 'locationId': locationId },
+          body: JSON.stringify(emailPayload),
+          templateId
+        })
       });
     }
     
     // Try services endpoint without locationId in header (OAuth token)
     endpoints.push({
       name: 'services.leadconnectorhq.com (OAuth)',
-      request: async () => {
-        const url = `${GHL_SERVICES_BASE}/conversations/messages`;
-        const headers = {
-          'Authorization': `Bearer ${GHL_OAUTH_TOKEN}`,
-          'Content-Type': 'application/json',
-          'Version': '2021-07-28'
-        };
-        
-        console.log(`[GHL Services API] POST /conversations/messages (using OAuth token)`);
-        
-        const response = await fetch(url, {
-          method: 'POST',
-          headers,
-          body: JSON.stringify(emailPayload)
-        });
-        
-        if (!response.ok) {
-          const errorText = await response.text();
-          let errorData;
-          try {
-            errorData = JSON.parse(errorText);
-          } catch {
-            errorData = { message: errorText };
-          }
-          
-          if (response.status === 401) {
-            const error = new Error(`GHL API Authentication Failed (401): ${errorData.message || 'Invalid OAuth token'}`);
-            error.code = 'AUTH_ERROR';
-            error.status = 401;
-            throw error;
-          }
-          
-          // Handle template not found errors specifically (500 with template message)
-          if (response.status === 500 && errorData.message && errorData.message.includes('Template')) {
-            const error = new Error(`Template Error: ${errorData.message}. Please verify the template ID (${templateId}) exists and is accessible in your GHL account. Use /api/list_templates to see available templates.`);
-            error.code = 'TEMPLATE_ERROR';
-            error.status = 500;
-            throw error;
-          }
-          
-          throw new Error(`GHL Services API Error: ${response.status} - ${errorData.message || response.statusText}`);
-        }
-        
-        const contentType = response.headers.get('content-type') || '';
-        const responseText = await response.text();
-        
-        if (!responseText || responseText.trim() === '') {
-          return { success: true };
-        }
-        
-        if (contentType.includes('application/json')) {
-          return JSON.parse(responseText);
-        }
-        
-        return { success: true, message: responseText };
-      }
+      request: () => ghlOAuthRequest('/conversations/messages', {
+        method: 'POST',
+        body: JSON.stringify(emailPayload),
+        templateId
+      })
     });
   }
   
   // Try rest endpoint alternatives that work with API keys
   // Try campaigns/send endpoint
-  if (GHL_LOCATION_ID) {
+  if (locationId) {
     endpoints.push({
       name: 'rest.gohighlevel.com campaigns/send',
       request: () => ghlRequest(`/campaigns/send`, {
         method: 'POST',
         body: JSON.stringify({
-          locationId: GHL_LOCATION_ID,
+          locationId,
           contactId: contactId,
           templateId: templateId
-        })
+        }),
+        templateId
       })
     });
   }
@@ -529,8 +647,9 @@ async function sendEmailTemplate(contactId, templateId) {
       body: JSON.stringify({
         contactId: contactId,
         templateId: templateId,
-        ...(GHL_LOCATION_ID && { locationId: GHL_LOCATION_ID })
-      })
+        ...(locationId && { locationId })
+      }),
+      templateId
     })
   });
   
@@ -541,60 +660,66 @@ async function sendEmailTemplate(contactId, templateId) {
       method: 'POST',
       body: JSON.stringify({
         ...emailPayload,
-        ...(GHL_LOCATION_ID && { locationId: GHL_LOCATION_ID })
-      })
+        ...(locationId && { locationId })
+      }),
+      templateId
     })
   });
   
   // Try rest endpoint with locationId in path (last resort)
-  if (GHL_LOCATION_ID) {
+  if (locationId) {
     endpoints.push({
       name: 'rest.gohighlevel.com with locationId in path',
-      request: () => ghlRequest(`/locations/${GHL_LOCATION_ID}/conversations/messages`, {
+      request: () => ghlRequest(`/locations/${locationId}/conversations/messages`, {
         method: 'POST',
-        body: JSON.stringify(emailPayload)
+        body: JSON.stringify(emailPayload),
+        templateId
       })
     });
   }
   
   let lastError = null;
+  let authError = null;
   
   for (const endpoint of endpoints) {
     try {
-      console.log(`[GHL] Trying ${endpoint.name} endpoint...`);
+      log.debug('Trying email endpoint', { via: endpoint.name });
       const data = await endpoint.request();
       
-      console.log(`[GHL] Email template sent successfully to contact: ${contactId} via ${endpoint.name}`);
+      log.info('Sent email template', { contactId, templateId, via: endpoint.name, messageId: data?.messageId || null });
       return data;
     } catch (error) {
       lastError = error;
-      // If it's a 404 or 401, try next endpoint
-      if (error.message && (error.message.includes('404') || error.message.includes('Not found') || error.message.includes('401') || error.message.includes('Invalid JWT'))) {
-        console.log(`[GHL] ${endpoint.name} failed (${error.message}), trying next endpoint...`);
+      // If the endpoint doesn't exist or rejects our credentials, try next endpoint
+      if (error instanceof GhlNotFoundError || error instanceof GhlAuthError) {
+        authError = authError || (error instanceof GhlAuthError ? error : null);
+        log.info('Email endpoint failed, trying the next one', { via: endpoint.name, error: error.message });
         continue;
       }
-      // If it's not a 404/401, re-throw immediately
+      // Anything else (template errors, rate limits, 5xx) is re-thrown immediately
       throw error;
     }
   }
   
-  // If all endpoints failed, provide helpful error message
-  const has401Error = lastError?.message?.includes('401') || lastError?.message?.includes('Invalid JWT');
-  const has404Error = lastError?.message?.includes('404') || lastError?.message?.includes('Not found');
+  // An expired, non-refreshable OAuth token is the real cause; say so
+  if (authError && ['OAUTH_TOKEN_EXPIRED', 'OAUTH_REFRESH_FAILED'].includes(authError.code)) {
+    throw authError;
+  }
   
-  if (has401Error) {
-    throw new Error(`Email sending requires OAuth token authentication. The services.leadconnectorhq.com endpoint requires an OAuth token (JWT), not an API key. Please:
+  // If all endpoints failed, provide helpful error message
+  if (authError) {
+    throw new GhlAuthError(`Email sending requires OAuth token authentication. The services.leadconnectorhq.com endpoint requires an OAuth token (JWT), not an API key. Please:
 1. Go to GHL → Settings → Integrations → OAuth
 2. Create an OAuth app and get an OAuth token
 3. Add GHL_OAUTH_TOKEN environment variable in Vercel with the OAuth token
 4. Keep GHL_API_KEY for other operations (contacts, custom fields, etc.)
 5. Redeploy the application
 
-Alternatively, check GHL API documentation for the correct rest API endpoint for sending template emails with API keys.`);
+Alternatively, check GHL API documentation for the correct rest API endpoint for sending template emails with API keys.`, { status: lastError?.status, endpoint: lastError?.endpoint, body: lastError?.body, cause: lastError });
   }
   
-  if (has404Error) {
-    throw new Error(`All email endpoints returned 404. The rest.gohighlevel.com API does not appear to have an endpoint for sending template emails with API keys. 
+  // Every endpoint returned 404: this is a configuration problem, not a missing contact
+  throw new GhlUpstreamError(`All email endpoints returned 404. The rest.gohighlevel.com API does not appear to have an endpoint for sending template emails with API keys. 
     
 To send emails via template, you need to:
 1. Use the services.leadconnectorhq.com endpoint (requires OAuth token)
@@ -602,175 +727,100 @@ To send emails via template, you need to:
 
 Template ID: ${templateId}
 Contact ID: ${contactId}
-Last error: ${lastError?.message || 'Unknown error'}`);
-  }
-  
-  throw new Error(`All email endpoints failed. Last error: ${lastError?.message || 'Unknown error'}. Please verify the template ID (${templateId}) and API configuration.`);
+Last error: ${lastError?.message || 'Unknown error'}`, { status: lastError?.status, endpoint: lastError?.endpoint, body: lastError?.body, cause: lastError });
 }
 
 // Send email template to contact by email
 async function sendEmailTemplateByEmail(email, templateId) {
-  console.log(`[GHL] Sending email template to contact by email: ${email}, template: ${templateId}`);
+  log.debug('Sending email template by email', { email, templateId });
   
   // First, find the contact by email
   const contact = await searchContactByEmail(email);
   
   if (!contact) {
-    throw new Error(`Contact not found with email: ${email}`);
+    throw new GhlNotFoundError(`Contact not found with email: ${email}`, { code: 'CONTACT_NOT_FOUND' });
   }
   
   // Send the email template
   return await sendEmailTemplate(contact.id, templateId);
 }
 
+// Normalise the many template response shapes GHL uses into a flat list
+function extractTemplates(data) {
+  const candidates = [
+    data,
+    data.templates,
+    data.template,
+    data.data,
+    data.items,
+    data.results,
+    data.emailTemplates,
+    data.conversationTemplates
+  ];
+  const templates = candidates.find(candidate => Array.isArray(candidate)) || [];
+  
+  // Format templates to include name and id
+  return templates.map(template => ({
+    id: template.id || template._id || template.templateId,
+    name: template.name || template.templateName || template.subject || 'Unnamed Template',
+    subject: template.subject || template.name || '',
+    type: template.type || 'email',
+    ...(template.createdAt && { createdAt: template.createdAt }),
+    ...(template.updatedAt && { updatedAt: template.updatedAt })
+  }));
+}
+
 // List all email templates
 async function listEmailTemplates() {
-  console.log(`[GHL] Fetching email templates...`);
+  const { locationId } = getCurrentTenant();
+  log.debug('Fetching email templates');
   
-  if (!GHL_OAUTH_TOKEN) {
-    throw new Error('GHL_OAUTH_TOKEN is required to list email templates. Please configure it in Vercel environment variables.');
+  if (!hasOAuthCredentials()) {
+    throw new GhlConfigError('GHL_OAUTH_TOKEN is required to list email templates. Please configure it in Vercel environment variables.', { code: 'MISSING_OAUTH_TOKEN' });
   }
   
   // Try different endpoint patterns for listing templates
   // Based on GHL API: https://services.leadconnectorhq.com/templates/ with locationId in header
   const endpoints = [];
   
-  // Primary endpoint: /templates/ with locationId in header (as per GHL API docs)
-  if (GHL_LOCATION_ID) {
-    endpoints.push({
-      path: '/templates/',
-      useLocationIdInHeader: true
-    });
-  }
-  
-  // Fallback: try without trailing slash
-  if (GHL_LOCATION_ID) {
-    endpoints.push({
-      path: '/templates',
-      useLocationIdInHeader: true
-    });
-  }
-  
-  // Try location-specific paths as fallback
-  if (GHL_LOCATION_ID) {
-    endpoints.push({
-      path: `/locations/${GHL_LOCATION_ID}/templates`,
-      useLocationIdInHeader: false
-    });
+  if (locationId) {
+    // Primary endpoint: /templates/ with locationId in header (as per GHL API docs)
+    endpoints.push({ path: '/templates/', useLocationIdInHeader: true });
+    // Fallback: try without trailing slash
+    endpoints.push({ path: '/templates', useLocationIdInHeader: true });
+    // Try location-specific paths as fallback
+    endpoints.push({ path: `/locations/${locationId}/templates`, useLocationIdInHeader: false });
   }
   
   let lastError = null;
-  let lastSuccessfulResponse = null;
   
-  for (const endpointConfig of endpoints) {
+  for (const { path: endpoint, useLocationIdInHeader } of endpoints) {
     try {
-      const endpoint = typeof endpointConfig === 'string' ? endpointConfig : endpointConfig.path;
-      const useLocationIdInHeader = typeof endpointConfig === 'object' ? endpointConfig.useLocationIdInHeader : true;
-      
-      // Try services endpoint first
-      const url = `${GHL_SERVICES_BASE}${endpoint}`;
-      const headers = {
-        'Authorization': `Bearer ${GHL_OAUTH_TOKEN}`,
-        'Version': '2021-07-28',
-        ...(useLocationIdInHeader && GHL_LOCATION_ID && { 'locationId': GHL_LOCATION_ID })
-      };
-      
-      // Don't include Content-Type for GET requests (as per user's example)
+      log.debug('Trying template endpoint', { endpoint, locationIdInHeader: useLocationIdInHeader });
       
-      console.log(`[GHL] Trying services endpoint: ${endpoint}${useLocationIdInHeader && GHL_LOCATION_ID ? ' (with locationId in header)' : ''}`);
-      
-      const response = await fetch(url, {
+      const data = await ghlOAuthRequest(endpoint, {
         method: 'GET',
-        headers
+        ...(useLocationIdInHeader && { headers: { 'locationId': locationId } })
       });
       
-      if (!response.ok) {
-        const errorText = await response.text();
-        let errorData;
-        try {
-          errorData = JSON.parse(errorText);
-        } catch {
-          errorData = { message: errorText };
-        }
-        
-        if (response.status === 401) {
-          const error = new Error(`GHL API Authentication Failed (401): ${errorData.message || 'Invalid OAuth token'}`);
-          error.code = 'AUTH_ERROR';
-          error.status = 401;
-          throw error;
-        }
-        
-        // If 404, try next endpoint
-        if (response.status === 404) {
-          console.log(`[GHL] Endpoint ${endpoint} returned 404, trying next...`);
-          lastError = new Error(`Endpoint not found: ${endpoint}`);
-          continue;
-        }
-        
-        throw new Error(`GHL Services API Error: ${response.status} - ${errorData.message || response.statusText}`);
-      }
-      
-      const contentType = response.headers.get('content-type') || '';
-      const responseText = await response.text();
-      
-      if (!responseText || responseText.trim() === '') {
-        return { templates: [] };
-      }
-      
-      let data;
-      if (contentType.includes('application/json')) {
-        data = JSON.parse(responseText);
-      } else {
-        data = { message: responseText };
-      }
-      
-      // Log the raw response for debugging
-      console.log(`[GHL] Response from ${endpoint}:`, JSON.stringify(data, null, 2).substring(0, 1000));
+      log.debug('Template endpoint response', { endpoint, response: JSON.stringify(data).substring(0, 1000) });
       
-      // Extract templates from different possible response structures
-      let templates = [];
-      if (data.templates && Array.isArray(data.templates)) {
-        templates = data.templates;
-      } else if (data.template && Array.isArray(data.template)) {
-        templates = data.template;
-      } else if (Array.isArray(data)) {
-        templates = data;
-      } else if (data.data && Array.isArray(data.data)) {
-        templates = data.data;
-      } else if (data.items && Array.isArray(data.items)) {
-        templates = data.items;
-      } else if (data.results && Array.isArray(data.results)) {
-        templates = data.results;
-      } else if (data.emailTemplates && Array.isArray(data.emailTemplates)) {
-        templates = data.emailTemplates;
-      } else if (data.conversationTemplates && Array.isArray(data.conversationTemplates)) {
-        templates = data.conversationTemplates;
-      }
+      const formattedTemplates = extractTemplates(data);
       
       // If we got a successful response but no templates, return empty array
       // The endpoint is working correctly, just no templates exist
-      if (templates.length === 0) {
-        console.log(`[GHL] Endpoint ${endpoint} returned successfully but no templates found. Response:`, JSON.stringify(data, null, 2).substring(0, 500));
-        // Return empty array - this is a valid response (no templates in account)
+      if (formattedTemplates.length === 0) {
+        log.info('Template endpoint returned no templates', { endpoint });
         return { templates: [], count: 0, note: 'No templates found in your GHL account for this location.' };
       }
       
-      // Format templates to include name and id
-      const formattedTemplates = templates.map(template => ({
-        id: template.id || template._id || template.templateId,
-        name: template.name || template.templateName || template.subject || 'Unnamed Template',
-        subject: template.subject || template.name || '',
-        type: template.type || 'email',
-        ...(template.createdAt && { createdAt: template.createdAt }),
-        ...(template.updatedAt && { updatedAt: template.updatedAt })
-      }));
-      
-      console.log(`[GHL] Found ${formattedTemplates.length} email templates from ${endpoint}`);
+      log.info('Fetched email templates', { endpoint, count: formattedTemplates.length });
       return { templates: formattedTemplates, count: formattedTemplates.length };
     } catch (error) {
       lastError = error;
       // If it's a 404, try next endpoint
-      if (error.message && error.message.includes('404')) {
+      if (error instanceof GhlNotFoundError) {
+        log.debug('Template endpoint returned 404, trying the next one', { endpoint });
         continue;
       }
       // If it's not a 404, re-throw immediately
@@ -778,78 +828,57 @@ async function listEmailTemplates() {
     }
   }
   
-  // If all services endpoints returned empty or failed, try rest API
-  console.log(`[GHL] Services endpoints returned empty or failed, trying rest API...`);
+  // If all services endpoints failed, try rest API
+  log.info('Services template endpoints failed, trying the rest API');
   
-  if (GHL_LOCATION_ID) {
+  if (locationId) {
     try {
-      const restUrl = `${GHL_API_BASE}/locations/${GHL_LOCATION_ID}/templates`;
-      const headers = {
-        'Authorization': `Bearer ${GHL_API_KEY}`,
-        'Content-Type': 'application/json',
-        'Version': '2021-07-28'
-      };
-      
-      console.log(`[GHL] Trying rest API endpoint: /locations/${GHL_LOCATION_ID}/templates`);
-      
-      const response = await fetch(restUrl, {
-        method: 'GET',
-        headers
-      });
+      const data = await ghlRequest(`/locations/${locationId}/templates`);
+      log.debug('Rest API template response', { response: JSON.stringify(data).substring(0, 1000) });
       
-      if (response.ok) {
-        const data = await response.json();
-        console.log(`[GHL] Rest API response:`, JSON.stringify(data, null, 2).substring(0, 1000));
-        
-        // Extract templates
-        let templates = [];
-        if (data.templates && Array.isArray(data.templates)) {
-          templates = data.templates;
-        } else if (Array.isArray(data)) {
-          templates = data;
-        } else if (data.data && Array.isArray(data.data)) {
-          templates = data.data;
-        }
-        
-        if (templates.length > 0) {
-          const formattedTemplates = templates.map(template => ({
-            id: template.id || template._id || template.templateId,
-            name: template.name || template.templateName || template.subject || 'Unnamed Template',
-            subject: template.subject || template.name || '',
-            type: template.type || 'email',
-            ...(template.createdAt && { createdAt: template.createdAt }),
-            ...(template.updatedAt && { updatedAt: template.updatedAt })
-          }));
-          
-          console.log(`[GHL] Found ${formattedTemplates.length} email templates from rest API`);
-          return { templates: formattedTemplates, count: formattedTemplates.length };
-        }
+      const formattedTemplates = extractTemplates(data);
+      if (formattedTemplates.length > 0) {
+        log.info('Fetched email templates from the rest API', { count: formattedTemplates.length });
+        return { templates: formattedTemplates, count: formattedTemplates.length };
       }
     } catch (restError) {
-      console.log(`[GHL] Rest API also failed:`, restError.message);
+      log.warn('Rest API template listing failed too', { error: restError.message });
     }
   }
   
-  // If all endpoints failed or returned empty
-  if (lastSuccessfulResponse) {
-    console.log(`[GHL] Last successful response was from ${lastSuccessfulResponse.endpoint} but contained no templates.`);
-    return { templates: [], count: 0, note: 'Endpoint responded successfully but no templates found. Check if templates exist in your GHL account.' };
-  }
-  
-  throw new Error(`All template listing endpoints failed. Last error: ${lastError?.message || 'Unknown error'}. Please verify your OAuth token and location ID.`);
+  throw new GhlUpstreamError(`All template listing endpoints failed. Last error: ${lastError?.message || 'Unknown error'}. Please verify your OAuth token and location ID.`, {
+    status: lastError?.status,
+    endpoint: lastError?.endpoint,
+    body: lastError?.body,
+    cause: lastError
+  });
+}
+
+// Circuit breaker state per upstream, for the health endpoint
+function getCircuitBreakerStatus() {
+  return Object.fromEntries(
+    Object.entries(circuitBreakers).map(([name, breaker]) => [name, breaker.getStatus()])
+  );
 }
 
 export {
+  normalizeEmail,
   searchContactByEmail,
-  createContact,
-  updateContactCustomFields,
-  findOrCreateContact,
-  getCustomFieldDefinitions,
+  listCustomFields,
+  createCustomField,
+  normalizeFieldKey,
+  invalidateCustomFieldCache,
   deleteContact,
   deleteContactByEmail,
-  addTagsToContact,
+  upsertContact,
+  addContactTags,
+  removeContactTags,
+  addContactToWorkflow,
+  removeContactFromWorkflow,
+  addContactNote,
   sendEmailTemplate,
   sendEmailTemplateByEmail,
-  listEmailTemplates
+  listEmailTemplates,
+  getCircuitBreakerStatus
 };
 
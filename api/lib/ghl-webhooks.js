@@ -0,0 +1,332 @@
+// Inbound GoHighLevel webhooks (/api/ghl-webhook)
+//
+// GHL signs each webhook with its private key: X-GHL-Signature (Ed25519) or
+// the older X-WH-Signature (RSA-SHA256), both base64 over the raw body.
+// GHL_WEBHOOK_PUBLIC_KEY holds the public key from GHL's webhook docs (PEM)
+// and picks which header is checked.
+//
+// Events are processed once per webhookId: the outcome is kept in the
+// `ghl-webhook-events` store for TYG_GHL_WEBHOOK_RETENTION_MS, and events
+// older than that are refused so a replay can't outlive its record.
+//   EmailDelivered    marks the gram with that messageId delivered
+//   EmailBounced      marks it bounced and suppresses the recipient
+//   Unsubscribe       suppresses the contact and ends its Daily Hug
+//   ContactDelete     cancels grams still waiting for the contact and ends
+//                     its Daily Hug
+//   ContactTagUpdate  follows the tenant's suppression and Daily Hug tags
+// Other event types are acknowledged and ignored.
+
+import crypto from 'crypto';
+import { RequestRejectedError, GhlConfigError } from './errors.js';
+import { createRecordStore, versionOf } from './record-store.js';
+import { bufferRawBody, readRawBody } from './api-auth.js';
+import { getCurrentTenant } from './tenants.js';
+import { validate } from './validation.js';
+import { listOutbox, isCancellable, cancelSubmission, recordDeliveryEvent } from './outbox.js';
+import { suppressEmail, liftSuppression } from './suppression.js';
+import { recordDailyHugOptOut } from './daily-hug.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('GHL Webhook');
+
+const EVENT_RETENTION_MS = parseInt(process.env.TYG_GHL_WEBHOOK_RETENTION_MS || '2592000000', 10);
+// Events are swept every this many processed events on an instance
+const PRUNE_EVERY = 200;
+// How long an event being handled is reserved against a concurrent delivery
+// of the same event. A crashed invocation's claim runs out after this.
+const EVENT_CLAIM_MS = 60 * 1000;
+
+let eventStore = null;
+let eventsSincePrune = 0;
+let publicKey = null;
+
+function getWebhookEventStore() {
+  if (!eventStore) {
+    eventStore = createRecordStore('ghl-webhook-events');
+  }
+  return eventStore;
+}
+
+// Replace the processed-event backend (see record-store.js for the interface)
+function setWebhookEventStore(store) {
+  eventStore = store;
+}
+
+function getPublicKey() {
+  const pem = process.env.GHL_WEBHOOK_PUBLIC_KEY;
+  if (!pem) {
+    return null;
+  }
+  if (!publicKey || publicKey.pem !== pem) {
+    try {
+      // Vercel environment variables often hold the PEM with literal \n
+      publicKey = { pem, key: crypto.createPublicKey(pem.replace(/\\n/g, '\n')) };
+    } catch (error) {
+      throw new GhlConfigError(`GHL_WEBHOOK_PUBLIC_KEY is not a valid public key: ${error.message}`, { code: 'INVALID_WEBHOOK_KEY' });
+    }
+  }
+  return publicKey.key;
+}
+
+// Throw RequestRejectedError unless the request carries a valid GHL
+// signature for its body. The signature covers the exact bytes GHL sent, so
+// the route reads the unparsed body (see bufferRawBody()); afterwards it is
+// in req.rawBody.
+async function verifyGhlSignature(req) {
+  const key = getPublicKey();
+  if (!key) {
+    throw new RequestRejectedError('GHL webhooks are disabled', {
+      code: 'WEBHOOK_NOT_CONFIGURED',
+      detail: 'Set GHL_WEBHOOK_PUBLIC_KEY to accept GHL webhooks'
+    });
+  }
+
+  const ed25519 = key.asymmetricKeyType === 'ed25519';
+  const header = ed25519 ? 'x-ghl-signature' : 'x-wh-signature';
+  const signature = req.headers[header];
+  if (!signature) {
+    throw new RequestRejectedError('Unauthorized', {
+      status: 401,
+      code: 'SIGNATURE_REQUIRED',
+      detail: `Missing ${ed25519 ? 'X-GHL-Signature' : 'X-WH-Signature'} header`
+    });
+  }
+
+  await bufferRawBody(req);
+  const body = Buffer.isBuffer(req.rawBody) ? req.rawBody : Buffer.from(readRawBody(req));
+  const valid = crypto.verify(ed25519 ? null : 'sha256', body, key, Buffer.from(String(signature), 'base64'));
+  if (!valid) {
+    throw new RequestRejectedError('Unauthorized', {
+      status: 401,
+      code: 'INVALID_SIGNATURE',
+      detail: 'The GHL webhook signature does not match'
+    });
+  }
+}
+
+function hasTag(tags, tag) {
+  return tags.some(entry => String(entry).toLowerCase() === tag.toLowerCase());
+}
+
+// Fields every event needs
+const EVENT_SCHEMA = {
+  type: { type: 'string', required: true, maxLength: 64 },
+  eventId: { type: 'string', required: true, maxLength: 128 },
+  locationId: { type: 'string', maxLength: 64 },
+  timestamp: { type: 'string', maxLength: 64 }
+};
+
+const EMAIL_EVENT_SCHEMA = {
+  messageId: { type: 'string', required: true, maxLength: 128 },
+  email: { type: 'email' },
+  contactId: { type: 'string', maxLength: 64 },
+  reason: { type: 'string', maxLength: 500 }
+};
+
+const CONTACT_EVENT_SCHEMA = {
+  email: { type: 'email', required: true },
+  contactId: { type: 'string', maxLength: 64 }
+};
+
+// Fields each supported event reads, and what it does. `handle` runs in the
+// event's tenant context and returns a summary of the changes.
+const EVENT_TYPES = {
+  EmailDelivered: {
+    schema: EMAIL_EVENT_SCHEMA,
+    async handle(event) {
+      const grams = await recordDeliveryEvent(event.messageId, { status: 'delivered', at: event.occurredAt });
+      return { grams: grams.map(record => record.id) };
+    }
+  },
+  EmailBounced: {
+    schema: EMAIL_EVENT_SCHEMA,
+    async handle(event) {
+      const grams = await recordDeliveryEvent(event.messageId, {
+        status: 'bounced',
+        at: event.occurredAt,
+        reason: event.reason || null
+      });
+
+      const emails = new Set([event.email, ...grams.map(record => record.submission.recipientEmail)].filter(Boolean));
+      for (const email of emails) {
+        await suppressEmail(email, { reason: 'bounced', contactId: event.contactId, eventId: event.eventId, detail: event.reason || null });
+      }
+      return { grams: grams.map(record => record.id), suppressed: [...emails] };
+    }
+  },
+  Unsubscribe: {
+    schema: CONTACT_EVENT_SCHEMA,
+    async handle(event) {
+      await suppressEmail(event.email, { reason: 'unsubscribed', contactId: event.contactId, eventId: event.eventId });
+      const dailyHug = await recordDailyHugOptOut(event.email, { source: 'unsubscribe' });
+      return { suppressed: [event.email], dailyHugUnsubscribed: Boolean(dailyHug) };
+    }
+  },
+  ContactDelete: {
+    schema: CONTACT_EVENT_SCHEMA,
+    async handle(event) {
+      const tenantId = getCurrentTenant().id;
+      // Grams that haven't been sent, including ones a replay or an approval
+      // would still send, would recreate the contact
+      const waiting = (await listOutbox()).filter(record =>
+        record.tenantId === tenantId &&
+        isCancellable(record) &&
+        record.submission.recipientEmail === event.email
+      );
+      // One that is being sent right now can't be stopped and is left alone
+      const cancelled = [];
+      for (const record of waiting) {
+        if (await cancelSubmission(record)) {
+          cancelled.push(record.id);
+        }
+      }
+
+      const dailyHug = await recordDailyHugOptOut(event.email, { source: 'contact_deleted' });
+      return { cancelled, dailyHugUnsubscribed: Boolean(dailyHug) };
+    }
+  },
+  ContactTagUpdate: {
+    schema: {
+      ...CONTACT_EVENT_SCHEMA,
+      // The contact's full tag list after the change
+      tags: { type: 'array', required: true, minItems: 0 }
+    },
+    async handle(event) {
+      const { tags } = getCurrentTenant();
+      const current = event.tags;
+
+      let suppressed = false;
+      let unsuppressed = false;
+      if (hasTag(current, tags.suppressed)) {
+        await suppressEmail(event.email, { reason: 'tagged', contactId: event.contactId, eventId: event.eventId });
+        suppressed = true;
+      } else {
+        unsuppressed = await liftSuppression(event.email, { reason: 'tagged' });
+      }
+
+      const dailyHug = hasTag(current, tags.dailyHug)
+        ? null
+        : await recordDailyHugOptOut(event.email, { source: 'tag_removed' });
+      return { suppressed, unsuppressed, dailyHugUnsubscribed: Boolean(dailyHug) };
+    }
+  }
+};
+
+// Read an event from a webhook body. Returns { event, errors }; event types
+// this middleware doesn't handle only need the common fields.
+function readGhlEvent(body) {
+  const common = validate(EVENT_SCHEMA, {
+    type: body.type,
+    eventId: body.webhookId || body.eventId,
+    locationId: body.locationId,
+    timestamp: body.timestamp === undefined ? undefined : String(body.timestamp)
+  });
+  const eventType = EVENT_TYPES[common.value.type];
+  if (!eventType) {
+    return { event: { ...common.value, supported: false }, errors: common.errors };
+  }
+
+  const specific = validate(eventType.schema, {
+    ...body,
+    messageId: body.messageId || body.emailMessageId,
+    email: body.email || body.contact?.email,
+    // Contact events carry the contact's id as `id`
+    contactId: body.contactId || (common.value.type.startsWith('Contact') ? body.id : undefined),
+    reason: body.reason || body.bounceReason || body.error
+  });
+  return {
+    event: { ...common.value, ...specific.value, supported: true },
+    errors: [...common.errors, ...specific.errors]
+  };
+}
+
+async function pruneEvents(store, now) {
+  for (const record of await store.list(record => Date.parse(record.receivedAt) <= now - EVENT_RETENTION_MS)) {
+    await store.delete(record.id);
+  }
+}
+
+function eventInProgress(event) {
+  return new RequestRejectedError('Event is being processed', {
+    status: 409,
+    code: 'EVENT_IN_PROGRESS',
+    detail: `Event ${event.eventId} is being processed by another request; retry later`,
+    retryAfterMs: EVENT_CLAIM_MS
+  });
+}
+
+// Apply an event from readGhlEvent() for the current tenant, once. Returns
+// { status, eventId, type, result }; status is processed, ignored or
+// duplicate. The event ID is claimed with an `in_progress` record, read
+// back, before the event is handled, and a delivery that finds another
+// one's claim is refused with a 409 EVENT_IN_PROGRESS for GHL to retry. A
+// failure drops the claim and is thrown, so GHL's retry runs it again.
+async function processGhlEvent(event, now = Date.now()) {
+  const occurredAt = event.timestamp ? Date.parse(event.timestamp) : now;
+  if (Number.isNaN(occurredAt) || occurredAt <= now - EVENT_RETENTION_MS) {
+    throw new RequestRejectedError('Event too old', {
+      status: 400,
+      code: 'EVENT_EXPIRED',
+      detail: `Events older than ${Math.round(EVENT_RETENTION_MS / 86400000)} days are not processed`
+    });
+  }
+
+  const tenant = getCurrentTenant();
+  const store = getWebhookEventStore();
+  const id = `${tenant.id}:${event.eventId}`;
+  const existing = await store.get(id);
+  if (existing && existing.status !== 'in_progress') {
+    log.info('Already processed', { type: event.type, eventId: event.eventId });
+    return { status: 'duplicate', eventId: event.eventId, type: event.type, result: existing.result };
+  }
+  if (existing && existing.claimedUntil > now) {
+    throw eventInProgress(event);
+  }
+
+  const entry = {
+    id,
+    tenantId: tenant.id,
+    eventId: event.eventId,
+    type: event.type,
+    occurredAt: new Date(occurredAt).toISOString(),
+    receivedAt: new Date(now).toISOString()
+  };
+  // Only one delivery of the event gets past this, on any instance
+  const claimed = await store.putIf(
+    { ...entry, status: 'in_progress', result: null, claimedUntil: now + EVENT_CLAIM_MS },
+    versionOf(existing)
+  );
+  if (!claimed) {
+    throw eventInProgress(event);
+  }
+
+  let status = 'ignored';
+  let result = null;
+  try {
+    if (event.supported) {
+      result = await EVENT_TYPES[event.type].handle({ ...event, occurredAt: entry.occurredAt });
+      status = 'processed';
+    }
+  } catch (error) {
+    await store.delete(id);
+    throw error;
+  }
+
+  await store.put({ ...entry, status, result });
+  log.info(`Event ${status}`, { type: event.type, eventId: event.eventId });
+
+  if (++eventsSincePrune >= PRUNE_EVERY) {
+    eventsSincePrune = 0;
+    await pruneEvents(store, now);
+  }
+
+  return { status, eventId: event.eventId, type: event.type, result };
+}
+
+export {
+  getWebhookEventStore,
+  setWebhookEventStore,
+  verifyGhlSignature,
+  readGhlEvent,
+  processGhlEvent
+};
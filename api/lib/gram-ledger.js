@@ -0,0 +1,71 @@
+// Gram ledger: every gram ever submitted, per tenant
+//
+// The tyg_* custom fields only hold a contact's latest gram, so each
+// submission is also recorded here with its sender, recipient, message,
+// anonymity flag and delivery state, including GHL's delivered and bounced
+// reports. /api/grams reads a contact's sent and received history from it.
+// Entries share their id with the outbox record.
+
+import { createRecordStore } from './record-store.js';
+
+let gramStore = null;
+
+function getGramStore() {
+  if (!gramStore) {
+    gramStore = createRecordStore('grams');
+  }
+  return gramStore;
+}
+
+// Replace the ledger backend (see record-store.js for the interface)
+function setGramStore(store) {
+  gramStore = store;
+}
+
+// Create or update the ledger entry for an outbox record. `delivery` is the
+// record's describeDelivery() summary.
+async function recordGram(record, delivery) {
+  const { submission } = record;
+
+  const entry = {
+    id: record.id,
+    tenantId: record.tenantId,
+    senderEmail: submission.senderEmail,
+    senderName: submission.senderName || null,
+    recipientEmail: submission.recipientEmail,
+    recipientName: submission.recipientName,
+    message: submission.message,
+    sendAnonymously: submission.sendAnonymously,
+    submittedAt: submission.timestamp,
+    createdAt: record.createdAt,
+    deliverAt: delivery.deliverAt,
+    deliveryStatus: delivery.status,
+    sentAt: delivery.sentAt || null,
+    deliveredAt: delivery.deliveredAt || null,
+    bouncedAt: delivery.bouncedAt || null
+  };
+
+  await getGramStore().put(entry);
+  return entry;
+}
+
+// A contact's grams, newest first: { sent, received }
+async function listGramsForEmail(email, { tenantId } = {}) {
+  const entries = await getGramStore().list(entry =>
+    (!tenantId || entry.tenantId === tenantId) &&
+    (entry.senderEmail === email || entry.recipientEmail === email)
+  );
+  entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return {
+    sent: entries.filter(entry => entry.senderEmail === email),
+    received: entries.filter(entry => entry.recipientEmail === email)
+  };
+}
+
+export {
+  getGramStore,
+  setGramStore,
+  recordGram,
+  listGramsForEmail
+};
@@ -0,0 +1,241 @@
+// Idempotency keys for endpoints with side effects
+//
+// The first response for a key is stored and replayed (with an
+// Idempotent-Replayed: true header) for repeats within
+// TYG_IDEMPOTENCY_TTL_MS, so a double click or a network retry never runs
+// the GHL sync twice. A repeat that arrives while the first request is still
+// running waits for it on the same instance, or gets a 409 from another one.
+// Keys are scoped to the current tenant.
+
+import crypto from 'crypto';
+import { createRecordStore, versionOf } from './record-store.js';
+import { getCurrentTenant } from './tenants.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Idempotency');
+
+const IDEMPOTENCY_TTL_MS = parseInt(process.env.TYG_IDEMPOTENCY_TTL_MS || '86400000', 10);
+// How long an in-progress key blocks repeats before it is treated as abandoned
+const IDEMPOTENCY_LOCK_MS = parseInt(process.env.TYG_IDEMPOTENCY_LOCK_MS || '60000', 10);
+const MAX_KEY_LENGTH = 255;
+// Expired keys are swept every this many requests on an instance
+const PRUNE_EVERY = 200;
+
+// Requests in progress on this instance, by record id: { fingerprint, response }
+const inFlight = new Map();
+
+let idempotencyStore = null;
+let requestsSincePrune = 0;
+
+function getIdempotencyStore() {
+  if (!idempotencyStore) {
+    idempotencyStore = createRecordStore('idempotency');
+  }
+  return idempotencyStore;
+}
+
+// Replace the idempotency backend (see record-store.js for the interface)
+function setIdempotencyStore(store) {
+  idempotencyStore = store;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Stable hash of the parts of a request that define "the same request"
+function fingerprintRequest(value) {
+  return sha256(JSON.stringify(value));
+}
+
+// The client's key from the Idempotency-Key header or an `idempotencyKey` field
+function readIdempotencyKey(req, body = {}) {
+  const key = req.headers['idempotency-key'] || body.idempotencyKey;
+  if (!key) {
+    return null;
+  }
+  return String(key).trim().substring(0, MAX_KEY_LENGTH) || null;
+}
+
+async function pruneExpired(store, now) {
+  for (const record of await store.list(record => record.expiresAt <= now)) {
+    await store.delete(record.id);
+  }
+}
+
+function sendKeyReused(res) {
+  return res.status(422).json({
+    success: false,
+    message: 'Idempotency key reused',
+    error: 'This Idempotency-Key was already used for a different request',
+    code: 'IDEMPOTENCY_KEY_REUSED'
+  });
+}
+
+function sendInProgress(res, lockedUntil, now) {
+  res.setHeader('Retry-After', String(Math.max(1, Math.ceil((lockedUntil - now) / 1000))));
+  return res.status(409).json({
+    success: false,
+    message: 'Request already in progress',
+    error: 'A request with this Idempotency-Key is still being processed, retry shortly',
+    code: 'IDEMPOTENCY_IN_PROGRESS'
+  });
+}
+
+// Send a stored response, marking it as a replay
+function replayResponse(res, response) {
+  for (const [name, value] of Object.entries(response.headers || {})) {
+    res.setHeader(name, value);
+  }
+  res.setHeader('Idempotent-Replayed', 'true');
+  return res.status(response.status).json(response.body);
+}
+
+// A response wrapper that forwards to `res` and remembers what was sent
+function createResponseRecorder(res) {
+  const recorded = { status: 200, headers: {}, body: undefined };
+  const recorder = {
+    recorded,
+    setHeader(name, value) {
+      // CORS headers belong to the current request, not the stored response
+      if (!/^access-control-/i.test(name)) {
+        recorded.headers[name] = value;
+      }
+      res.setHeader(name, value);
+      return recorder;
+    },
+    status(code) {
+      recorded.status = code;
+      res.status(code);
+      return recorder;
+    },
+    json(body) {
+      recorded.body = body;
+      res.json(body);
+      return recorder;
+    }
+  };
+  return recorder;
+}
+
+// The store id of `key` for the current tenant
+function recordId(key) {
+  return sha256(`${getCurrentTenant().id}:${key}`);
+}
+
+// Send the response of an earlier request with the same key and fingerprint,
+// once it has finished (waiting for one still running on this instance).
+// Resolves with true when it did, so the caller can skip checks the first
+// request already passed, such as a single-use CAPTCHA token or a rate
+// limit; otherwise leave everything to runIdempotent().
+async function replayStoredResponse(res, { key, fingerprint }) {
+  const id = recordId(key);
+  const pending = inFlight.get(id);
+  if (pending) {
+    const response = pending.fingerprint === fingerprint ? await pending.response : null;
+    return response ? Boolean(replayResponse(res, response)) : false;
+  }
+
+  const existing = await getIdempotencyStore().get(id);
+  if (!existing || existing.expiresAt <= Date.now() || existing.status !== 'completed' || existing.fingerprint !== fingerprint) {
+    return false;
+  }
+  log.info('Replaying stored response');
+  replayResponse(res, existing.response);
+  return true;
+}
+
+// Run fn(res) once per key. fn writes its response through the res it is
+// given, which is recorded; responses with a status below 500 are stored
+// and replayed for repeats. 5xx responses and thrown errors release the key
+// so the client can retry.
+async function runIdempotent(res, { key, fingerprint }, fn) {
+  const id = recordId(key);
+
+  if (inFlight.has(id)) {
+    const pending = inFlight.get(id);
+    if (pending.fingerprint !== fingerprint) {
+      return sendKeyReused(res);
+    }
+    log.info('Waiting for in-flight request with the same key');
+    const response = await pending.response;
+    if (response) {
+      return replayResponse(res, response);
+    }
+  }
+
+  // Registered before the first await so concurrent repeats on this
+  // instance always find it. Resolves with the recorded response, or null
+  // when this request didn't run fn.
+  let settle;
+  inFlight.set(id, { fingerprint, response: new Promise(resolve => { settle = resolve; }) });
+  let response = null;
+
+  try {
+    const store = getIdempotencyStore();
+    const now = Date.now();
+    const existing = await store.get(id);
+
+    if (existing && existing.expiresAt > now) {
+      if (existing.fingerprint !== fingerprint) {
+        return sendKeyReused(res);
+      }
+
+      if (existing.status === 'completed') {
+        log.info('Replaying stored response');
+        response = existing.response;
+        return replayResponse(res, response);
+      }
+
+      if (existing.lockedUntil > now) {
+        return sendInProgress(res, existing.lockedUntil, now);
+      }
+    }
+
+    const record = {
+      id,
+      status: 'in_progress',
+      fingerprint,
+      lockedUntil: now + IDEMPOTENCY_LOCK_MS,
+      expiresAt: now + IDEMPOTENCY_TTL_MS,
+      createdAt: new Date(now).toISOString()
+    };
+    // Another instance may have taken the key since it was read
+    if (!(await store.putIf(record, versionOf(existing)))) {
+      return sendInProgress(res, record.lockedUntil, now);
+    }
+
+    if (++requestsSincePrune >= PRUNE_EVERY) {
+      requestsSincePrune = 0;
+      await pruneExpired(store, now);
+    }
+
+    const recorder = createResponseRecorder(res);
+    try {
+      await fn(recorder);
+    } catch (error) {
+      await store.delete(id);
+      throw error;
+    }
+
+    response = recorder.recorded;
+    if (response.status < 500) {
+      await store.put({ ...record, status: 'completed', lockedUntil: null, response });
+    } else {
+      await store.delete(id);
+    }
+    return res;
+  } finally {
+    inFlight.delete(id);
+    settle(response);
+  }
+}
+
+export {
+  getIdempotencyStore,
+  setIdempotencyStore,
+  fingerprintRequest,
+  readIdempotencyKey,
+  replayStoredResponse,
+  runIdempotent
+};
@@ -0,0 +1,205 @@
+// Structured logging with request IDs and PII redaction
+//
+// createLogger('GHL').info('Contact created', { contactId, email }) writes
+// one JSON line:
+//   {"time":"...","level":"info","component":"GHL","msg":"Contact created",
+//    "requestId":"...","contactId":"...","email":"[email:5d41402abc4b]"}
+// LOG_LEVEL is debug, info (default), warn, error or silent. LOG_FORMAT=pretty
+// prints "[GHL] Contact created {"requestId":"...",...}" instead, for local
+// development.
+//
+// Every handler is wrapped in withRequestLogging(): it takes the caller's
+// X-Request-Id (or Vercel's x-vercel-id), or makes one, returns it as
+// X-Request-Id and tags every log line and GHL call of the request with it.
+//
+// LOG_REDACTION decides what happens to personal data:
+// - hash (default): email addresses become a short hash, the same for every
+//   line, so one contact's lines can still be found; names and message
+//   bodies are replaced by their length. The hash is salted with
+//   LOG_HASH_SALT, or a salt derived from DAILY_HUG_TOKEN_SECRET,
+//   ADMIN_API_KEY or GHL_API_KEY, so it can't be matched against a list of
+//   known addresses. In production without any of them, emails are redacted.
+// - redact: emails become "[email]", names and bodies as above
+// - off: everything is logged as-is (local debugging only)
+// Fields are recognised by name (email, senderEmail, message, tyg_message,
+// recipientName, ...); emails inside any other string are caught too.
+
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+// Also matches URL-encoded addresses (name%40example.com) in request paths
+const EMAIL_PATTERN = /[a-z0-9._%+-]+(?:@|%40)[a-z0-9-]+(?:\.[a-z0-9-]+)+/gi;
+// Keys whose values are free text or a person's name
+const TEXT_KEYS = new Set(['message', 'tyg_message', 'body', 'note', 'text', 'html']);
+const NAME_KEYS = new Set(['name', 'firstName', 'lastName', 'senderName', 'recipientName', 'tyg_sendername', 'tyg_recipientname']);
+// Accepted incoming request IDs; anything else is replaced
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+const MAX_DEPTH = 5;
+
+const requestStorage = new AsyncLocalStorage();
+
+let derivedSalt = { secret: null, salt: '' };
+let warnedUnsalted = false;
+
+function getLevel() {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] ?? LEVELS.info;
+}
+
+function isProduction() {
+  return (process.env.VERCEL_ENV || process.env.NODE_ENV) === 'production';
+}
+
+// LOG_HASH_SALT, or a salt derived from a secret the deployment already has
+// (so the secret itself never reaches a hash). Empty when there is neither.
+function getHashSalt() {
+  if (process.env.LOG_HASH_SALT) {
+    return process.env.LOG_HASH_SALT;
+  }
+  const secret = process.env.DAILY_HUG_TOKEN_SECRET || process.env.ADMIN_API_KEY || process.env.GHL_API_KEY || null;
+  if (secret !== derivedSalt.secret) {
+    const salt = secret ? crypto.createHmac('sha256', secret).update('tyg-log-hash-salt').digest('hex') : '';
+    derivedSalt = { secret, salt };
+  }
+  return derivedSalt.salt;
+}
+
+function getRedaction() {
+  const configured = (process.env.LOG_REDACTION || 'hash').toLowerCase();
+  const mode = ['hash', 'redact', 'off'].includes(configured) ? configured : 'hash';
+  // Unsalted hashes of known addresses are easy to look up
+  if (mode === 'hash' && isProduction() && !getHashSalt()) {
+    if (!warnedUnsalted) {
+      warnedUnsalted = true;
+      write('warn', 'Logger', 'No LOG_HASH_SALT (or secret to derive it from) in production; email addresses are redacted instead of hashed');
+    }
+    return 'redact';
+  }
+  return mode;
+}
+
+function hashEmail(email) {
+  const digest = crypto.createHash('sha256')
+    .update(`${getHashSalt()}${email.trim().toLowerCase().replace('%40', '@')}`)
+    .digest('hex');
+  return `[email:${digest.substring(0, 12)}]`;
+}
+
+function redactEmails(text, mode) {
+  if (mode === 'off') {
+    return text;
+  }
+  return text.replace(EMAIL_PATTERN, email => (mode === 'hash' ? hashEmail(email) : '[email]'));
+}
+
+function isEmailKey(key) {
+  return /email$/i.test(key);
+}
+
+// A copy of `value` that is safe to log under `key`
+function redactValue(key, value, mode, depth = 0) {
+  if (value instanceof Error) {
+    return serializeError(value, mode);
+  }
+  if (value === null || value === undefined || mode === 'off') {
+    return value;
+  }
+  if (typeof value === 'string') {
+    if (TEXT_KEYS.has(key) || NAME_KEYS.has(key)) {
+      return `[redacted: ${value.length} chars]`;
+    }
+    // The whole value, even when it isn't a valid address
+    if (isEmailKey(key)) {
+      return mode === 'hash' ? hashEmail(value) : '[email]';
+    }
+    return redactEmails(value, mode);
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(entry => redactValue(key, entry, mode, depth + 1));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([entryKey, entry]) => [entryKey, redactValue(entryKey, entry, mode, depth + 1)])
+  );
+}
+
+function serializeError(error, mode) {
+  return {
+    name: error.name,
+    message: redactEmails(error.message, mode),
+    ...(error.code && { code: error.code }),
+    ...(error.status && { status: error.status }),
+    ...(error.stack && { stack: redactEmails(error.stack, mode) })
+  };
+}
+
+// The current request's ID, or null outside a request
+function getRequestId() {
+  return requestStorage.getStore()?.requestId || null;
+}
+
+// Wrap a handler so each request gets an ID: the caller's X-Request-Id (or
+// Vercel's x-vercel-id) when valid, or a new one. It is returned as
+// X-Request-Id and tags every log line and GHL call made while the handler
+// runs, and nothing after it.
+function withRequestLogging(handler) {
+  return (req, res) => {
+    const incoming = req.headers?.['x-request-id'] || req.headers?.['x-vercel-id'];
+    const requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+
+    res.setHeader('X-Request-Id', requestId);
+    return requestStorage.run({ requestId }, () => handler(req, res));
+  };
+}
+
+function write(level, component, msg, fields) {
+  if (LEVELS[level] < getLevel()) {
+    return;
+  }
+
+  const mode = getRedaction();
+  const safeFields = redactValue('', fields, mode) || {};
+  const requestId = getRequestId();
+  const sink = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+
+  if (process.env.LOG_FORMAT === 'pretty') {
+    const prettyFields = { ...(requestId && { requestId }), ...safeFields };
+    const extra = Object.keys(prettyFields).length > 0 ? ` ${JSON.stringify(prettyFields)}` : '';
+    sink(`[${component}] ${redactEmails(msg, mode)}${extra}`);
+    return;
+  }
+
+  sink(JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg: redactEmails(msg, mode),
+    ...(requestId && { requestId }),
+    ...safeFields
+  }));
+}
+
+// A logger whose lines carry `component` (e.g. "GHL", "Outbox")
+function createLogger(component) {
+  return {
+    debug: (msg, fields) => write('debug', component, msg, fields),
+    info: (msg, fields) => write('info', component, msg, fields),
+    warn: (msg, fields) => write('warn', component, msg, fields),
+    error: (msg, fields) => write('error', component, msg, fields)
+  };
+}
+
+export {
+  createLogger,
+  withRequestLogging,
+  getRequestId,
+  redactValue
+};
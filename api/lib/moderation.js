@@ -0,0 +1,153 @@
+// Moderation of gram content
+//
+// Every submission passes through moderateSubmission() before it is saved:
+// links, email addresses and phone numbers are stripped from the message,
+// then a classifier decides whether the gram can go out or has to be held
+// for review (/api/review_queue). The default classifier is rules-based:
+// it flags grams whose message or names contain a blocked word or match a
+// blocked pattern. Swap it for anything else (e.g. a hosted moderation API)
+// with setModerationClassifier().
+//
+// Rules come from TYG_MODERATION_WORDS (comma-separated), TYG_MODERATION_PATTERNS
+// (a JSON array of case-insensitive regular expressions) and/or
+// TYG_MODERATION_FILE (a JSON file with { "words": [...], "patterns": [...] }).
+
+import fs from 'fs';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Moderation');
+
+// What gets stripped from messages, in order (emails before links, so an
+// address's domain isn't taken for a link)
+const STRIP_RULES = [
+  { kind: 'emails', pattern: /[^\s@<>()]+@[^\s@<>()]+\.[a-z]{2,}/gi, replacement: '[email removed]' },
+  { kind: 'links', pattern: /\b(?:https?:\/\/|www\.)[^\s<>]+/gi, replacement: '[link removed]' },
+  { kind: 'links', pattern: /\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|co|me|ly|gg|xyz|info|biz|app|dev|link|site|online)\b(?:\/[^\s<>]*)?/gi, replacement: '[link removed]' },
+  // Nine or more digits, optionally separated: phone numbers, not dates
+  { kind: 'phones', pattern: /\+?\d(?:[\s().-]*\d){8,}/g, replacement: '[phone removed]' }
+];
+
+let rules = null;
+let classifier = null;
+
+function readRules() {
+  const fileRules = process.env.TYG_MODERATION_FILE
+    ? JSON.parse(fs.readFileSync(process.env.TYG_MODERATION_FILE, 'utf8'))
+    : {};
+  const envWords = (process.env.TYG_MODERATION_WORDS || '').split(',');
+  const envPatterns = process.env.TYG_MODERATION_PATTERNS ? JSON.parse(process.env.TYG_MODERATION_PATTERNS) : [];
+
+  const words = [...envWords, ...(fileRules.words || [])]
+    .map(word => String(word).trim().toLowerCase())
+    .filter(Boolean);
+  const patterns = [...envPatterns, ...(fileRules.patterns || [])]
+    .map(source => new RegExp(source, 'i'));
+
+  return { words: [...new Set(words)], patterns };
+}
+
+// Load the rules once per instance
+function getModerationRules() {
+  if (!rules) {
+    rules = readRules();
+  }
+  return rules;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Remove links and contact details from a message. Returns the cleaned text
+// and how many of each kind were removed.
+function sanitizeMessage(text) {
+  const removed = { links: 0, emails: 0, phones: 0 };
+  let result = text;
+
+  for (const { kind, pattern, replacement } of STRIP_RULES) {
+    result = result.replace(pattern, () => {
+      removed[kind] += 1;
+      return replacement;
+    });
+  }
+
+  return { text: result.replace(/[ \t]{2,}/g, ' ').trim(), removed };
+}
+
+// Whether a cleaned message has anything left besides the removal markers
+function hasMessageText(text) {
+  const markers = new Set(STRIP_RULES.map(rule => rule.replacement));
+  let rest = text;
+  for (const marker of markers) {
+    rest = rest.split(marker).join('');
+  }
+  return /[\p{L}\p{N}]/u.test(rest);
+}
+
+// Default classifier: flag blocked words (whole words, any case) and
+// blocked patterns in any of the texts
+function rulesClassifier({ texts }) {
+  const { words, patterns } = getModerationRules();
+  const reasons = [];
+
+  for (const word of words) {
+    const matcher = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(word)}($|[^\\p{L}\\p{N}])`, 'iu');
+    if (texts.some(text => matcher.test(text))) {
+      reasons.push(`blocked word "${word}"`);
+    }
+  }
+  for (const pattern of patterns) {
+    if (texts.some(text => pattern.test(text))) {
+      reasons.push(`blocked pattern /${pattern.source}/`);
+    }
+  }
+
+  return { flagged: reasons.length > 0, reasons };
+}
+
+function getModerationClassifier() {
+  return classifier || rulesClassifier;
+}
+
+// Replace the classifier. It is called with { texts, submission } (texts are
+// the cleaned message and the names) and returns, or resolves to,
+// { flagged, reasons }.
+function setModerationClassifier(fn) {
+  classifier = fn;
+}
+
+// Clean a submission's message and classify it. Returns the submission with
+// the cleaned message, and the moderation outcome to save with it: status
+// `passed` or `flagged`.
+async function moderateSubmission(submission) {
+  const { text, removed } = sanitizeMessage(submission.message);
+  const cleaned = { ...submission, message: text };
+
+  const { flagged, reasons = [] } = await getModerationClassifier()({
+    texts: [text, cleaned.senderName, cleaned.recipientName].filter(Boolean),
+    submission: cleaned
+  });
+
+  if (flagged) {
+    log.warn('Gram flagged for review', { recipientEmail: submission.recipientEmail, reasons });
+  }
+
+  return {
+    submission: cleaned,
+    moderation: {
+      status: flagged ? 'flagged' : 'passed',
+      reasons,
+      removed,
+      reviewedAt: null,
+      reviewNote: null
+    }
+  };
+}
+
+export {
+  sanitizeMessage,
+  hasMessageText,
+  rulesClassifier,
+  setModerationClassifier,
+  moderateSubmission
+};
@@ -0,0 +1,300 @@
+// GoHighLevel OAuth token lifecycle
+//
+// Keeps each tenant's services API access token (JWT) fresh: decodes its
+// `exp`, refreshes it shortly before expiry or after a 401, and persists
+// rotated tokens through a pluggable token store. GHL refresh tokens are
+// single use, so every refresh must be saved before the old one is discarded,
+// and saved somewhere the next instance will read it: after a cold start
+// with a store that lost it, only the spent refresh token from the
+// environment is left and the location must be re-authorized by hand.
+
+import fs from 'fs';
+import { GhlAuthError, GhlConfigError, parseErrorBody } from './errors.js';
+import { fetchWithRetry } from './retry.js';
+import { resolveDataPath, isDataDirDurable } from './data-dir.js';
+import { getCurrentTenant } from './tenants.js';
+import { createLogger, getRequestId } from './logger.js';
+
+const log = createLogger('GHL OAuth');
+
+const GHL_OAUTH_TOKEN_URL = process.env.GHL_OAUTH_TOKEN_URL ||
+  `${(process.env.GHL_SERVICES_BASE || 'https://services.leadconnectorhq.com').replace(/\/+$/, '')}/oauth/token`;
+// Refresh this long before the access token expires
+const REFRESH_SKEW_MS = parseInt(process.env.GHL_OAUTH_REFRESH_SKEW_MS || '300000', 10);
+
+// In-memory token store. Tokens are lost on cold start and re-seeded from
+// the tenant configuration, so it is only fit for tests.
+function createMemoryTokenStore() {
+  const tokensByTenant = new Map();
+  return {
+    name: 'memory',
+    durable: false,
+    async load(tenantId) {
+      return tokensByTenant.get(tenantId) || null;
+    },
+    async save(tenantId, tokens) {
+      tokensByTenant.set(tenantId, tokens);
+    }
+  };
+}
+
+// JSON file token store (the default), one entry per tenant. On Vercel this
+// lives in /tmp, so it only survives warm invocations; use a custom store
+// (setTokenStore) for durable storage.
+function createFileTokenStore(filePath = resolveDataPath('ghl-oauth-token.json')) {
+  async function readAll() {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  return {
+    name: 'file',
+    durable: isDataDirDurable(),
+    async load(tenantId) {
+      return (await readAll())[tenantId] || null;
+    },
+    async save(tenantId, tokens) {
+      const all = await readAll();
+      all[tenantId] = tokens;
+      // Write-then-rename so a crash never leaves a half-written refresh token
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(all, null, 2), { mode: 0o600 });
+      await fs.promises.rename(tempPath, filePath);
+    }
+  };
+}
+
+let tokenStore = process.env.GHL_TOKEN_STORE === 'memory'
+  ? createMemoryTokenStore()
+  : createFileTokenStore(process.env.GHL_TOKEN_STORE_PATH);
+
+// Per-tenant state: last tokens seen (loaded or refreshed), the in-flight
+// refresh and the outcome of the last refresh
+const tenantStates = new Map();
+
+function getState(tenant) {
+  if (!tenantStates.has(tenant.id)) {
+    tenantStates.set(tenant.id, { tokens: null, refreshPromise: null, lastRefreshAt: null, lastRefreshError: null, lastRefreshErrorCode: null });
+  }
+  return tenantStates.get(tenant.id);
+}
+
+// Replace the token store. A store is any object with
+// async load(tenantId) and async save(tenantId, tokens); it is taken to be
+// durable unless it sets `durable: false`.
+function setTokenStore(store) {
+  tokenStore = store;
+  tenantStates.clear();
+}
+
+// Whether a rotated refresh token survives a cold start
+function isTokenStoreDurable() {
+  return tokenStore.durable !== false;
+}
+
+// Decode the `exp` claim of a JWT into epoch milliseconds (null if absent/unparseable)
+function decodeJwtExpiry(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+// Tokens from the tenant configuration, used until a refresh has been stored
+function tokensFromTenant(tenant) {
+  const { accessToken, refreshToken } = tenant.oauth;
+  if (!accessToken && !refreshToken) {
+    return null;
+  }
+  return {
+    accessToken,
+    refreshToken,
+    expiresAt: accessToken ? decodeJwtExpiry(accessToken) : null
+  };
+}
+
+async function loadTokens(tenant) {
+  const state = getState(tenant);
+  if (!state.tokens) {
+    state.tokens = (await tokenStore.load(tenant.id)) || tokensFromTenant(tenant);
+  }
+  return state.tokens;
+}
+
+function canRefresh(tenant, tokens) {
+  return Boolean(tokens?.refreshToken && tenant.oauth.clientId && tenant.oauth.clientSecret);
+}
+
+// Whether OAuth is configured at all (synchronous, for choosing endpoints)
+function hasOAuthCredentials(tenant = getCurrentTenant()) {
+  const { accessToken, refreshToken, clientId, clientSecret } = tenant.oauth;
+  return Boolean(
+    getState(tenant).tokens?.accessToken ||
+    accessToken ||
+    (refreshToken && clientId && clientSecret)
+  );
+}
+
+async function requestNewTokens(tenant, refreshToken) {
+  const response = await fetchWithRetry(GHL_OAUTH_TOKEN_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json',
+      ...(getRequestId() && { 'X-Request-Id': getRequestId() })
+    },
+    body: new URLSearchParams({
+      client_id: tenant.oauth.clientId,
+      client_secret: tenant.oauth.clientSecret,
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+      user_type: 'Location'
+    }).toString()
+  }, { label: 'GHL OAuth', path: '/oauth/token' });
+
+  if (!response.ok) {
+    const body = await parseErrorBody(response);
+    throw new GhlAuthError(`GHL OAuth token refresh failed (${response.status}): ${body.error_description || body.message || body.error || response.statusText}`, {
+      code: 'OAUTH_REFRESH_FAILED',
+      status: response.status,
+      endpoint: '/oauth/token',
+      body
+    });
+  }
+
+  const data = await response.json();
+  return {
+    accessToken: data.access_token,
+    // Refresh tokens rotate; keep the old one only if GHL didn't send a new one
+    refreshToken: data.refresh_token || refreshToken,
+    expiresAt: data.expires_in
+      ? Date.now() + data.expires_in * 1000
+      : decodeJwtExpiry(data.access_token),
+    locationId: data.locationId || null,
+    refreshedAt: new Date().toISOString()
+  };
+}
+
+// Exchange the refresh token for a new access token and persist both.
+// Concurrent callers for the same tenant share one refresh.
+async function refreshAccessToken(tenant = getCurrentTenant()) {
+  const state = getState(tenant);
+  if (state.refreshPromise) {
+    return state.refreshPromise;
+  }
+
+  state.refreshPromise = (async () => {
+    const tokens = await loadTokens(tenant);
+    if (!canRefresh(tenant, tokens)) {
+      throw new GhlConfigError(`Cannot refresh the GHL OAuth token for tenant "${tenant.id}": a refresh token, client ID and client secret are required (GHL_OAUTH_REFRESH_TOKEN, GHL_OAUTH_CLIENT_ID, GHL_OAUTH_CLIENT_SECRET).`, { code: 'MISSING_OAUTH_REFRESH_CONFIG' });
+    }
+
+    log.info('Refreshing access token', { tenant: tenant.id });
+    try {
+      const nextTokens = await requestNewTokens(tenant, tokens.refreshToken);
+      await tokenStore.save(tenant.id, nextTokens);
+      state.tokens = nextTokens;
+      state.lastRefreshAt = nextTokens.refreshedAt;
+      state.lastRefreshError = null;
+      state.lastRefreshErrorCode = null;
+      log.info('Access token refreshed', {
+        tenant: tenant.id,
+        expiresAt: nextTokens.expiresAt ? new Date(nextTokens.expiresAt).toISOString() : null
+      });
+      if (!isTokenStoreDurable()) {
+        log.error('Rotated refresh token is not persisted: after a cold start the spent token from the environment is used and the location must be re-authorized. Register a durable store with setTokenStore().', {
+          tenant: tenant.id,
+          store: tokenStore.name || 'custom'
+        });
+      }
+      return nextTokens.accessToken;
+    } catch (error) {
+      state.lastRefreshError = error.message;
+      state.lastRefreshErrorCode = error.code || null;
+      log.error('Token refresh failed', { tenant: tenant.id, error: error.message });
+      throw error;
+    }
+  })();
+
+  try {
+    return await state.refreshPromise;
+  } finally {
+    state.refreshPromise = null;
+  }
+}
+
+// Get a usable access token, refreshing proactively when it is about to expire
+async function getAccessToken(tenant = getCurrentTenant()) {
+  const tokens = await loadTokens(tenant);
+
+  if (!tokens) {
+    throw new GhlConfigError('GHL_OAUTH_TOKEN environment variable is not set. Please configure it in Vercel environment variables.', { code: 'MISSING_OAUTH_TOKEN' });
+  }
+
+  const expiresSoon = !tokens.accessToken || (tokens.expiresAt && tokens.expiresAt - Date.now() < REFRESH_SKEW_MS);
+  if (!expiresSoon) {
+    return tokens.accessToken;
+  }
+
+  if (canRefresh(tenant, tokens)) {
+    return refreshAccessToken(tenant);
+  }
+
+  if (!tokens.accessToken) {
+    throw new GhlConfigError('GHL_OAUTH_REFRESH_TOKEN is set but GHL_OAUTH_CLIENT_ID and GHL_OAUTH_CLIENT_SECRET are missing, so no access token can be obtained.', { code: 'MISSING_OAUTH_REFRESH_CONFIG' });
+  }
+
+  // Still valid for a few minutes: use it, but warn that it can't be renewed
+  if (tokens.expiresAt > Date.now()) {
+    log.warn('Access token expires soon and no refresh token is configured', { expiresAt: new Date(tokens.expiresAt).toISOString() });
+    return tokens.accessToken;
+  }
+
+  throw new GhlAuthError(`GHL_OAUTH_TOKEN expired at ${new Date(tokens.expiresAt).toISOString()}. Configure GHL_OAUTH_REFRESH_TOKEN, GHL_OAUTH_CLIENT_ID and GHL_OAUTH_CLIENT_SECRET so it can be refreshed automatically, or replace the token.`, {
+    code: 'OAUTH_TOKEN_EXPIRED'
+  });
+}
+
+// Token state for the health endpoint (never includes the tokens themselves)
+async function getTokenStatus(tenant = getCurrentTenant()) {
+  const state = getState(tenant);
+  let tokens = null;
+  try {
+    tokens = await loadTokens(tenant);
+  } catch (error) {
+    return { configured: false, store: tokenStore.name || 'custom', persistent: isTokenStoreDurable(), errorCode: error.code || null, error: error.message };
+  }
+
+  const expiresAt = tokens?.expiresAt || null;
+  return {
+    configured: Boolean(tokens?.accessToken || tokens?.refreshToken),
+    store: tokenStore.name || 'custom',
+    persistent: isTokenStoreDurable(),
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    expiresInSeconds: expiresAt ? Math.round((expiresAt - Date.now()) / 1000) : null,
+    expired: expiresAt ? expiresAt <= Date.now() : null,
+    refreshable: canRefresh(tenant, tokens),
+    lastRefreshAt: state.lastRefreshAt,
+    ...(state.lastRefreshError && { lastRefreshErrorCode: state.lastRefreshErrorCode, lastRefreshError: state.lastRefreshError })
+  };
+}
+
+export {
+  createMemoryTokenStore,
+  createFileTokenStore,
+  setTokenStore,
+  isTokenStoreDurable,
+  decodeJwtExpiry,
+  hasOAuthCredentials,
+  getAccessToken,
+  refreshAccessToken,
+  getTokenStatus
+};
@@ -0,0 +1,724 @@
+// Durable outbox for TYG form submissions
+//
+// Every validated submission is saved before any GHL call, and each sync
+// step is recorded as it completes. When GHL fails part-way the record stays
+// pending, and replayOutbox() (POST /api/replay_outbox) resumes it from the
+// first unfinished step, so a GHL outage never loses a thank-you gram.
+//
+// A submission with a deliverAt syncs the sender, then stops before the
+// recipient's steps with status `scheduled`; dispatchScheduled()
+// (/api/dispatch_scheduled) finishes it once it is due. A submission flagged by moderation is saved with status
+// `review` and nothing is synced until approveSubmission() (approve on
+// /api/review_queue) releases it; rejectSubmission() marks it `rejected`.
+// Record statuses: pending, scheduled, review, completed, failed, cancelled,
+// rejected.
+//
+// Every save that changes a gram's delivery state is mirrored into the gram
+// ledger (gram-ledger.js), which keeps the per-contact history. GHL's
+// delivery and bounce webhooks update a sent gram through
+// recordDeliveryEvent().
+
+import crypto from 'crypto';
+import { upsertContact, addContactTags, addContactNote, sendEmailTemplate } from './ghl-api.js';
+import { ensureTygCustomFields } from './custom-fields.js';
+import { GhlTemplateError, GhlValidationError } from './errors.js';
+import { createRecordStore, versionOf } from './record-store.js';
+import { recordGram } from './gram-ledger.js';
+import { requestDailyHugConfirmation } from './daily-hug.js';
+import { getSuppression } from './suppression.js';
+import { getTenants, getCurrentTenant, runWithTenant } from './tenants.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Outbox');
+
+// A record that has failed this many times (or hit a template or validation
+// error) is marked `failed` and no longer replayed automatically
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.TYG_OUTBOX_MAX_ATTEMPTS || '10', 10);
+// How long a record is reserved by the invocation processing it. A crashed
+// invocation's record becomes replayable again after this.
+const OUTBOX_LOCK_MS = parseInt(process.env.TYG_OUTBOX_LOCK_MS || '60000', 10);
+// Recipients of a multi-recipient submission synced at the same time
+const RECIPIENT_CONCURRENCY = Math.max(1, parseInt(process.env.TYG_RECIPIENT_CONCURRENCY || '3', 10));
+// Also append each gram to both contacts' notes in GHL
+const CONTACT_NOTES_ENABLED = process.env.TYG_CONTACT_NOTES === 'true';
+
+// Created on first use so importing this module never touches the disk
+let outboxStore = null;
+
+function getOutboxStore() {
+  if (!outboxStore) {
+    outboxStore = createRecordStore('outbox');
+  }
+  return outboxStore;
+}
+
+// Replace the outbox backend (see record-store.js for the interface)
+function setOutboxStore(store) {
+  outboxStore = store;
+}
+
+// Scheduled grams wait in the outbox for a dispatcher run that may land on
+// another instance, so scheduling needs a store every instance shares
+function isSchedulingAvailable() {
+  return getOutboxStore().durable !== false;
+}
+
+// Whether a gram left pending is replayed without anyone stepping in: the
+// outbox has to be shared by every instance, and /api/replay_outbox has to
+// run on a schedule. vercel.json schedules it on Vercel; elsewhere set
+// TYG_OUTBOX_REPLAY_SCHEDULED=true once a scheduler calls it.
+function isReplayScheduled() {
+  return isSchedulingAvailable() &&
+    (Boolean(process.env.VERCEL) || process.env.TYG_OUTBOX_REPLAY_SCHEDULED === 'true');
+}
+
+// The custom fields written to both contacts
+function buildTygFields(submission) {
+  return {
+    tyg_recipientname: submission.recipientName,
+    tyg_recipientemail: submission.recipientEmail,
+    tyg_message: submission.message,
+    tyg_sendername: submission.senderName,
+    tyg_sendanonymously: submission.sendAnonymously ? 'true' : 'false',
+    tyg_subscribedailyhug: submission.subscribeDailyHug ? 'true' : 'false'
+  };
+}
+
+// Decide how the gram is delivered when the submission is saved, so a replay
+// delivers it the same way even if the configuration changed in between
+function planDelivery(submission, tenant) {
+  const template = submission.sendAnonymously ? 'anonymous' : 'named';
+  return {
+    mode: tenant.delivery,
+    template,
+    templateId: tenant.templates[template] || null,
+    deliverAt: submission.deliverAt || null,
+    timezone: submission.timezone || null
+  };
+}
+
+function formatPerson(name, email) {
+  return name ? `${name} <${email}>` : email;
+}
+
+// Note bodies for the sender's and recipient's contacts
+function buildGramNote(submission, side) {
+  const anonymity = submission.sendAnonymously ? ' (sent anonymously)' : '';
+  const heading = side === 'sender'
+    ? `TYG gram sent to ${formatPerson(submission.recipientName, submission.recipientEmail)}${anonymity}`
+    : `TYG gram received from ${formatPerson(submission.senderName, submission.senderEmail)}${anonymity}`;
+  return `${heading}\n${submission.timestamp}\n\n${submission.message}`;
+}
+
+// The first step a scheduled gram waits for its deliverAt at. The template
+// reads the recipient's tyg_* fields, so they are written right before the
+// send; written at submission, a gram to or from the same contact in the
+// meantime would replace the message.
+const FIRST_HELD_STEP = 'recipient_contact';
+
+// Whether the recipient's steps have to wait for a scheduled time
+function isDeliveryHeld(record, now = Date.now()) {
+  return Boolean(record.delivery?.deliverAt) && Date.parse(record.delivery.deliverAt) > now;
+}
+
+// Sync steps in order. Each returns values merged into record.results, which
+// later steps (and replays) read from. The contact steps write the custom
+// fields in the same upsert call.
+const SUBMISSION_STEPS = [
+  {
+    name: 'sender_contact',
+    async run({ submission }) {
+      const { contact } = await upsertContact(
+        submission.senderEmail,
+        {
+          firstName: submission.senderName || undefined,
+          name: submission.senderName || undefined
+        },
+        buildTygFields(submission)
+      );
+      return { senderContactId: contact.id };
+    }
+  },
+  {
+    name: 'sender_tag',
+    async run({ results }) {
+      await addContactTags(results.senderContactId, [getCurrentTenant().tags.sender]);
+    }
+  },
+  {
+    // Double opt-in: the sender is only subscribed once they click the link
+    name: 'daily_hug_confirmation',
+    async run({ submission, results }) {
+      if (submission.subscribeDailyHug) {
+        return {
+          dailyHug: await requestDailyHugConfirmation(submission.senderEmail, results.senderContactId)
+        };
+      }
+    }
+  },
+  {
+    name: 'recipient_contact',
+    async run({ submission }) {
+      const { contact } = await upsertContact(
+        submission.recipientEmail,
+        {
+          firstName: submission.recipientName,
+          name: submission.recipientName
+        },
+        buildTygFields(submission)
+      );
+      return { recipientContactId: contact.id };
+    }
+  },
+  {
+    name: 'recipient_tag',
+    async run({ results }) {
+      await addContactTags(results.recipientContactId, [getCurrentTenant().tags.recipient]);
+    }
+  },
+  {
+    name: 'sender_note',
+    async run({ submission, results }) {
+      if (CONTACT_NOTES_ENABLED) {
+        await addContactNote(results.senderContactId, buildGramNote(submission, 'sender'));
+      }
+    }
+  },
+  {
+    name: 'recipient_note',
+    async run({ submission, results }) {
+      if (CONTACT_NOTES_ENABLED) {
+        await addContactNote(results.recipientContactId, buildGramNote(submission, 'recipient'));
+      }
+    }
+  },
+  {
+    // Not retried automatically by fetchWithRetry (it's a non-idempotent POST),
+    // and only marked done once GHL accepted the message
+    name: 'deliver',
+    async run({ id, submission, delivery, results }) {
+      // Bounced, unsubscribed or tagged in GHL (see suppression.js)
+      const suppression = await getSuppression(submission.recipientEmail);
+      if (suppression) {
+        log.warn('Recipient is suppressed, gram not sent', { id, reason: suppression.reason });
+        return {
+          delivery: {
+            status: 'suppressed',
+            reason: `The recipient's address is suppressed (${suppression.reason})`
+          }
+        };
+      }
+
+      if (delivery.mode === 'workflow') {
+        log.info('Delivery deferred to the GHL workflow', { id });
+        return { delivery: { status: 'deferred' } };
+      }
+
+      if (!delivery.templateId) {
+        log.warn('No template configured, gram not sent', { id, template: delivery.template });
+        return {
+          delivery: {
+            status: 'skipped',
+            reason: `No ${delivery.template} template configured (set templates.${delivery.template} or TYG_${delivery.template.toUpperCase()}_TEMPLATE_ID)`
+          }
+        };
+      }
+
+      const data = await sendEmailTemplate(results.recipientContactId, delivery.templateId);
+      return {
+        delivery: {
+          status: 'sent',
+          messageId: data?.messageId || data?.id || null,
+          sentAt: new Date().toISOString()
+        }
+      };
+    }
+  }
+];
+
+// Steps about the sender only, shared by every record of a multi-recipient
+// submission
+const SENDER_STEPS = ['sender_contact', 'sender_tag', 'daily_hug_confirmation'];
+
+// Save a validated submission for the current tenant before syncing it.
+// Records of a multi-recipient submission share a `batchId`; `moderation` is
+// the outcome of moderateSubmission(), and a flagged one is held for review.
+async function enqueueSubmission(submission, { batchId = null, moderation = null } = {}) {
+  const now = new Date().toISOString();
+  const tenant = getCurrentTenant();
+  const inReview = moderation?.status === 'flagged';
+  const record = {
+    id: crypto.randomUUID(),
+    tenantId: tenant.id,
+    batchId,
+    status: inReview ? 'review' : 'pending',
+    moderation,
+    submission,
+    delivery: planDelivery(submission, tenant),
+    completedSteps: [],
+    results: {},
+    attempts: 0,
+    lastError: null,
+    // Held grams aren't processed, so reviewers can claim them right away
+    lockedUntil: inReview ? null : Date.now() + OUTBOX_LOCK_MS,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
+
+  await getOutboxStore().put(record);
+  await saveGram(record);
+  log.info(inReview ? 'Saved submission for review' : 'Saved submission', { id: record.id });
+  return record;
+}
+
+// Errors that will fail the same way on every replay
+function isPermanentFailure(error) {
+  return error instanceof GhlTemplateError || error instanceof GhlValidationError;
+}
+
+function saveRecord(record, changes) {
+  Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+  return getOutboxStore().put(record);
+}
+
+// Mirror the record's current state into the gram ledger
+function saveGram(record) {
+  return recordGram(record, describeDelivery(record));
+}
+
+// Run the steps a record hasn't completed yet, saving after each one. On
+// failure the record is left pending (or failed after OUTBOX_MAX_ATTEMPTS)
+// and the error is rethrown. Must run inside the record's tenant context.
+async function processSubmission(record) {
+  // Nothing reaches GHL until a reviewer approves the gram
+  if (record.status === 'review') {
+    return record;
+  }
+
+  await saveRecord(record, {
+    lockedUntil: Date.now() + OUTBOX_LOCK_MS,
+    // Records saved before delivery was planned at enqueue time
+    delivery: record.delivery || planDelivery(record.submission, getCurrentTenant())
+  });
+
+  let currentStep = null;
+  try {
+    // Create any missing tyg_* custom fields before writing to them
+    if (process.env.GHL_AUTO_PROVISION_FIELDS === 'true') {
+      await ensureTygCustomFields();
+    }
+
+    for (const step of SUBMISSION_STEPS) {
+      if (record.completedSteps.includes(step.name)) {
+        continue;
+      }
+
+      if (step.name === FIRST_HELD_STEP && isDeliveryHeld(record)) {
+        await saveRecord(record, { status: 'scheduled', lockedUntil: null, lastError: null });
+        await saveGram(record);
+        log.info('Delivery scheduled', { id: record.id, deliverAt: record.delivery.deliverAt });
+        return record;
+      }
+
+      currentStep = step.name;
+      log.debug('Running step', { id: record.id, step: step.name });
+      const output = await step.run(record);
+      await saveRecord(record, {
+        completedSteps: [...record.completedSteps, step.name],
+        results: { ...record.results, ...output }
+      });
+    }
+  } catch (error) {
+    const attempts = record.attempts + 1;
+    await saveRecord(record, {
+      status: attempts >= OUTBOX_MAX_ATTEMPTS || isPermanentFailure(error) ? 'failed' : 'pending',
+      attempts,
+      lockedUntil: null,
+      lastError: {
+        step: currentStep,
+        message: error.message,
+        code: error.code || null,
+        at: new Date().toISOString()
+      }
+    });
+    await saveGram(record);
+    log.warn('Step failed', { id: record.id, step: currentStep || 'setup', attempt: attempts, status: record.status, error });
+    throw error;
+  }
+
+  await saveRecord(record, {
+    status: 'completed',
+    attempts: record.attempts + 1,
+    lockedUntil: null,
+    lastError: null,
+    completedAt: new Date().toISOString()
+  });
+  await saveGram(record);
+  log.info('Completed', { id: record.id });
+  return record;
+}
+
+// processSubmission() that reports a failure instead of throwing it
+async function settleSubmission(record) {
+  try {
+    await processSubmission(record);
+    return { record, error: null };
+  } catch (error) {
+    return { record, error };
+  }
+}
+
+// Run fn over items with at most `limit` calls in flight, keeping their order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Sync the records of a multi-recipient submission. The sender's steps run
+// once, with the first record, and their results are copied to the others,
+// which then sync with at most RECIPIENT_CONCURRENCY in flight. Resolves with
+// one { record, error } per record, in order; failed records stay in the
+// outbox like single submissions. Must run inside the tenant context.
+async function processSubmissionBatch(records) {
+  // Grams held for review are left alone; the sender is synced with the others
+  const active = records.filter(record => record.status !== 'review');
+  if (active.length === 0) {
+    return records.map(record => ({ record, error: null }));
+  }
+  const outcomes = await processActiveBatch(active);
+  return records.map(record => outcomes.find(outcome => outcome.record === record) || { record, error: null });
+}
+
+// processSubmissionBatch() for records that aren't held for review
+async function processActiveBatch(records) {
+  const [first, ...rest] = records;
+  const firstOutcome = await settleSubmission(first);
+
+  // No recipient can sync without the sender contact: leave the others in
+  // the same state for a replay instead of failing the same way again
+  if (!SENDER_STEPS.every(step => first.completedSteps.includes(step))) {
+    for (const record of rest) {
+      await saveRecord(record, { status: first.status, lockedUntil: null, lastError: first.lastError });
+      await saveGram(record);
+    }
+    return [firstOutcome, ...rest.map(record => ({ record, error: firstOutcome.error }))];
+  }
+
+  const senderResults = {
+    senderContactId: first.results.senderContactId,
+    ...(first.results.dailyHug && { dailyHug: first.results.dailyHug })
+  };
+  const outcomes = await mapWithConcurrency(rest, RECIPIENT_CONCURRENCY, async record => {
+    await saveRecord(record, {
+      completedSteps: [...SENDER_STEPS],
+      results: { ...record.results, ...senderResults }
+    });
+    return settleSubmission(record);
+  });
+
+  return [firstOutcome, ...outcomes];
+}
+
+function isLocked(record, now = Date.now()) {
+  return Boolean(record.lockedUntil) && record.lockedUntil >= now;
+}
+
+function isReplayable(record, now = Date.now()) {
+  return record.status === 'pending' && !isLocked(record, now);
+}
+
+// Reserve a record for this invocation before acting on it. The lock is
+// written with putIf() against the version that was checked, so of two cron
+// runs (or a cron run and an admin change) on any instances, only one goes
+// ahead. Resolves with the claimed copy of the record, or null when it is
+// locked, gone, no longer matches `isClaimable` or was changed in between.
+async function claimRecord(id, isClaimable) {
+  const store = getOutboxStore();
+  const current = await store.get(id);
+  if (!current || isLocked(current) || !isClaimable(current)) {
+    return null;
+  }
+
+  return store.putIf(
+    { ...current, lockedUntil: Date.now() + OUTBOX_LOCK_MS, updatedAt: new Date().toISOString() },
+    versionOf(current)
+  );
+}
+
+// claimRecord() over a list, keeping the records that were claimed
+async function claimRecords(records, isClaimable) {
+  const claimed = [];
+  for (const record of records) {
+    const copy = await claimRecord(record.id, isClaimable);
+    if (copy) {
+      claimed.push(copy);
+    } else {
+      log.debug('Record claimed elsewhere, skipping', { id: record.id });
+    }
+  }
+  return claimed;
+}
+
+// Record statuses that are also the delivery status until the gram is sent
+const WAITING_STATUSES = ['scheduled', 'review', 'cancelled', 'rejected', 'failed'];
+
+// Delivery outcome for API responses: the deliver step's result once it has
+// run, otherwise the record's scheduled/review/cancelled/rejected/failed
+// state or `pending`
+function describeDelivery(record) {
+  const { mode, template, templateId, deliverAt = null, timezone = null } = record.delivery || {};
+  const waitingStatus = WAITING_STATUSES.includes(record.status) ? record.status : 'pending';
+  const result = record.results.delivery || { status: waitingStatus };
+  return { ...result, mode, template, templateId, deliverAt, timezone };
+}
+
+// Summary of a record for API responses (without the message body)
+function describeRecord(record) {
+  return {
+    id: record.id,
+    tenantId: record.tenantId,
+    batchId: record.batchId || null,
+    status: record.status,
+    completedSteps: record.completedSteps,
+    pendingSteps: SUBMISSION_STEPS.map(step => step.name).filter(name => !record.completedSteps.includes(name)),
+    delivery: describeDelivery(record),
+    moderation: record.moderation || null,
+    attempts: record.attempts,
+    lastError: record.lastError,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    completedAt: record.completedAt
+  };
+}
+
+async function listOutbox({ status } = {}) {
+  const records = await getOutboxStore().list(record => !status || record.status === status);
+  return records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function getSubmission(id) {
+  return getOutboxStore().get(id);
+}
+
+// Run records one at a time, each in its own tenant's context
+async function runRecords(records) {
+  const results = [];
+
+  for (const record of records) {
+    const tenant = getTenants().get(record.tenantId);
+    if (!tenant) {
+      await saveRecord(record, {
+        status: 'failed',
+        lastError: { step: null, message: `Unknown tenant "${record.tenantId}"`, code: 'UNKNOWN_TENANT', at: new Date().toISOString() }
+      });
+      await saveGram(record);
+      results.push(describeRecord(record));
+      continue;
+    }
+
+    try {
+      await runWithTenant(tenant, () => processSubmission(record));
+    } catch {
+      // Already recorded on the record by processSubmission
+    }
+    results.push(describeRecord(record));
+  }
+
+  return results;
+}
+
+// Resume pending submissions, oldest first, one at a time. With `id`, replay
+// just that record, even if it is marked failed.
+async function replayOutbox({ id, limit = 25 } = {}) {
+  let records;
+  if (id) {
+    const record = await claimRecord(id, current => ['pending', 'failed'].includes(current.status));
+    records = record ? [record] : [];
+  } else {
+    const pending = (await listOutbox({ status: 'pending' })).filter(record => isReplayable(record)).slice(0, limit);
+    records = await claimRecords(pending, isReplayable);
+  }
+
+  log.info('Replaying submissions', { count: records.length });
+  const results = await runRecords(records);
+
+  return {
+    replayed: results.length,
+    completed: results.filter(result => result.status === 'completed').length,
+    results
+  };
+}
+
+// Deliver scheduled grams that are due, earliest first. Each one is claimed
+// before it is sent, and one that was rescheduled, cancelled or claimed by
+// another run in the meantime is skipped.
+async function dispatchScheduled({ limit = 25, now = Date.now() } = {}) {
+  const isDue = record => record.status === 'scheduled' && !isDeliveryHeld(record, now);
+  const due = (await listOutbox({ status: 'scheduled' }))
+    .filter(record => isDue(record) && !isLocked(record))
+    .sort((a, b) => a.delivery.deliverAt.localeCompare(b.delivery.deliverAt))
+    .slice(0, limit);
+  const records = await claimRecords(due, isDue);
+
+  log.info('Dispatching scheduled grams', { count: records.length });
+  const results = await runRecords(records);
+
+  return {
+    dispatched: results.length,
+    sent: results.filter(result => result.delivery.status === 'sent').length,
+    results
+  };
+}
+
+// Whether a gram's delivery can still be rescheduled or cancelled. A gram
+// that is being synced or sent right now can't be.
+function isDeliveryChangeable(record) {
+  return ['pending', 'scheduled'].includes(record.status) &&
+    !record.completedSteps.includes('deliver') &&
+    !isLocked(record);
+}
+
+// Move a gram to a new time ({ deliverAt, timezone } from parseDeliverAt).
+// Resolves with the updated record, or null when the gram was claimed for
+// delivery (or changed) before the move could be saved.
+async function rescheduleSubmission(record, { deliverAt, timezone }) {
+  const claimed = await claimRecord(record.id, isDeliveryChangeable);
+  if (!claimed) {
+    return null;
+  }
+  await saveRecord(claimed, {
+    delivery: { ...claimed.delivery, deliverAt, timezone },
+    lockedUntil: null
+  });
+  await saveGram(claimed);
+  log.info('Rescheduled', { id: claimed.id, deliverAt });
+  return claimed;
+}
+
+// Whether a gram could still be sent: it is waiting, held for review, or
+// failed and could be replayed, and its email hasn't gone out
+function isCancellable(record) {
+  return ['pending', 'scheduled', 'review', 'failed'].includes(record.status) &&
+    !record.completedSteps.includes('deliver');
+}
+
+// Cancel a gram that hasn't been sent. Resolves with the cancelled record, or
+// null when it is being sent (or was changed) in the meantime.
+async function cancelSubmission(record) {
+  const claimed = await claimRecord(record.id, isCancellable);
+  if (!claimed) {
+    return null;
+  }
+  await saveRecord(claimed, { status: 'cancelled', lockedUntil: null });
+  await saveGram(claimed);
+  log.info('Cancelled', { id: claimed.id });
+  return claimed;
+}
+
+// Drop a gram that failed part-way when nothing will replay it. The client
+// is asked to send it again, so it is marked `cancelled` rather than left
+// pending, where a manual replay would send it a second time.
+async function withdrawSubmission(record) {
+  await saveRecord(record, { status: 'cancelled', lockedUntil: null });
+  await saveGram(record);
+  log.warn('Withdrawn, the client is asked to send it again', { id: record.id });
+  return record;
+}
+
+// Record what GHL reported about a sent email (`status` is delivered or
+// bounced) on the current tenant's grams with that message ID. Returns the
+// updated records.
+async function recordDeliveryEvent(messageId, { status, at = new Date().toISOString(), reason = null }) {
+  const tenantId = getCurrentTenant().id;
+  const records = await getOutboxStore().list(record =>
+    record.tenantId === tenantId &&
+    record.results.delivery?.messageId === messageId &&
+    // A bounce is final, even if a delivery report arrives after it
+    !(status === 'delivered' && record.results.delivery.status === 'bounced')
+  );
+
+  for (const record of records) {
+    const delivery = { ...record.results.delivery, status };
+    if (status === 'delivered') {
+      delivery.deliveredAt = at;
+    } else {
+      delivery.bouncedAt = at;
+      delivery.reason = reason;
+    }
+    await saveRecord(record, { results: { ...record.results, delivery } });
+    await saveGram(record);
+    log.info(`Email ${status}`, { id: record.id });
+  }
+  return records;
+}
+
+function isAwaitingReview(record) {
+  return record.status === 'review';
+}
+
+// Release a gram held for review and sync it right away. Resolves with the
+// result, or null when another decision (or a cancel) got there first.
+async function approveSubmission(record, { note = null } = {}) {
+  const claimed = await claimRecord(record.id, isAwaitingReview);
+  if (!claimed) {
+    return null;
+  }
+  await saveRecord(claimed, {
+    status: 'pending',
+    moderation: { ...claimed.moderation, status: 'approved', reviewedAt: new Date().toISOString(), reviewNote: note }
+  });
+  log.info('Approved', { id: claimed.id });
+  const [result] = await runRecords([claimed]);
+  return result;
+}
+
+async function rejectSubmission(record, { note = null } = {}) {
+  const claimed = await claimRecord(record.id, isAwaitingReview);
+  if (!claimed) {
+    return null;
+  }
+  await saveRecord(claimed, {
+    status: 'rejected',
+    lockedUntil: null,
+    moderation: { ...claimed.moderation, status: 'rejected', reviewedAt: new Date().toISOString(), reviewNote: note }
+  });
+  await saveGram(claimed);
+  log.info('Rejected', { id: claimed.id });
+  return describeRecord(claimed);
+}
+
+export {
+  SUBMISSION_STEPS,
+  getOutboxStore,
+  setOutboxStore,
+  isSchedulingAvailable,
+  isReplayScheduled,
+  enqueueSubmission,
+  processSubmission,
+  processSubmissionBatch,
+  listOutbox,
+  getSubmission,
+  replayOutbox,
+  dispatchScheduled,
+  isDeliveryChangeable,
+  rescheduleSubmission,
+  isCancellable,
+  cancelSubmission,
+  withdrawSubmission,
+  approveSubmission,
+  rejectSubmission,
+  recordDeliveryEvent,
+  describeRecord,
+  describeDelivery
+};
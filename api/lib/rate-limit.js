@@ -0,0 +1,92 @@
+// Fixed-window rate limits for public endpoints
+//
+// Each limit counts hits per key (a client IP, a sender email, ...) in a
+// window of `windowMs`; the first hit after the window ends starts a new
+// one. Counters live in a record store, so with the file backend they are
+// shared by everything using the same data directory, and with `memory`
+// they are per instance. Keys are scoped to the current tenant.
+
+import { createRecordStore } from './record-store.js';
+import { getCurrentTenant } from './tenants.js';
+
+// Expired counters are swept every this many hits on an instance
+const PRUNE_EVERY = 200;
+
+let rateLimitStore = null;
+let hitsSincePrune = 0;
+
+function getRateLimitStore() {
+  if (!rateLimitStore) {
+    rateLimitStore = createRecordStore('rate-limits');
+  }
+  return rateLimitStore;
+}
+
+// Replace the rate limit backend (see record-store.js for the interface)
+function setRateLimitStore(store) {
+  rateLimitStore = store;
+}
+
+// Read a limit from `<prefix>_MAX` and `<prefix>_WINDOW_MS`; a max of 0
+// turns it off
+function readLimit(prefix, { max, windowMs }) {
+  return {
+    max: parseInt(process.env[`${prefix}_MAX`] ?? String(max), 10),
+    windowMs: parseInt(process.env[`${prefix}_WINDOW_MS`] ?? String(windowMs), 10)
+  };
+}
+
+async function pruneExpired(store, now) {
+  const expired = await store.list(record => record.resetAt <= now);
+  for (const record of expired) {
+    await store.delete(record.id);
+  }
+}
+
+// Count `cost` hits for `key` under limit `name`. Returns { allowed, limit,
+// remaining, resetAt, retryAfterMs }; hits over the limit are not counted.
+async function consumeRateLimit(name, key, { max, windowMs }, { cost = 1, now = Date.now() } = {}) {
+  if (!max || max <= 0 || !key) {
+    return { allowed: true, limit: null, remaining: null, resetAt: null, retryAfterMs: 0 };
+  }
+
+  const store = getRateLimitStore();
+  const id = `${getCurrentTenant().id}:${name}:${key}`;
+  const existing = await store.get(id);
+  const current = existing && existing.resetAt > now
+    ? existing
+    : { id, count: 0, resetAt: now + windowMs };
+
+  if (current.count + cost > max) {
+    return {
+      allowed: false,
+      limit: max,
+      remaining: 0,
+      resetAt: current.resetAt,
+      retryAfterMs: current.resetAt - now
+    };
+  }
+
+  const updated = { ...current, count: current.count + cost };
+  await store.put(updated);
+
+  if (++hitsSincePrune >= PRUNE_EVERY) {
+    hitsSincePrune = 0;
+    await pruneExpired(store, now);
+  }
+
+  return {
+    allowed: true,
+    limit: max,
+    remaining: max - updated.count,
+    resetAt: updated.resetAt,
+    retryAfterMs: 0
+  };
+}
+
+export {
+  getRateLimitStore,
+  setRateLimitStore,
+  readLimit,
+  consumeRateLimit
+};
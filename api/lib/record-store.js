@@ -0,0 +1,262 @@
+// Keyed record stores for local state (outbox, idempotency keys, ...)
+//
+// A store holds JSON records with an `id` and has the interface
+//   async get(id), async put(record), async putIf(record, expectedVersion),
+//   async delete(id), async list(predicate)
+// Every write gives the record the next `version`. putIf() is a
+// compare-and-swap: it only writes when the stored record is still at
+// `expectedVersion` (versionOf() of the copy that was read, 0 when there was
+// none) and resolves with the record, or with null when another write got
+// there first. Claims (outbox records, webhook events, idempotency keys) rely
+// on it, so a shared backend must make it atomic.
+// The file store is an append-only JSON Lines file: every put appends the
+// full record and the latest line for an id wins, so a crash mid-write never
+// corrupts earlier records. Each instance keeps what it has read and only
+// parses lines appended since. Pick the backend with TYG_STORE (`file`, the
+// default, or `memory`), or pass any object with the same interface to the
+// feature's set*Store() function.
+//
+// `durable` says whether the records outlive the instance and are shared by
+// every instance. The file store isn't on Vercel, so production deployments
+// there need a shared backend (health reports STORE_NOT_PERSISTED until
+// then); custom stores count as durable unless they set `durable: false`.
+
+import fs from 'fs';
+import { resolveDataPath, isDataDirDurable } from './data-dir.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Store');
+
+// How long a writer waits for another process's file lock, and when a lock
+// left behind by a crashed one is taken over
+const LOCK_WAIT_MS = 5000;
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 10;
+
+// The version of a record as read from a store: 0 when there is none, and 1
+// for one written before records had versions
+function versionOf(record) {
+  return record ? record.version || 1 : 0;
+}
+
+function createMemoryRecordStore() {
+  const records = new Map();
+
+  function write(record) {
+    record.version = versionOf(records.get(record.id)) + 1;
+    records.set(record.id, record);
+    return record;
+  }
+
+  return {
+    name: 'memory',
+    durable: false,
+    async get(id) {
+      return records.get(id) || null;
+    },
+    async put(record) {
+      return write(record);
+    },
+    async putIf(record, expectedVersion) {
+      return versionOf(records.get(record.id)) === expectedVersion ? write(record) : null;
+    },
+    async delete(id) {
+      records.delete(id);
+    },
+    async list(predicate = () => true) {
+      return [...records.values()].filter(predicate);
+    }
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Run fn holding `lockPath`, a file only one process can create at a time
+async function withLockFile(lockPath, fn) {
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    try {
+      await (await fs.promises.open(lockPath, 'wx', 0o600)).close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      const stat = await fs.promises.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        log.warn('Taking over a stale lock', { file: lockPath });
+        await fs.promises.unlink(lockPath).catch(() => {});
+      } else if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for ${lockPath}`);
+      } else {
+        await sleep(LOCK_RETRY_MS);
+      }
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.promises.unlink(lockPath).catch(() => {});
+  }
+}
+
+function createFileRecordStore(filePath) {
+  // Writes are serialised so lines from concurrent puts never interleave,
+  // and hold a lock file so a version check and its append are atomic for
+  // every process sharing the file
+  let writeChain = Promise.resolve();
+  // Reads are serialised too, since each one moves `cache.offset`
+  let readChain = Promise.resolve();
+  // The live records as of `offset` bytes into the file (inode `ino`), so a
+  // read only parses the lines appended since, by this instance or another
+  // process, instead of the whole file
+  let cache = emptyCache(null);
+
+  function emptyCache(ino) {
+    return { records: new Map(), offset: 0, ino, lineCount: 0 };
+  }
+
+  function applyLines(text) {
+    for (const line of text.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      cache.lineCount++;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.deleted) {
+          cache.records.delete(entry.id);
+        } else {
+          cache.records.set(entry.id, entry.record);
+        }
+      } catch {
+        // A torn line from a crash; everything before it is intact
+        log.warn('Skipping unreadable line', { file: filePath });
+      }
+    }
+  }
+
+  async function readNewLines() {
+    let stat;
+    try {
+      stat = await fs.promises.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        cache = emptyCache(null);
+        return cache.records;
+      }
+      throw error;
+    }
+
+    // Compacted (a new file) or truncated since the last read: start over
+    if (stat.ino !== cache.ino || stat.size < cache.offset) {
+      cache = emptyCache(stat.ino);
+    }
+    if (stat.size > cache.offset) {
+      const handle = await fs.promises.open(filePath, 'r');
+      try {
+        const buffer = Buffer.alloc(stat.size - cache.offset);
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, cache.offset);
+        // Up to the last complete line; one still being written is read next time
+        const end = buffer.subarray(0, bytesRead).lastIndexOf(0x0a) + 1;
+        applyLines(buffer.subarray(0, end).toString('utf8'));
+        cache.offset += end;
+      } finally {
+        await handle.close();
+      }
+    }
+    return cache.records;
+  }
+
+  function readAll() {
+    readChain = readChain.catch(() => {}).then(readNewLines);
+    return readChain;
+  }
+
+  function locked(fn) {
+    const result = writeChain.catch(() => {}).then(() => withLockFile(`${filePath}.lock`, fn));
+    writeChain = result;
+    return result;
+  }
+
+  function append(entry) {
+    return fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+  }
+
+  // Append `record` as the next version, unless the stored one isn't at
+  // `expectedVersion` (undefined: any version). Resolves with the record or null.
+  function write(record, expectedVersion) {
+    return locked(async () => {
+      const current = (await readAll()).get(record.id);
+      if (expectedVersion !== undefined && versionOf(current) !== expectedVersion) {
+        return null;
+      }
+      record.version = versionOf(current) + 1;
+      await append({ id: record.id, record });
+      return record;
+    });
+  }
+
+  // Rewrite the file with only the live records (write-then-rename)
+  async function compact() {
+    return locked(async () => {
+      const records = await readAll();
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      const text = [...records.values()].map(record => `${JSON.stringify({ id: record.id, record })}\n`).join('');
+      await fs.promises.writeFile(tempPath, text, { mode: 0o600 });
+      await fs.promises.rename(tempPath, filePath);
+      const stat = await fs.promises.stat(filePath);
+      cache = { records, offset: stat.size, ino: stat.ino, lineCount: records.size };
+    });
+  }
+
+  return {
+    name: 'file',
+    path: filePath,
+    // On Vercel the data directory is per instance (see data-dir.js)
+    durable: isDataDirDurable(),
+    // Records are copies, like the JSON they were read from, so changing one
+    // doesn't change what later reads return
+    async get(id) {
+      await writeChain.catch(() => {});
+      const record = (await readAll()).get(id);
+      return record ? structuredClone(record) : null;
+    },
+    async put(record) {
+      return write(record);
+    },
+    async putIf(record, expectedVersion) {
+      return write(record, expectedVersion);
+    },
+    async delete(id) {
+      await locked(() => append({ id, deleted: true }));
+    },
+    async list(predicate = () => true) {
+      await writeChain.catch(() => {});
+      const records = await readAll();
+      // Superseded lines pile up with every update; drop them once they dominate
+      if (cache.lineCount > 1000 && cache.lineCount > records.size * 2) {
+        await compact();
+      }
+      return [...records.values()].filter(predicate).map(record => structuredClone(record));
+    },
+    compact
+  };
+}
+
+// The configured backend for a named store ("outbox" → outbox.jsonl)
+function createRecordStore(name) {
+  return process.env.TYG_STORE === 'memory'
+    ? createMemoryRecordStore()
+    : createFileRecordStore(resolveDataPath(`${name}.jsonl`));
+}
+
+export {
+  versionOf,
+  createMemoryRecordStore,
+  createFileRecordStore,
+  createRecordStore
+};
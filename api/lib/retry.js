@@ -0,0 +1,155 @@
+// Retry helpers for outbound HTTP calls
+//
+// Retries use jittered exponential backoff and honour Retry-After on 429s.
+// Non-idempotent requests (POSTs that create or send something) are only
+// retried when the upstream provably did not process them: a 429, or a
+// connection that never reached the server.
+//
+// Every attempt has a timeout (GHL_REQUEST_TIMEOUT_MS) covering the headers
+// and the body, so a stalled upstream can't hang the function.
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('Retry');
+
+const RETRY_MAX_ATTEMPTS = parseInt(process.env.GHL_RETRY_MAX_ATTEMPTS || '3', 10);
+const RETRY_BASE_DELAY_MS = parseInt(process.env.GHL_RETRY_BASE_DELAY_MS || '250', 10);
+const RETRY_MAX_DELAY_MS = parseInt(process.env.GHL_RETRY_MAX_DELAY_MS || '5000', 10);
+// Longest Retry-After we are willing to wait for inside a single function invocation
+const RETRY_AFTER_MAX_MS = parseInt(process.env.GHL_RETRY_AFTER_MAX_MS || '10000', 10);
+// Per-attempt timeout
+const REQUEST_TIMEOUT_MS = parseInt(process.env.GHL_REQUEST_TIMEOUT_MS || '8000', 10);
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']);
+
+// Network errors raised before the request reached the server
+const CONNECT_ERROR_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH']);
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isIdempotentMethod(method) {
+  return IDEMPOTENT_METHODS.has((method || 'GET').toUpperCase());
+}
+
+// Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+// Full-jitter exponential backoff for the given (1-based) attempt
+function backoffDelay(attempt, baseDelay = RETRY_BASE_DELAY_MS, maxDelay = RETRY_MAX_DELAY_MS) {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+// Abort reason for a timed-out attempt; fetch and body reads reject with it
+function createTimeoutError(method, path, timeoutMs) {
+  const error = new Error(`${method} ${path} timed out after ${timeoutMs}ms`);
+  error.name = 'TimeoutError';
+  error.code = 'ETIMEDOUT';
+  error.timeoutMs = timeoutMs;
+  return error;
+}
+
+function isTimeoutError(error) {
+  return error?.name === 'TimeoutError';
+}
+
+function isConnectError(error) {
+  const code = error?.cause?.code || error?.code;
+  return CONNECT_ERROR_CODES.has(code);
+}
+
+// fetch() with retries. Options:
+// - label: log prefix, e.g. "GHL API"
+// - idempotent: override the method-based idempotency check
+// - maxAttempts: override GHL_RETRY_MAX_ATTEMPTS for this call
+// - timeoutMs: override GHL_REQUEST_TIMEOUT_MS for this call
+async function fetchWithRetry(url, init = {}, options = {}) {
+  const method = (init.method || 'GET').toUpperCase();
+  const label = options.label || 'HTTP';
+  const idempotent = options.idempotent ?? isIdempotentMethod(method);
+  const maxAttempts = Math.max(1, options.maxAttempts ?? RETRY_MAX_ATTEMPTS);
+  const timeoutMs = options.timeoutMs ?? REQUEST_TIMEOUT_MS;
+  const path = options.path || url;
+
+  for (let attempt = 1; ; attempt++) {
+    let response;
+
+    // The timer stays armed after fetch resolves so reading the body is
+    // bounded too; aborting a finished request is a no-op
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(createTimeoutError(method, path, timeoutMs)), timeoutMs);
+    timer.unref?.();
+
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      clearTimeout(timer);
+      // A timed-out POST may still have been processed, so only idempotent requests retry it
+      const retryable = idempotent || isConnectError(error);
+      if (!retryable || attempt >= maxAttempts) {
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt);
+      const reason = isTimeoutError(error) ? `timeout after ${timeoutMs}ms` : `network error: ${error.cause?.code || error.message}`;
+      log.warn('Retrying', { api: label, method, path, attempt, of: maxAttempts - 1, delayMs: delay, reason });
+      await sleep(delay);
+      continue;
+    }
+
+    if (!RETRYABLE_STATUSES.has(response.status) || attempt >= maxAttempts) {
+      return response;
+    }
+
+    // A 5xx on a non-idempotent request may have been partially applied upstream
+    if (response.status !== 429 && !idempotent) {
+      return response;
+    }
+
+    let delay = backoffDelay(attempt);
+    if (response.status === 429) {
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      if (retryAfter !== null) {
+        if (retryAfter > RETRY_AFTER_MAX_MS) {
+          log.warn('Retry-After too long, giving up', { api: label, method, path, retryAfterMs: retryAfter, maxMs: RETRY_AFTER_MAX_MS });
+          return response;
+        }
+        delay = retryAfter;
+      }
+    }
+
+    // Drain the body so the connection can be reused
+    await response.text().catch(() => {});
+    clearTimeout(timer);
+
+    log.warn('Retrying', { api: label, method, path, attempt, of: maxAttempts - 1, delayMs: delay, status: response.status });
+    await sleep(delay);
+  }
+}
+
+export {
+  fetchWithRetry,
+  parseRetryAfter,
+  backoffDelay,
+  isIdempotentMethod,
+  isTimeoutError
+};
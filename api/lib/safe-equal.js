@@ -0,0 +1,20 @@
+// Constant-time comparison of secrets
+//
+// crypto.timingSafeEqual() needs buffers of the same length, and checking
+// the lengths first tells an attacker how long the secret is. Both sides are
+// hashed instead, so the comparison always covers 32 bytes whatever was sent.
+
+import crypto from 'crypto';
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+// Whether two secrets (API keys, bearer tokens, signatures) are equal
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(sha256(a), sha256(b));
+}
+
+export {
+  safeEqual
+};
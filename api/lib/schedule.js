@@ -0,0 +1,140 @@
+// Parsing of scheduled delivery times (deliverAt + timezone)
+//
+// `deliverAt` is either an ISO timestamp with an offset ("2026-03-14T09:00:00Z",
+// "2026-03-14T09:00:00-05:00"), which is used as-is, or a local date/time
+// without one ("2026-03-14T09:00", "2026-03-14"), which is read in `timezone`
+// (an IANA name such as "America/New_York", default UTC). A date on its own
+// means DEFAULT_DELIVERY_TIME on that day. Out-of-range values (Feb 30,
+// 25:00) and local times skipped by a DST change are refused; a local time
+// that happens twice when the clocks go back means the first one.
+
+const DEFAULT_DELIVERY_TIME = '09:00';
+// Furthest ahead a gram can be scheduled
+const SCHEDULE_MAX_DAYS = parseInt(process.env.TYG_SCHEDULE_MAX_DAYS || '366', 10);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+// Leading date and time of either form; LOCAL_PATTERN is the whole value
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/;
+const LOCAL_PATTERN = new RegExp(`${DATE_TIME_PATTERN.source}$`);
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock [year, month, day, hour, minute, second] of an instant in `timeZone`
+function wallClockParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  return [+parts.year, +parts.month, +parts.day, +parts.hour, +parts.minute, +parts.second];
+}
+
+// Offset of `timeZone` from UTC at the given instant, in milliseconds
+function timeZoneOffsetMs(date, timeZone) {
+  const [year, month, day, hour, minute, second] = wallClockParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+// Whether the parts name a real calendar date and time. Date.UTC rolls
+// out-of-range values over (Feb 30 → Mar 2), so they don't survive a round trip.
+function isValidDateTime(parts) {
+  const [year, month, day, hour, minute, second] = parts;
+  if (hour > 23 || minute > 59 || second > 59) {
+    return false;
+  }
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// The instant a wall-clock time in `timeZone` happens. The zone's offsets a
+// day either side are the two it can have around a DST change; a time that
+// happens twice matches both, and the earlier instant is the first one. A
+// skipped time matches neither and comes back on the wrong wall-clock time.
+function zonedTimeToUtc(parts, timeZone) {
+  const [year, month, day, hour, minute, second] = parts;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const candidates = [-DAY_MS, DAY_MS]
+    .map(shift => wallClock - timeZoneOffsetMs(new Date(wallClock + shift), timeZone))
+    .sort((a, b) => a - b);
+  const first = candidates.find(candidate => wallClockParts(new Date(candidate), timeZone).join() === parts.join());
+  return new Date(first ?? candidates[0]);
+}
+
+// [year, month, day, hour, minute, second] from a DATE_TIME_PATTERN match,
+// with DEFAULT_DELIVERY_TIME for a date on its own
+function readDateTimeParts(match) {
+  const [, year, month, day, hour, minute, second] = match;
+  const [defaultHour, defaultMinute] = DEFAULT_DELIVERY_TIME.split(':');
+  return [+year, +month, +day, +(hour ?? defaultHour), +(minute ?? defaultMinute), +(second ?? 0)];
+}
+
+// Parse deliverAt/timezone from a request. Returns { deliverAt, timezone }
+// with deliverAt as a UTC ISO string, or { error } with a message for the
+// client.
+function parseDeliverAt(value, timeZone, now = Date.now()) {
+  const timezone = timeZone ? String(timeZone).trim() : 'UTC';
+  if (!isValidTimeZone(timezone)) {
+    return { error: `timezone must be an IANA time zone such as "America/New_York" (got "${timezone}")` };
+  }
+
+  const text = String(value).trim();
+  const invalid = { error: `deliverAt is not a valid date/time (got "${text}")` };
+  let date;
+
+  if (OFFSET_PATTERN.test(text)) {
+    // new Date() rolls an out-of-range day over as well
+    const match = text.match(DATE_TIME_PATTERN);
+    if (match && !isValidDateTime(readDateTimeParts(match))) {
+      return invalid;
+    }
+    date = new Date(text);
+  } else {
+    const match = text.match(LOCAL_PATTERN);
+    if (match) {
+      const parts = readDateTimeParts(match);
+      if (!isValidDateTime(parts)) {
+        return invalid;
+      }
+      date = zonedTimeToUtc(parts, timezone);
+      // Skipped when the clocks go forward (e.g. 02:30 on a spring DST day)
+      if (wallClockParts(date, timezone).join() !== parts.join()) {
+        return { error: `deliverAt does not exist in ${timezone} because the clocks change then (got "${text}")` };
+      }
+    }
+  }
+
+  if (!date || Number.isNaN(date.getTime())) {
+    return { error: 'deliverAt must be an ISO date/time, e.g. "2026-03-14T09:00" or "2026-03-14T09:00:00Z"' };
+  }
+  if (date.getTime() <= now) {
+    return { error: 'deliverAt must be in the future' };
+  }
+  if (date.getTime() > now + SCHEDULE_MAX_DAYS * DAY_MS) {
+    return { error: `deliverAt can be at most ${SCHEDULE_MAX_DAYS} days ahead` };
+  }
+
+  return { deliverAt: date.toISOString(), timezone };
+}
+
+export {
+  isValidTimeZone,
+  zonedTimeToUtc,
+  parseDeliverAt
+};
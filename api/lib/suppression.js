@@ -0,0 +1,102 @@
+// Suppression list: addresses the middleware must not email, per tenant
+//
+// Filled from GHL webhooks (/api/ghl-webhook): a bounced email, an
+// unsubscribe, or the tenant's suppression tag on the contact. The deliver
+// step of the outbox and /api/send_anonymous_tyg skip suppressed addresses.
+// Each entry keeps every reason it was added for (`reasons`: bounced,
+// unsubscribed and/or tagged; `reason` is the first of them), so removing the
+// tag only drops the `tagged` reason, and the address stays suppressed while
+// it has bounced or unsubscribed as well.
+
+import { createRecordStore } from './record-store.js';
+import { getCurrentTenant } from './tenants.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Suppression');
+
+let suppressionStore = null;
+
+function getSuppressionStore() {
+  if (!suppressionStore) {
+    suppressionStore = createRecordStore('suppressions');
+  }
+  return suppressionStore;
+}
+
+// Replace the suppression backend (see record-store.js for the interface)
+function setSuppressionStore(store) {
+  suppressionStore = store;
+}
+
+function suppressionId(tenantId, email) {
+  return `${tenantId}:${email}`;
+}
+
+// The current tenant's suppression entry for `email`, or null
+function getSuppression(email) {
+  return getSuppressionStore().get(suppressionId(getCurrentTenant().id, email));
+}
+
+// Reasons of an entry, including ones saved before `reasons` existed
+function reasonsOf(entry) {
+  return entry.reasons || [entry.reason];
+}
+
+// Stop emailing `email`; `reason` is bounced, unsubscribed or tagged and is
+// added to the entry's reasons
+async function suppressEmail(email, { reason, contactId = null, eventId = null, detail = null }) {
+  const tenant = getCurrentTenant();
+  const store = getSuppressionStore();
+  const id = suppressionId(tenant.id, email);
+  const existing = await store.get(id);
+  const reasons = existing ? [...new Set([...reasonsOf(existing), reason])] : [reason];
+
+  const record = {
+    id,
+    tenantId: tenant.id,
+    email,
+    contactId: contactId || existing?.contactId || null,
+    reason: reasons[0],
+    reasons,
+    detail: detail || existing?.detail || null,
+    eventId,
+    suppressedAt: existing?.suppressedAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  await store.put(record);
+  log.info('Suppressed', { email, reason, reasons });
+  return record;
+}
+
+// Lift the suppression of `email`. With `reason`, only that reason is
+// dropped, and the entry is removed once it has no reasons left. Returns
+// whether the address can be emailed again.
+async function liftSuppression(email, { reason = null } = {}) {
+  const store = getSuppressionStore();
+  const id = suppressionId(getCurrentTenant().id, email);
+  const existing = await store.get(id);
+  if (!existing) {
+    return false;
+  }
+
+  const remaining = reason ? reasonsOf(existing).filter(current => current !== reason) : [];
+  if (remaining.length > 0) {
+    if (remaining.length < reasonsOf(existing).length) {
+      await store.put({ ...existing, reason: remaining[0], reasons: remaining, updatedAt: new Date().toISOString() });
+      log.info('Suppression reason dropped', { email, reason, reasons: remaining });
+    }
+    return false;
+  }
+
+  await store.delete(id);
+  log.info('Suppression lifted', { email });
+  return true;
+}
+
+export {
+  getSuppressionStore,
+  setSuppressionStore,
+  getSuppression,
+  suppressEmail,
+  liftSuppression
+};
@@ -0,0 +1,256 @@
+// Tenant (GHL sub-account) registry and per-request tenant context
+//
+// One deployment can serve several brands. Each tenant has its own GHL
+// credentials, location, templates and tag names. Tenants come from
+// TYG_TENANTS (a JSON array) or TYG_TENANTS_FILE (a JSON file with the same
+// array). The legacy GHL_* environment variables always define a tenant
+// with id "default", used when a request doesn't identify another one.
+//
+// Tenant shape:
+// {
+//   "id": "dailyhug",
+//   "locationId": "abc123",
+//   "apiKey": "...",
+//   "oauth": { "accessToken": "...", "refreshToken": "...", "clientId": "...", "clientSecret": "..." },
+//   "origins": ["https://dailyhug.com"],
+//   "keys": ["public-form-key"],
+//   "templates": { "anonymous": "6957be6d9f487e131420364b", "named": "...", "dailyHugConfirm": "..." },
+//   "tags": { "sender": "tyg--> sender", "recipient": "tyg--> recipient", "dailyHug": "daily hug subscriber", "suppressed": "tyg--> suppressed" },
+//   "workflows": { "dailyHug": "..." },
+//   "delivery": "send"
+// }
+//
+// `delivery` is "send" (submit-tyg-form emails the gram) or "workflow" (a
+// GHL workflow triggered by the recipient tag sends it). `workflows.dailyHug`
+// is an optional workflow confirmed Daily Hug subscribers are enrolled in.
+// `tags.suppressed` is read back from GHL webhooks (see suppression.js).
+
+import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+import { RequestRejectedError, sendErrorResponse } from './errors.js';
+
+const DEFAULT_TEMPLATES = {
+  anonymous: '6957be6d9f487e131420364b',
+  named: null,
+  dailyHugConfirm: null
+};
+
+const DEFAULT_TAGS = {
+  sender: 'tyg--> sender',
+  recipient: 'tyg--> recipient',
+  dailyHug: 'daily hug subscriber',
+  // Set on a contact in GHL to stop all TYG email to it
+  suppressed: 'tyg--> suppressed'
+};
+
+const DEFAULT_WORKFLOWS = {
+  dailyHug: null
+};
+
+const tenantStorage = new AsyncLocalStorage();
+let registry = null;
+
+// Fill in defaults so callers can rely on templates/tags/oauth being present
+function normalizeTenant(config) {
+  return {
+    ...config,
+    id: String(config.id),
+    locationId: config.locationId || null,
+    apiKey: config.apiKey || null,
+    oauth: {
+      accessToken: config.oauth?.accessToken || null,
+      refreshToken: config.oauth?.refreshToken || null,
+      clientId: config.oauth?.clientId || process.env.GHL_OAUTH_CLIENT_ID || null,
+      clientSecret: config.oauth?.clientSecret || process.env.GHL_OAUTH_CLIENT_SECRET || null
+    },
+    origins: Array.isArray(config.origins) ? config.origins : [],
+    keys: Array.isArray(config.keys) ? config.keys : [],
+    templates: { ...DEFAULT_TEMPLATES, ...config.templates },
+    tags: { ...DEFAULT_TAGS, ...config.tags },
+    workflows: { ...DEFAULT_WORKFLOWS, ...config.workflows },
+    delivery: (config.delivery || process.env.TYG_DELIVERY_MODE) === 'workflow' ? 'workflow' : 'send'
+  };
+}
+
+// The tenant described by the legacy single-location environment variables
+function tenantFromEnv() {
+  return normalizeTenant({
+    id: 'default',
+    locationId: process.env.GHL_LOCATION_ID,
+    apiKey: process.env.GHL_API_KEY,
+    oauth: {
+      accessToken: process.env.GHL_OAUTH_TOKEN,
+      refreshToken: process.env.GHL_OAUTH_REFRESH_TOKEN
+    },
+    templates: {
+      ...(process.env.TYG_ANONYMOUS_TEMPLATE_ID && { anonymous: process.env.TYG_ANONYMOUS_TEMPLATE_ID }),
+      ...(process.env.TYG_NAMED_TEMPLATE_ID && { named: process.env.TYG_NAMED_TEMPLATE_ID }),
+      ...(process.env.TYG_DAILY_HUG_CONFIRM_TEMPLATE_ID && { dailyHugConfirm: process.env.TYG_DAILY_HUG_CONFIRM_TEMPLATE_ID })
+    },
+    workflows: {
+      ...(process.env.TYG_DAILY_HUG_WORKFLOW_ID && { dailyHug: process.env.TYG_DAILY_HUG_WORKFLOW_ID })
+    }
+  });
+}
+
+function readTenantConfigs() {
+  if (process.env.TYG_TENANTS) {
+    return JSON.parse(process.env.TYG_TENANTS);
+  }
+  if (process.env.TYG_TENANTS_FILE) {
+    return JSON.parse(fs.readFileSync(process.env.TYG_TENANTS_FILE, 'utf8'));
+  }
+  return [];
+}
+
+// Load the registry once per instance
+function getTenants() {
+  if (!registry) {
+    const configs = readTenantConfigs();
+    if (!Array.isArray(configs)) {
+      throw new Error('TYG_TENANTS must be a JSON array of tenant objects');
+    }
+
+    registry = new Map();
+    registry.set('default', tenantFromEnv());
+    for (const config of configs) {
+      if (!config.id) {
+        throw new Error('Every tenant in TYG_TENANTS needs an "id"');
+      }
+      registry.set(String(config.id), normalizeTenant(config));
+    }
+  }
+  return registry;
+}
+
+function getDefaultTenant() {
+  return getTenants().get('default');
+}
+
+function findTenantByLocation(value) {
+  const tenants = getTenants();
+  return tenants.get(value) || [...tenants.values()].find(tenant => tenant.locationId === value) || null;
+}
+
+// Match the Origin header by exact origin or hostname
+function findTenantByOrigin(origin) {
+  let hostname;
+  try {
+    hostname = new URL(origin).hostname;
+  } catch {
+    return null;
+  }
+  return [...getTenants().values()].find(tenant =>
+    tenant.origins.some(allowed => allowed === origin || allowed === hostname)
+  ) || null;
+}
+
+function findTenantByKey(key) {
+  return [...getTenants().values()].find(tenant => tenant.keys.includes(key)) || null;
+}
+
+// Read a request parameter from the query string or a JSON/URL-encoded body
+function readParam(req, name) {
+  if (req.query && req.query[name]) {
+    return req.query[name];
+  }
+  if (typeof req.body === 'string') {
+    return new URLSearchParams(req.body).get(name);
+  }
+  return req.body ? req.body[name] : undefined;
+}
+
+// Work out which tenant a request belongs to. In order: an explicit
+// `location` parameter, an X-Tenant-Key header, the Origin header, then the
+// default tenant. Returns null when an explicit location or key is unknown.
+//
+// With `publicRequest` (unauthenticated endpoints), a browser request belongs
+// to the tenant of its Origin (the default tenant for origins no tenant
+// claims), so a form on one tenant's site can't write into another's
+// location. A `location` or key naming a different tenant throws a 403
+// TENANT_MISMATCH RequestRejectedError.
+function resolveTenant(req, { publicRequest = false } = {}) {
+  const location = readParam(req, 'location');
+  const tenantKey = req.headers['x-tenant-key'];
+  const origin = req.headers.origin;
+
+  let named;
+  if (location) {
+    named = findTenantByLocation(String(location));
+  } else if (tenantKey) {
+    named = findTenantByKey(tenantKey);
+  }
+
+  if (publicRequest && origin) {
+    const originTenant = findTenantByOrigin(origin) || getDefaultTenant();
+    if (named === null) {
+      return null;
+    }
+    if (named && named !== originTenant) {
+      throw new RequestRejectedError('Tenant does not match the origin', {
+        code: 'TENANT_MISMATCH',
+        detail: `Requests from ${origin} can only be made for tenant "${originTenant.id}"`
+      });
+    }
+    return originTenant;
+  }
+
+  if (named !== undefined) {
+    return named;
+  }
+
+  if (origin) {
+    const tenant = findTenantByOrigin(origin);
+    if (tenant) {
+      return tenant;
+    }
+  }
+
+  return getDefaultTenant();
+}
+
+// Resolve the request's tenant (see resolveTenant), or send a JSON error and
+// resolve with null: a 400 UNKNOWN_TENANT, a 403 TENANT_MISMATCH, or a 500
+// when the tenant configuration can't be read
+function requireTenant(req, res, options) {
+  try {
+    const tenant = resolveTenant(req, options);
+    if (!tenant) {
+      throw new RequestRejectedError('Unknown tenant', {
+        status: 400,
+        code: 'UNKNOWN_TENANT',
+        detail: 'The location parameter or X-Tenant-Key header does not match a configured tenant'
+      });
+    }
+    return tenant;
+  } catch (error) {
+    sendErrorResponse(res, error, { fallbackMessage: 'The tenant configuration could not be read' });
+    return null;
+  }
+}
+
+// Run fn with `tenant` as the current tenant for every GHL call it makes
+function runWithTenant(tenant, fn) {
+  return tenantStorage.run(tenant, fn);
+}
+
+// The tenant for the current request, or the default tenant outside one
+function getCurrentTenant() {
+  return tenantStorage.getStore() || getDefaultTenant();
+}
+
+// Drop the cached registry (after changing TYG_TENANTS at runtime)
+function resetTenantRegistry() {
+  registry = null;
+}
+
+export {
+  getTenants,
+  getDefaultTenant,
+  findTenantByLocation,
+  resolveTenant,
+  requireTenant,
+  runWithTenant,
+  getCurrentTenant,
+  resetTenantRegistry
+};
@@ -0,0 +1,48 @@
+// The pages behind the Daily Hug email links
+//
+// Opening a link only shows a button that POSTs the token back: mail
+// scanners and link prefetchers open links too, and must not confirm or
+// end a subscription for anyone.
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Whether the request is a browser form post, e.g. the page's button
+function isFormPost(req) {
+  return req.method === 'POST' &&
+    String(req.headers['content-type'] || '').startsWith('application/x-www-form-urlencoded');
+}
+
+function renderTokenPage({ title, button, token }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<form method="post" action="">
+<input type="hidden" name="token" value="${escapeHtml(token)}">
+<button type="submit">${escapeHtml(button)}</button>
+</form>
+</body>
+</html>
+`;
+}
+
+// Answer a link click with a page whose button posts `token` back
+function sendTokenPage(res, page) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Referrer-Policy', 'no-referrer');
+  return res.status(200).send(renderTokenPage(page));
+}
+
+export {
+  isFormPost,
+  sendTokenPage
+};
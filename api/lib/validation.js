@@ -0,0 +1,264 @@
+// Declarative request validation
+//
+// A schema maps field names to rules:
+//   type       'string', 'email', 'boolean', 'integer' or 'array'
+//   required   the field must be present and not blank
+//   maxLength / minLength   for strings, after trimming
+//   oneOf      the values a string may take
+//   min / max  for integers
+//   default    value when the field is missing
+//   items      schema for each entry of an array of objects
+//   minItems / maxItems / uniqueBy   for arrays; `json` also accepts a JSON
+//              string, as sent by URL-encoded forms
+// Strings are trimmed and emails lowercased. Booleans accept true/false and
+// "true"/"false". validate() returns the cleaned values and a list of
+// { field, code, message } errors; the messages are the strings endpoints
+// have always returned in `errors[]`.
+
+const MESSAGE_MAX_LENGTH = parseInt(process.env.TYG_MESSAGE_MAX_LENGTH || '1000', 10);
+const NAME_MAX_LENGTH = parseInt(process.env.TYG_NAME_MAX_LENGTH || '100', 10);
+// Most entries in a recipients[] list
+const MAX_RECIPIENTS = parseInt(process.env.TYG_MAX_RECIPIENTS || '25', 10);
+// Longest accepted value for short fields such as timestamps and time zones
+const SHORT_FIELD_MAX_LENGTH = 64;
+
+// Characters allowed in the local part of an address (RFC 5322 dot-atom)
+const LOCAL_PART_PATTERN = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/i;
+const DOMAIN_LABEL_PATTERN = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/i;
+const TLD_PATTERN = /^(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$/i;
+
+// Stricter than "something@something.something": a dot-atom local part of
+// at most 64 characters and a domain of valid labels ending in a real TLD
+function isValidEmail(email) {
+  if (typeof email !== 'string' || email.length > 254) {
+    return false;
+  }
+
+  const at = email.lastIndexOf('@');
+  const local = email.slice(0, at);
+  const labels = email.slice(at + 1).split('.');
+  return at > 0 &&
+    local.length <= 64 &&
+    LOCAL_PART_PATTERN.test(local) &&
+    labels.length >= 2 &&
+    labels.every(label => DOMAIN_LABEL_PATTERN.test(label)) &&
+    TLD_PATTERN.test(labels[labels.length - 1]);
+}
+
+function fieldError(field, code, message) {
+  return { field, code, message };
+}
+
+function isBlank(raw) {
+  return raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+}
+
+function validateString(field, rule, raw) {
+  if (typeof raw !== 'string') {
+    return { errors: [fieldError(field, 'INVALID_TYPE', `${field} must be a string`)] };
+  }
+
+  const value = rule.type === 'email' ? raw.trim().toLowerCase() : raw.trim();
+  if (rule.type === 'email' && !isValidEmail(value)) {
+    return { errors: [fieldError(field, 'INVALID_EMAIL', `${field} must be a valid email address`)] };
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return { errors: [fieldError(field, 'TOO_LONG', `${field} must be at most ${rule.maxLength} characters`)] };
+  }
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return { errors: [fieldError(field, 'TOO_SHORT', `${field} must be at least ${rule.minLength} characters`)] };
+  }
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    return { errors: [fieldError(field, 'INVALID_VALUE', `${field} must be one of: ${rule.oneOf.join(', ')}`)] };
+  }
+  return { value, errors: [] };
+}
+
+// What HTML forms and form builders send: a ticked checkbox posts `on` (or
+// its value, often `1`), and `0` or an empty string is the unticked state
+const TRUE_VALUES = ['true', 'on', '1'];
+const FALSE_VALUES = ['false', 'off', '0', ''];
+
+function validateBoolean(field, raw) {
+  if (typeof raw === 'boolean') {
+    return { value: raw, errors: [] };
+  }
+  const text = typeof raw === 'string' || typeof raw === 'number' ? String(raw).trim().toLowerCase() : null;
+  if (TRUE_VALUES.includes(text)) {
+    return { value: true, errors: [] };
+  }
+  if (FALSE_VALUES.includes(text)) {
+    return { value: false, errors: [] };
+  }
+  return { errors: [fieldError(field, 'INVALID_TYPE', `${field} must be true or false`)] };
+}
+
+function validateInteger(field, rule, raw) {
+  const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+  if (!Number.isInteger(value)) {
+    return { errors: [fieldError(field, 'INVALID_TYPE', `${field} must be a whole number`)] };
+  }
+  if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+    return { errors: [fieldError(field, 'OUT_OF_RANGE', `${field} must be between ${rule.min ?? '-∞'} and ${rule.max ?? '∞'}`)] };
+  }
+  return { value, errors: [] };
+}
+
+function validateArray(field, rule, raw) {
+  let list = raw;
+  if (typeof list === 'string' && rule.json) {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      return { errors: [fieldError(field, 'INVALID_TYPE', `${field} must be a JSON array`)] };
+    }
+  }
+
+  if (!Array.isArray(list) || list.length < (rule.minItems ?? 0)) {
+    return { errors: [fieldError(field, 'INVALID_TYPE', `${field} must be a non-empty array`)] };
+  }
+  if (rule.maxItems !== undefined && list.length > rule.maxItems) {
+    return { errors: [fieldError(field, 'TOO_MANY', `${field} can have at most ${rule.maxItems} entries`)] };
+  }
+  if (!rule.items) {
+    return { value: list, errors: [] };
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const value = list.map((entry, index) => {
+    const label = `${field}[${index}]`;
+    const result = validate(rule.items, entry && typeof entry === 'object' ? entry : {}, label);
+    errors.push(...result.errors);
+
+    const key = rule.uniqueBy && result.value[rule.uniqueBy];
+    if (key && seen.has(key) && !result.errors.some(error => error.field === `${label}.${rule.uniqueBy}`)) {
+      errors.push(fieldError(`${label}.${rule.uniqueBy}`, 'DUPLICATE', `${label}.${rule.uniqueBy} is listed more than once`));
+    }
+    if (key) {
+      seen.add(key);
+    }
+    return result.value;
+  });
+
+  return { value, errors };
+}
+
+function validateField(field, rule, raw) {
+  if (isBlank(raw)) {
+    if (rule.required) {
+      return { errors: [fieldError(field, 'REQUIRED', `${field} is required`)] };
+    }
+    return { value: rule.default ?? (rule.type === 'boolean' ? false : undefined), errors: [] };
+  }
+
+  switch (rule.type) {
+    case 'boolean':
+      return validateBoolean(field, raw);
+    case 'integer':
+      return validateInteger(field, rule, raw);
+    case 'array':
+      return validateArray(field, rule, raw);
+    default:
+      return validateString(field, rule, raw);
+  }
+}
+
+// Check `input` against `schema`. Returns { value, errors }; `value` has the
+// cleaned fields, without the ones that failed.
+function validate(schema, input = {}, prefix = '') {
+  const value = {};
+  const errors = [];
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const field = prefix ? `${prefix}.${name}` : name;
+    const result = validateField(field, rule, input?.[name]);
+    errors.push(...result.errors);
+    if (result.value !== undefined) {
+      value[name] = result.value;
+    }
+  }
+
+  return { value, errors };
+}
+
+// Send a 400 with the error strings in `errors` and the structured errors in
+// `fieldErrors`; `extra` adds fields such as a message
+function sendValidationErrors(res, errors, extra = {}) {
+  return res.status(400).json({
+    success: false,
+    ...extra,
+    errors: errors.map(error => error.message),
+    fieldErrors: errors
+  });
+}
+
+// One entry of a submission's recipients[] list
+const RECIPIENT_SCHEMA = {
+  name: { type: 'string', required: true, maxLength: NAME_MAX_LENGTH },
+  email: { type: 'email', required: true },
+  message: { type: 'string', maxLength: MESSAGE_MAX_LENGTH, default: '' }
+};
+
+// A gram to a single recipient
+const SINGLE_RECIPIENT_SCHEMA = {
+  recipientName: { type: 'string', required: true, maxLength: NAME_MAX_LENGTH },
+  recipientEmail: { type: 'email', required: true },
+  message: { type: 'string', required: true, maxLength: MESSAGE_MAX_LENGTH }
+};
+
+// Grams to several recipients; the shared message is the default for
+// entries without their own
+const MULTI_RECIPIENT_SCHEMA = {
+  recipients: { type: 'array', json: true, minItems: 1, maxItems: MAX_RECIPIENTS, items: RECIPIENT_SCHEMA, uniqueBy: 'email' },
+  message: { type: 'string', maxLength: MESSAGE_MAX_LENGTH, default: '' }
+};
+
+// The sender's side of a submission
+const SENDER_SCHEMA = {
+  senderName: { type: 'string', maxLength: NAME_MAX_LENGTH, default: '' },
+  senderEmail: { type: 'email', required: true },
+  sendAnonymously: { type: 'boolean' },
+  subscribeDailyHug: { type: 'boolean' },
+  timestamp: { type: 'string', maxLength: SHORT_FIELD_MAX_LENGTH },
+  deliverAt: { type: 'string', maxLength: SHORT_FIELD_MAX_LENGTH },
+  timezone: { type: 'string', maxLength: SHORT_FIELD_MAX_LENGTH }
+};
+
+// The contact an anonymous TYG email goes to
+const TARGET_EMAIL_SCHEMA = {
+  target_email: { type: 'email', required: true }
+};
+
+// A contact looked up by email (deletion, gram history)
+const CONTACT_EMAIL_SCHEMA = {
+  email: { type: 'email', required: true }
+};
+
+// An outbox record looked up by id (review queue, scheduled grams)
+const SUBMISSION_ID_SCHEMA = {
+  id: { type: 'string', required: true, maxLength: SHORT_FIELD_MAX_LENGTH }
+};
+
+// How many records an admin batch (replay, dispatch) works through
+const BATCH_LIMIT_SCHEMA = {
+  limit: { type: 'integer', min: 1, max: 500, default: 25 }
+};
+
+export {
+  MESSAGE_MAX_LENGTH,
+  NAME_MAX_LENGTH,
+  MAX_RECIPIENTS,
+  isValidEmail,
+  fieldError,
+  validate,
+  sendValidationErrors,
+  RECIPIENT_SCHEMA,
+  SINGLE_RECIPIENT_SCHEMA,
+  MULTI_RECIPIENT_SCHEMA,
+  SENDER_SCHEMA,
+  TARGET_EMAIL_SCHEMA,
+  CONTACT_EMAIL_SCHEMA,
+  SUBMISSION_ID_SCHEMA,
+  BATCH_LIMIT_SCHEMA
+};
@@ -1,31 +1,17 @@
 // Import GHL API functions
 import { listEmailTemplates } from './lib/ghl-api.js';
+import { sendErrorResponse } from './lib/errors.js';
+import { requireTenant, runWithTenant } from './lib/tenants.js';
+import { handleCors } from './lib/cors.js';
+import { requireScope } from './lib/api-auth.js';
+import { createLogger, withRequestLogging } from './lib/logger.js';
 
-export default async function handler(req, res) {
-  // Set CORS headers FIRST - before any other logic
-  const origin = req.headers.origin;
-  
-  // Allow common origins
-  const allowedOrigins = [
-    'https://dailyhug.com',
-    'http://localhost:3000',
-    'http://localhost:5173',
-    'http://127.0.0.1:3000'
-  ];
-  
-  const corsOrigin = origin && allowedOrigins.some(allowed => origin.includes(allowed))
-    ? origin
-    : '*';
-  
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', corsOrigin);
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-  res.setHeader('Access-Control-Max-Age', '86400');
+const log = createLogger('List Templates');
 
-  // Handle preflight OPTIONS requests
-  if (req.method === 'OPTIONS') {
-    return res.status(200).json({ message: 'OK' });
+export default withRequestLogging(async function handler(req, res) {
+  // Called by tools holding a `read-templates` key
+  if (handleCors(req, res, { methods: ['GET'], headers: ['X-Api-Key'] })) {
+    return;
   }
 
   // Only allow GET requests
@@ -36,16 +22,26 @@ export default async function handler(req, res) {
     });
   }
 
+  // Pick the GHL sub-account (tenant) this request belongs to
+  const tenant = requireTenant(req, res);
+  if (!tenant) {
+    return;
+  }
+
+  if (!await requireScope(req, res, 'read-templates', tenant)) {
+    return;
+  }
+
   try {
-    console.log('[List Templates] Request received:', {
+    log.info('Request received', {
       method: req.method,
-      timestamp: new Date().toISOString()
+      tenant: tenant.id
     });
 
     // List email templates
-    const result = await listEmailTemplates();
+    const result = await runWithTenant(tenant, () => listEmailTemplates());
 
-    console.log('[List Templates] Templates retrieved successfully:', {
+    log.info('Templates retrieved successfully', {
       count: result.count || result.templates?.length || 0
     });
 
@@ -59,30 +55,11 @@ export default async function handler(req, res) {
     });
 
   } catch (error) {
-    console.error('[List Templates] Error retrieving templates:', error);
+    log.error('Error retrieving templates', { error });
     
-    // Handle specific error types
-    if (error.code === 'AUTH_ERROR') {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication error',
-        error: 'Invalid or missing OAuth token. Please verify GHL_OAUTH_TOKEN in Vercel environment variables.'
-      });
-    }
-    
-    if (error.message && error.message.includes('GHL_OAUTH_TOKEN is required')) {
-      return res.status(500).json({
-        success: false,
-        message: 'Configuration error',
-        error: 'GHL_OAUTH_TOKEN environment variable is not set. Please configure it in Vercel.'
-      });
-    }
-
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'An error occurred while retrieving templates'
+    return sendErrorResponse(res, error, {
+      fallbackMessage: 'An error occurred while retrieving templates'
     });
   }
-}
+});
 
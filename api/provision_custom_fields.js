@@ -0,0 +1,59 @@
+// Import custom field provisioning
+import { provisionCustomFields } from './lib/custom-fields.js';
+import { sendErrorResponse } from './lib/errors.js';
+import { requireTenant, runWithTenant } from './lib/tenants.js';
+import { requireAdmin } from './lib/admin-auth.js';
+import { handleCors } from './lib/cors.js';
+import { createLogger, withRequestLogging } from './lib/logger.js';
+
+const log = createLogger('Provision Fields');
+
+export default withRequestLogging(async function handler(req, res) {
+  // Admin endpoint: no browser origins are allowed
+  if (handleCors(req, res, { methods: ['GET', 'POST'], browsers: false })) {
+    return;
+  }
+
+  // GET reports drift (dry run), POST creates missing fields
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({
+      success: false,
+      message: 'Method not allowed. Use GET or POST.'
+    });
+  }
+
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  // Pick the GHL sub-account (tenant) this request belongs to
+  const tenant = requireTenant(req, res);
+  if (!tenant) {
+    return;
+  }
+
+  try {
+    const dryRun = req.method === 'GET';
+
+    log.info('Request received', {
+      method: req.method,
+      dryRun,
+      tenant: tenant.id
+    });
+
+    const result = await runWithTenant(tenant, () => provisionCustomFields({ dryRun }));
+
+    return res.status(200).json({
+      success: true,
+      message: dryRun ? 'Custom field check completed' : 'Custom field provisioning completed',
+      data: result
+    });
+
+  } catch (error) {
+    log.error('Error provisioning custom fields', { error });
+
+    return sendErrorResponse(res, error, {
+      fallbackMessage: 'An error occurred while provisioning custom fields'
+    });
+  }
+});
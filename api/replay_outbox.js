@@ -0,0 +1,85 @@
+// Import outbox replay
+import { listOutbox, replayOutbox, describeRecord } from './lib/outbox.js';
+import { sendErrorResponse } from './lib/errors.js';
+import { requireAdmin } from './lib/admin-auth.js';
+import { validate, sendValidationErrors, BATCH_LIMIT_SCHEMA } from './lib/validation.js';
+import { handleCors } from './lib/cors.js';
+import { createLogger, withRequestLogging } from './lib/logger.js';
+
+const log = createLogger('Replay Outbox');
+
+// GET ?replay=true replays like POST, for Vercel Cron
+const LIST_SCHEMA = {
+  replay: { type: 'boolean' }
+};
+
+export default withRequestLogging(async function handler(req, res) {
+  // Admin endpoint: no browser origins are allowed
+  if (handleCors(req, res, { methods: ['GET', 'POST'], browsers: false })) {
+    return;
+  }
+
+  // GET lists outbox records, POST (or a GET with replay=true from a
+  // scheduler) replays pending ones
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({
+      success: false,
+      message: 'Method not allowed. Use GET or POST.'
+    });
+  }
+
+  if (!requireAdmin(req, res, { allowCron: true })) {
+    return;
+  }
+
+  try {
+    const { value: { replay }, errors: listErrors } = validate(LIST_SCHEMA, req.query || {});
+    if (listErrors.length > 0) {
+      return sendValidationErrors(res, listErrors);
+    }
+
+    if (req.method === 'GET' && !replay) {
+      const status = req.query?.status;
+      const records = await listOutbox({ status });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Outbox retrieved successfully',
+        data: {
+          records: records.map(describeRecord),
+          count: records.length
+        }
+      });
+    }
+
+    const body = typeof req.body === 'string'
+      ? Object.fromEntries(new URLSearchParams(req.body))
+      : req.body || {};
+    const id = body.id || req.query?.id;
+    const { value: { limit }, errors } = validate(BATCH_LIMIT_SCHEMA, { limit: body.limit || req.query?.limit });
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    log.info('Request received', {
+      method: req.method,
+      id: id || null,
+      limit
+    });
+
+    const result = await replayOutbox({ id, limit });
+
+    return res.status(200).json({
+      success: true,
+      message: `Replayed ${result.replayed} submission(s), ${result.completed} completed`,
+      data: result
+    });
+
+  } catch (error) {
+    log.error('Error replaying outbox', { error });
+
+    return sendErrorResponse(res, error, {
+      fallbackMessage: 'An error occurred while replaying the outbox'
+    });
+  }
+});
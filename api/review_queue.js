@@ -0,0 +1,138 @@
+// Import outbox moderation helpers
+import {
+  listOutbox,
+  getSubmission,
+  describeRecord,
+  approveSubmission,
+  rejectSubmission
+} from './lib/outbox.js';
+import { sendErrorResponse } from './lib/errors.js';
+import { requireAdmin } from './lib/admin-auth.js';
+import { validate, sendValidationErrors, SUBMISSION_ID_SCHEMA } from './lib/validation.js';
+import { handleCors } from './lib/cors.js';
+import { createLogger, withRequestLogging } from './lib/logger.js';
+
+const log = createLogger('Review Queue');
+
+// GET ?status=rejected shows past rejections
+const LIST_SCHEMA = {
+  status: { type: 'string', oneOf: ['review', 'rejected'], default: 'review' }
+};
+
+const DECISION_SCHEMA = {
+  ...SUBMISSION_ID_SCHEMA,
+  action: { type: 'string', required: true, oneOf: ['approve', 'reject'] },
+  note: { type: 'string', maxLength: 500 }
+};
+
+// A held gram for reviewers, with its full content
+function describeHeldGram(record) {
+  const { submission } = record;
+  return {
+    ...describeRecord(record),
+    senderEmail: submission.senderEmail,
+    senderName: submission.senderName,
+    recipientEmail: submission.recipientEmail,
+    recipientName: submission.recipientName,
+    message: submission.message,
+    sendAnonymously: submission.sendAnonymously
+  };
+}
+
+function sendNotAwaitingReview(res, record) {
+  // Still `review` here means another decision holds the record right now
+  const state = record.status === 'review' ? 'being approved or rejected right now' : record.status;
+  return res.status(409).json({
+    success: false,
+    message: 'Gram is not awaiting review',
+    error: `The gram is ${state}`,
+    data: describeHeldGram(record)
+  });
+}
+
+export default withRequestLogging(async function handler(req, res) {
+  // Admin endpoint: no browser origins are allowed
+  if (handleCors(req, res, { methods: ['GET', 'POST'], browsers: false })) {
+    return;
+  }
+
+  // GET lists grams held for review, POST approves or rejects one
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({
+      success: false,
+      message: 'Method not allowed. Use GET or POST.'
+    });
+  }
+
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { value: { status }, errors } = validate(LIST_SCHEMA, req.query || {});
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+      const records = await listOutbox({ status });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Review queue retrieved successfully',
+        data: {
+          grams: records.map(describeHeldGram),
+          count: records.length
+        }
+      });
+    }
+
+    const body = typeof req.body === 'string'
+      ? Object.fromEntries(new URLSearchParams(req.body))
+      : req.body || {};
+    const { value: { id, action, note = null }, errors } = validate(DECISION_SCHEMA, body);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const record = await getSubmission(id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gram not found',
+        error: `No submission with id "${id}"`
+      });
+    }
+
+    if (record.status !== 'review') {
+      return sendNotAwaitingReview(res, record);
+    }
+
+    log.info('Decision received', {
+      id: record.id,
+      action
+    });
+
+    const result = action === 'approve'
+      ? await approveSubmission(record, { note })
+      : await rejectSubmission(record, { note });
+    // Decided, cancelled or being decided by another request in the meantime
+    if (!result) {
+      return sendNotAwaitingReview(res, await getSubmission(record.id));
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: action === 'approve'
+        ? `Gram approved (${result.delivery.status})`
+        : 'Gram rejected',
+      data: result
+    });
+
+  } catch (error) {
+    log.error('Error handling request', { error });
+
+    return sendErrorResponse(res, error, {
+      fallbackMessage: 'An error occurred while updating the review queue'
+    });
+  }
+});
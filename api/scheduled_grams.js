@@ -0,0 +1,161 @@
+// Import outbox and schedule helpers
+import {
+  listOutbox,
+  getSubmission,
+  describeRecord,
+  isDeliveryChangeable,
+  rescheduleSubmission,
+  cancelSubmission
+} from './lib/outbox.js';
+import { parseDeliverAt } from './lib/schedule.js';
+import { sendErrorResponse } from './lib/errors.js';
+import { requireAdmin } from './lib/admin-auth.js';
+import {
+  fieldError,
+  validate,
+  sendValidationErrors,
+  SUBMISSION_ID_SCHEMA,
+  SENDER_SCHEMA
+} from './lib/validation.js';
+import { handleCors } from './lib/cors.js';
+import { createLogger, withRequestLogging } from './lib/logger.js';
+
+const log = createLogger('Scheduled Grams');
+
+// GET ?email= filters by sender or recipient
+const LIST_SCHEMA = {
+  email: { type: 'email' }
+};
+
+// PATCH moves a gram to a new time; the time zone defaults to its current one
+const RESCHEDULE_SCHEMA = {
+  deliverAt: { ...SENDER_SCHEMA.deliverAt, required: true },
+  timezone: SENDER_SCHEMA.timezone
+};
+
+// A scheduled gram for API responses, with who it is from and to
+function describeGram(record) {
+  return {
+    ...describeRecord(record),
+    senderEmail: record.submission.senderEmail,
+    recipientEmail: record.submission.recipientEmail
+  };
+}
+
+// 409 for a gram that was sent, cancelled or is being sent right now
+function sendNotChangeable(res, record) {
+  let state = record.status;
+  if (record.results.delivery) {
+    state = 'already delivered';
+  } else if (record.lockedUntil && record.lockedUntil >= Date.now()) {
+    state = 'being synced or delivered right now';
+  }
+  return res.status(409).json({
+    success: false,
+    message: 'Gram can no longer be changed',
+    error: `The gram is ${state}`,
+    data: describeGram(record)
+  });
+}
+
+export default withRequestLogging(async function handler(req, res) {
+  // Admin endpoint: no browser origins are allowed
+  if (handleCors(req, res, { methods: ['GET', 'PATCH', 'DELETE'], browsers: false })) {
+    return;
+  }
+
+  // GET lists scheduled grams, PATCH reschedules one, DELETE cancels one
+  if (!['GET', 'PATCH', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({
+      success: false,
+      message: 'Method not allowed. Use GET, PATCH or DELETE.'
+    });
+  }
+
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { value: { email }, errors } = validate(LIST_SCHEMA, req.query || {});
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+      const records = (await listOutbox({ status: 'scheduled' }))
+        .filter(record => !email || record.submission.senderEmail === email || record.submission.recipientEmail === email)
+        .sort((a, b) => a.delivery.deliverAt.localeCompare(b.delivery.deliverAt));
+
+      return res.status(200).json({
+        success: true,
+        message: 'Scheduled grams retrieved successfully',
+        data: {
+          grams: records.map(describeGram),
+          count: records.length
+        }
+      });
+    }
+
+    const body = typeof req.body === 'string'
+      ? Object.fromEntries(new URLSearchParams(req.body))
+      : req.body || {};
+    // The id can come in the query (?id=...) or the body
+    const { value: { id }, errors } = validate(SUBMISSION_ID_SCHEMA, { id: body.id || req.query?.id });
+    const reschedule = req.method === 'PATCH'
+      ? validate(RESCHEDULE_SCHEMA, body)
+      : { value: {}, errors: [] };
+    if (errors.length > 0 || reschedule.errors.length > 0) {
+      return sendValidationErrors(res, [...errors, ...reschedule.errors]);
+    }
+
+    const record = await getSubmission(id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gram not found',
+        error: `No submission with id "${id}"`
+      });
+    }
+
+    if (!isDeliveryChangeable(record)) {
+      return sendNotChangeable(res, record);
+    }
+
+    if (req.method === 'DELETE') {
+      const cancelled = await cancelSubmission(record);
+      if (!cancelled) {
+        return sendNotChangeable(res, await getSubmission(record.id));
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Gram cancelled',
+        data: describeGram(cancelled)
+      });
+    }
+
+    const { deliverAt, timezone } = reschedule.value;
+    const schedule = parseDeliverAt(deliverAt, timezone || record.delivery.timezone);
+    if (schedule.error) {
+      return sendValidationErrors(res, [fieldError('deliverAt', 'INVALID_DATE', schedule.error)]);
+    }
+
+    const rescheduled = await rescheduleSubmission(record, schedule);
+    if (!rescheduled) {
+      return sendNotChangeable(res, await getSubmission(record.id));
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Gram rescheduled',
+      data: describeGram(rescheduled)
+    });
+
+  } catch (error) {
+    log.error('Error handling request', { error });
+
+    return sendErrorResponse(res, error, {
+      fallbackMessage: 'An error occurred while updating scheduled grams'
+    });
+  }
+});
@@ -1,40 +1,24 @@
 // Import GHL API functions
 import { sendEmailTemplateByEmail } from './lib/ghl-api.js';
-
-// Helper function to validate email
-function isValidEmail(email) {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
-}
-
-// Email template ID for anonymous TYG
-const EMAIL_TEMPLATE_ID = '6957be6d9f487e131420364b';
-
-export default async function handler(req, res) {
-  // Set CORS headers FIRST - before any other logic
-  const origin = req.headers.origin;
-  
-  // Allow common origins
-  const allowedOrigins = [
-    'https://dailyhug.com',
-    'http://localhost:3000',
-    'http://localhost:5173',
-    'http://127.0.0.1:3000'
-  ];
-  
-  const corsOrigin = origin && allowedOrigins.some(allowed => origin.includes(allowed))
-    ? origin
-    : '*';
-  
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', corsOrigin);
-  res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-  res.setHeader('Access-Control-Max-Age', '86400');
-
-  // Handle preflight OPTIONS requests
-  if (req.method === 'OPTIONS') {
-    return res.status(200).json({ message: 'OK' });
+import { sendErrorResponse, RequestRejectedError } from './lib/errors.js';
+import { requireTenant, runWithTenant } from './lib/tenants.js';
+import { checkCallerLimit, checkSenderLimit } from './lib/bot-protection.js';
+import { validate, sendValidationErrors, TARGET_EMAIL_SCHEMA } from './lib/validation.js';
+import { handleCors } from './lib/cors.js';
+import { requireScope } from './lib/api-auth.js';
+import { getSuppression } from './lib/suppression.js';
+import { createLogger, withRequestLogging } from './lib/logger.js';
+
+const log = createLogger('Send Anonymous TYG');
+
+export default withRequestLogging(async function handler(req, res) {
+  // Called by GHL webhooks and other servers holding a `send` key
+  if (handleCors(req, res, {
+    methods: ['POST', 'GET'],
+    headers: ['X-Api-Key', 'X-TYG-Timestamp', 'X-TYG-Signature'],
+    exposeHeaders: ['Retry-After']
+  })) {
+    return;
   }
 
   // Allow POST and GET methods (webhooks can use different methods)
@@ -45,117 +29,101 @@ export default async function handler(req, res) {
     });
   }
 
+  // Pick the GHL sub-account (tenant) this request belongs to
+  const tenant = requireTenant(req, res);
+  if (!tenant) {
+    return;
+  }
+
+  // Sends email to any contact, so callers need the `send` scope
+  const caller = await requireScope(req, res, 'send', tenant);
+  if (!caller) {
+    return;
+  }
+
+  return runWithTenant(tenant, () => processEmailRequest(req, res, tenant, caller));
+});
+
+// Send the tenant's anonymous TYG template to the target contact
+async function processEmailRequest(req, res, tenant, caller) {
+  // Email template ID for anonymous TYG
+  const templateId = tenant.templates.anonymous;
+
+  // Declared outside the try block so the error handler can report it
+  let targetEmail = null;
+
   try {
-    // Extract target_email from query params, body, or both
-    // GHL webhooks can send data in different ways
-    let targetEmail = null;
-    
-    // Try query parameters first (common for GET requests)
-    if (req.query && req.query.target_email) {
-      targetEmail = req.query.target_email;
-    }
-    
-    // Try body parameters (common for POST requests)
-    if (!targetEmail && req.body) {
-      // Handle both JSON and URL-encoded bodies
-      if (typeof req.body === 'string') {
-        const params = new URLSearchParams(req.body);
-        targetEmail = params.get('target_email');
-      } else if (req.body.target_email) {
-        targetEmail = req.body.target_email;
-      }
-    }
+    const bodyData = typeof req.body === 'string'
+      ? Object.fromEntries(new URLSearchParams(req.body))
+      : req.body || {};
+
+    // Callers hold a key, so they are limited per key rather than run
+    // through the form's per-IP and CAPTCHA checks
+    await checkCallerLimit(caller, 'send_anonymous_tyg');
+
+    // Extract target_email from the query (common for GET requests) or the
+    // body (POST); GHL webhooks can send data in different ways
+    const { value, errors } = validate(TARGET_EMAIL_SCHEMA, {
+      target_email: req.query?.target_email || bodyData.target_email
+    });
 
-    // Validate email is provided
-    if (!targetEmail || targetEmail.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        message: 'target_email parameter is required',
-        error: 'Please provide target_email in the query parameter (?target_email=...) or request body'
-      });
+    if (errors.length > 0) {
+      const missing = errors[0].code === 'REQUIRED';
+      return sendValidationErrors(res, errors, missing
+        ? {
+            message: 'target_email parameter is required',
+            error: 'Please provide target_email in the query parameter (?target_email=...) or request body'
+          }
+        : {
+            message: 'Invalid email format',
+            error: errors[0].message
+          });
     }
-
-    // Validate email format
-    const emailTrimmed = targetEmail.trim().toLowerCase();
-    if (!isValidEmail(emailTrimmed)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid email format',
-        error: `"${emailTrimmed}" is not a valid email address`
+    targetEmail = value.target_email;
+
+    // Limit how often one address can be sent an anonymous email
+    await checkSenderLimit(targetEmail, 1, 'target');
+
+    // Bounced, unsubscribed or tagged in GHL (see suppression.js)
+    const suppression = await getSuppression(targetEmail);
+    if (suppression) {
+      throw new RequestRejectedError('Recipient is suppressed', {
+        status: 409,
+        code: 'RECIPIENT_SUPPRESSED',
+        detail: `${targetEmail} is not emailed any more (${suppression.reason})`
       });
     }
 
-    console.log('[Send Anonymous TYG] Email request received:', {
-      targetEmail: emailTrimmed,
-      templateId: EMAIL_TEMPLATE_ID,
-      method: req.method,
-      timestamp: new Date().toISOString()
+    log.info('Email request received', {
+      targetEmail,
+      templateId,
+      method: req.method
     });
 
     // Send email using template
-    await sendEmailTemplateByEmail(emailTrimmed, EMAIL_TEMPLATE_ID);
+    await sendEmailTemplateByEmail(targetEmail, templateId);
 
-    console.log('[Send Anonymous TYG] Email sent successfully:', emailTrimmed);
+    log.info('Email sent', { targetEmail, templateId });
 
     return res.status(200).json({
       success: true,
       message: 'Email sent successfully',
       data: {
-        targetEmail: emailTrimmed,
-        templateId: EMAIL_TEMPLATE_ID,
+        targetEmail,
+        templateId,
         sent: true
       }
     });
 
   } catch (error) {
-    console.error('[Send Anonymous TYG] Error processing email request:', error);
-    
-    // Handle specific error types
-    if (error.code === 'MISSING_API_KEY') {
-      return res.status(500).json({
-        success: false,
-        message: 'Server configuration error',
-        error: 'GHL_API_KEY is not configured'
-      });
-    }
-    
-    if (error.code === 'AUTH_ERROR') {
-      return res.status(500).json({
-        success: false,
-        message: 'Authentication error',
-        error: 'Invalid GoHighLevel API key'
-      });
-    }
-
-    // Handle contact not found error
-    if (error.message && error.message.includes('Contact not found')) {
-      return res.status(404).json({
-        success: false,
-        message: 'Contact not found',
-        error: error.message,
-        data: {
-          targetEmail: targetEmail?.trim().toLowerCase()
-        }
-      });
-    }
+    log.error('Error processing email request', { error });
     
-    // Handle template error
-    if (error.code === 'TEMPLATE_ERROR') {
-      return res.status(400).json({
-        success: false,
-        message: 'Template not found',
-        error: error.message,
-        data: {
-          templateId: EMAIL_TEMPLATE_ID,
-          targetEmail: targetEmail?.trim().toLowerCase()
-        }
-      });
-    }
-
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'An error occurred while sending the email'
+    return sendErrorResponse(res, error, {
+      data: {
+        templateId,
+        targetEmail
+      },
+      fallbackMessage: 'An error occurred while sending the email'
     });
   }
 }
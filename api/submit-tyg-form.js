@@ -1,43 +1,42 @@
-// Helper function to validate email
-function isValidEmail(email) {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
-}
+import crypto from 'crypto';
 
-// Import GHL API functions
+// Import outbox (GHL sync) functions
+import {
+  enqueueSubmission,
+  processSubmission,
+  processSubmissionBatch,
+  describeDelivery,
+  isSchedulingAvailable,
+  isReplayScheduled,
+  withdrawSubmission
+} from './lib/outbox.js';
+import { GhlCircuitOpenError, RequestRejectedError, sendErrorResponse } from './lib/errors.js';
+import { requireTenant, runWithTenant } from './lib/tenants.js';
+import { fingerprintRequest, readIdempotencyKey, replayStoredResponse, runIdempotent } from './lib/idempotency.js';
+import { parseDeliverAt } from './lib/schedule.js';
+import { moderateSubmission, hasMessageText } from './lib/moderation.js';
+import { checkPublicRequest, checkSenderLimit } from './lib/bot-protection.js';
 import {
-  findOrCreateContact,
-  updateContactCustomFields,
-  addTagsToContact
-} from './lib/ghl-api.js';
-
-export default async function handler(req, res) {
-  // Set CORS headers FIRST - before any other logic
-  // This is critical for CORS to work properly
-  const origin = req.headers.origin;
-  
-  // Allow dailyhug.com and common development origins, or use wildcard
-  const allowedOrigins = [
-    'https://dailyhug.com',
-    'http://localhost:3000',
-    'http://localhost:5173',
-    'http://127.0.0.1:3000'
-  ];
-  
-  // Use origin if it's in allowed list, otherwise use wildcard
-  const corsOrigin = origin && allowedOrigins.some(allowed => origin.includes(allowed))
-    ? origin
-    : '*';
-  
-  // Set CORS headers - MUST be set before any response
-  res.setHeader('Access-Control-Allow-Origin', corsOrigin);
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS, GET');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-  res.setHeader('Access-Control-Max-Age', '86400');
-
-  // Handle preflight OPTIONS requests
-  if (req.method === 'OPTIONS') {
-    return res.status(200).json({ message: 'OK' });
+  fieldError,
+  validate,
+  sendValidationErrors,
+  SINGLE_RECIPIENT_SCHEMA,
+  MULTI_RECIPIENT_SCHEMA,
+  SENDER_SCHEMA
+} from './lib/validation.js';
+import { handleCors } from './lib/cors.js';
+import { createLogger, withRequestLogging } from './lib/logger.js';
+
+const log = createLogger('TYG Form');
+
+export default withRequestLogging(async function handler(req, res) {
+  // Called by the TYG form from the CORS_ALLOWED_ORIGINS sites
+  if (handleCors(req, res, {
+    methods: ['POST'],
+    headers: ['Idempotency-Key', 'X-Captcha-Token'],
+    exposeHeaders: ['Idempotent-Replayed', 'Retry-After']
+  })) {
+    return;
   }
 
   // Only allow POST requests
@@ -48,6 +47,18 @@ export default async function handler(req, res) {
     });
   }
 
+  // Pick the GHL sub-account (tenant) this request belongs to. The form is
+  // public, so a browser's Origin decides and `location` must agree with it.
+  const tenant = requireTenant(req, res, { publicRequest: true });
+  if (!tenant) {
+    return;
+  }
+
+  return runWithTenant(tenant, () => handleSubmission(req, res));
+});
+
+// Validate the form and sync both contacts to the tenant's GHL location
+async function handleSubmission(req, res) {
   try {
     // Parse body - Vercel may pass URL-encoded data as a string
     let bodyData = req.body || {};
@@ -60,162 +71,342 @@ export default async function handler(req, res) {
         bodyData[key] = value;
       }
     }
-    
-    // Extract form data
-    const {
-      recipientName,
-      recipientEmail,
-      message,
-      senderEmail,
-      senderName,
-      sendAnonymously,
-      subscribeDailyHug,
-      timestamp
-    } = bodyData;
-
-    // Validate required fields
-    const errors = [];
-    
-    if (!recipientName || recipientName.trim() === '') {
-      errors.push('recipientName is required');
-    }
-    
-    if (!recipientEmail || recipientEmail.trim() === '') {
-      errors.push('recipientEmail is required');
-    } else if (!isValidEmail(recipientEmail)) {
-      errors.push('recipientEmail must be a valid email address');
-    }
-    
-    if (!message || message.trim() === '') {
-      errors.push('message is required');
+
+    // Either a recipients[] list (one gram each, the message is optional when
+    // every entry has its own) or a single recipientName/recipientEmail
+    const isMultiRecipient = bodyData.recipients !== undefined && bodyData.recipients !== '';
+    const { value: form, errors } = validate({
+      ...(isMultiRecipient ? MULTI_RECIPIENT_SCHEMA : SINGLE_RECIPIENT_SCHEMA),
+      ...SENDER_SCHEMA
+    }, bodyData);
+
+    let recipientList = [];
+    if (isMultiRecipient && form.recipients) {
+      form.recipients.forEach((entry, index) => {
+        if (!entry.message && !form.message && !errors.some(error => error.field === `recipients[${index}].message`)) {
+          errors.push(fieldError(`recipients[${index}].message`, 'REQUIRED', `recipients[${index}].message is required when there is no shared message`));
+        }
+      });
+      recipientList = form.recipients.map(entry => ({
+        recipientName: entry.name,
+        recipientEmail: entry.email,
+        message: entry.message || form.message
+      }));
     }
-    
-    if (!senderEmail || senderEmail.trim() === '') {
-      errors.push('senderEmail is required');
-    } else if (!isValidEmail(senderEmail)) {
-      errors.push('senderEmail must be a valid email address');
+
+    // Optional scheduled delivery, e.g. for a birthday
+    let schedule = null;
+    if (form.deliverAt && !isSchedulingAvailable()) {
+      errors.push(fieldError('deliverAt', 'SCHEDULING_UNAVAILABLE', 'Scheduled delivery is not available on this deployment; leave deliverAt out to send the gram now'));
+    } else if (form.deliverAt) {
+      schedule = parseDeliverAt(form.deliverAt, form.timezone);
+      if (schedule.error) {
+        errors.push(fieldError('deliverAt', 'INVALID_DATE', schedule.error));
+      }
     }
 
     if (errors.length > 0) {
-      return res.status(400).json({
-        success: false,
-        errors: errors
-      });
+      return sendValidationErrors(res, errors);
     }
 
+    // The sender's side of the submission, shared by every recipient
+    const senderData = {
+      senderEmail: form.senderEmail,
+      senderName: form.senderName,
+      sendAnonymously: form.sendAnonymously,
+      subscribeDailyHug: form.subscribeDailyHug,
+      timestamp: form.timestamp || new Date().toISOString(),
+      ...(schedule && { deliverAt: schedule.deliverAt, timezone: schedule.timezone })
+    };
+
     // Prepare submission data
-    const submissionData = {
-      recipientName: recipientName.trim(),
-      recipientEmail: recipientEmail.trim().toLowerCase(),
-      message: message.trim(),
-      senderEmail: senderEmail.trim().toLowerCase(),
-      senderName: senderName ? senderName.trim() : '',
-      sendAnonymously: sendAnonymously === 'true' || sendAnonymously === true,
-      subscribeDailyHug: subscribeDailyHug === 'true' || subscribeDailyHug === true,
-      timestamp: timestamp || new Date().toISOString()
+    const submissionData = isMultiRecipient ? null : {
+      recipientName: form.recipientName,
+      recipientEmail: form.recipientEmail,
+      message: form.message,
+      ...senderData
     };
 
-    console.log('[TYG Form] Form submission received:', {
-      recipientEmail: submissionData.recipientEmail,
-      senderEmail: submissionData.senderEmail,
-      timestamp: submissionData.timestamp
+    // Repeats of the same submission (double clicks, network retries) get
+    // the first response back instead of a second GHL sync. Without a
+    // client key, one is derived from the submission itself.
+    const fingerprint = fingerprintRequest({
+      ...(isMultiRecipient ? { recipients: recipientList, ...senderData } : submissionData),
+      timestamp: form.timestamp || null
     });
+    const idempotencyKey = readIdempotencyKey(req, bodyData) || `derived:${fingerprint}`;
 
-    // Integrate with GoHighLevel API
-    try {
-      // Step 1: Find or create sender contact
-      console.log('[TYG Form] Processing sender contact...');
-      const senderContact = await findOrCreateContact(
-        submissionData.senderEmail,
-        {
-          firstName: submissionData.senderName || undefined,
-          name: submissionData.senderName || undefined
-        }
-      );
+    // A retry of a submission that went through is answered before the checks
+    // below: its CAPTCHA token is already spent, and it mustn't use up the
+    // rate limits a second time
+    if (await replayStoredResponse(res, { key: idempotencyKey, fingerprint })) {
+      return res;
+    }
+
+    // Honeypot, per-IP rate limit and CAPTCHA before anything is saved
+    await checkPublicRequest(req, bodyData, 'submit-tyg-form');
+
+    // One sender can only send so many grams per window
+    await checkSenderLimit(senderData.senderEmail, isMultiRecipient ? recipientList.length : 1);
+
+    if (isMultiRecipient) {
+      const moderated = [];
+      for (const recipient of recipientList) {
+        moderated.push(await moderateSubmission({ ...recipient, ...senderData }));
+      }
+
+      const emptyMessages = moderated
+        .map(({ submission }, index) => (hasMessageText(submission.message) ? null : fieldError(`recipients[${index}].message`, 'NO_TEXT', `recipients[${index}].message must contain more than links or contact details`)))
+        .filter(Boolean);
+      if (emptyMessages.length > 0) {
+        return sendValidationErrors(res, emptyMessages);
+      }
 
-      // Step 2: Update sender contact with custom fields
-      console.log('[TYG Form] Updating sender contact custom fields...');
-      await updateContactCustomFields(senderContact.id, {
-        tyg_recipientname: submissionData.recipientName,
-        tyg_recipientemail: submissionData.recipientEmail,
-        tyg_message: submissionData.message,
-        tyg_sendername: submissionData.senderName,
-        tyg_sendanonymously: submissionData.sendAnonymously ? 'true' : 'false',
-        tyg_subscribedailyhug: submissionData.subscribeDailyHug ? 'true' : 'false'
+      log.info('Multi-recipient submission received', {
+        recipients: moderated.length,
+        senderEmail: senderData.senderEmail,
+        timestamp: senderData.timestamp,
+        deliverAt: senderData.deliverAt || null
       });
 
-      // Step 3: Add tag to sender contact
-      console.log('[TYG Form] Adding tag to sender contact...');
-      await addTagsToContact(senderContact.id, 'tyg--> sender');
-
-      // Step 4: Find or create recipient contact
-      console.log('[TYG Form] Processing recipient contact...');
-      const recipientContact = await findOrCreateContact(
-        submissionData.recipientEmail,
-        {
-          firstName: submissionData.recipientName,
-          name: submissionData.recipientName
-        }
+      return await runIdempotent(res, { key: idempotencyKey, fingerprint }, idempotentRes =>
+        syncSubmissionBatch(idempotentRes, moderated)
       );
+    }
 
-      // Step 5: Update recipient contact with custom fields
-      console.log('[TYG Form] Updating recipient contact custom fields...');
-      await updateContactCustomFields(recipientContact.id, {
-        tyg_recipientname: submissionData.recipientName,
-        tyg_recipientemail: submissionData.recipientEmail,
-        tyg_message: submissionData.message,
-        tyg_sendername: submissionData.senderName,
-        tyg_sendanonymously: submissionData.sendAnonymously ? 'true' : 'false',
-        tyg_subscribedailyhug: submissionData.subscribeDailyHug ? 'true' : 'false'
-      });
+    // Strip links and contact details, and hold flagged grams for review
+    const { submission: moderatedData, moderation } = await moderateSubmission(submissionData);
+    if (!hasMessageText(moderatedData.message)) {
+      return sendValidationErrors(res, [
+        fieldError('message', 'NO_TEXT', 'message must contain more than links or contact details')
+      ]);
+    }
 
-      // Step 6: Add tag to recipient contact
-      console.log('[TYG Form] Adding tag to recipient contact...');
-      await addTagsToContact(recipientContact.id, 'tyg--> recipient');
+    log.info('Form submission received', {
+      recipientEmail: submissionData.recipientEmail,
+      senderEmail: submissionData.senderEmail,
+      timestamp: submissionData.timestamp,
+      deliverAt: submissionData.deliverAt || null
+    });
 
-      console.log('[TYG Form] All GHL operations completed successfully:', {
-        senderContactId: senderContact.id,
-        recipientContactId: recipientContact.id
-      });
+    return await runIdempotent(res, { key: idempotencyKey, fingerprint }, idempotentRes =>
+      syncSubmission(idempotentRes, moderatedData, moderation)
+    );
+
+  } catch (error) {
+    log.error('Error processing form submission', { error });
+    return sendErrorResponse(res, error, {
+      fallbackMessage: 'An error occurred while processing the submission'
+    });
+  }
+}
+
+// Save the submission to the outbox and sync it to GHL
+async function syncSubmission(res, submissionData, moderation) {
+  // Save the submission before touching GHL, so a failed sync can be
+  // replayed from the outbox instead of being lost
+  const record = await enqueueSubmission(submissionData, { moderation });
+  const inReview = record.status === 'review';
+
+  // Integrate with GoHighLevel API
+  try {
+    // Upsert sender and recipient contacts with custom fields and tags,
+    // then send the gram (unless it is held for review, scheduled or a GHL
+    // workflow delivers it)
+    await processSubmission(record);
+    const { senderContactId = null, recipientContactId = null } = record.results;
+
+    log.info(inReview ? 'Submission held for review' : 'All GHL operations completed successfully', {
+      submissionId: record.id,
+      senderContactId,
+      recipientContactId,
+      delivery: describeDelivery(record).status
+    });
+
+    // Return success response
+    return res.status(200).json({
+      success: true,
+      message: inReview
+        ? 'Form submitted successfully; the message will be reviewed before it is sent'
+        : 'Form submitted successfully',
+      data: {
+        submissionId: record.id,
+        recipientEmail: submissionData.recipientEmail,
+        senderEmail: submissionData.senderEmail,
+        timestamp: submissionData.timestamp,
+        ghl: {
+          senderContactId,
+          recipientContactId
+        },
+        delivery: describeDelivery(record),
+        moderation: describeModeration(record),
+        dailyHug: record.results.dailyHug || null
+      }
+    });
+
+  } catch (ghlError) {
+    log.error('GHL API error', { submissionId: record.id, error: ghlError });
 
-      // Return success response
-      return res.status(200).json({
+    // Nothing would replay the remaining steps, so the gram is withdrawn and
+    // the client is told to send it again. A 5xx isn't kept under the
+    // idempotency key, so the retry runs as a new submission.
+    if (record.status === 'pending' && !isReplayScheduled()) {
+      await withdrawSubmission(record);
+      return sendErrorResponse(res, notQueuedError(ghlError));
+    }
+
+    const queued = record.status === 'pending';
+
+    // GHL is degraded and the call was never attempted. The submission is
+    // saved and /api/replay_outbox syncs it once GHL recovers, so this is a
+    // 202 rather than a 5xx: it is stored under the idempotency key and a
+    // retry gets it back instead of saving the gram again.
+    if (ghlError instanceof GhlCircuitOpenError) {
+      return res.status(202).json({
         success: true,
-        message: 'Form submitted successfully',
+        message: 'Form received; GoHighLevel is temporarily unavailable, so it will be synced when it recovers',
+        code: ghlError.code,
         data: {
+          submissionId: record.id,
           recipientEmail: submissionData.recipientEmail,
-          senderEmail: submissionData.senderEmail,
           timestamp: submissionData.timestamp,
-          ghl: {
-            senderContactId: senderContact.id,
-            recipientContactId: recipientContact.id
-          }
+          queued,
+          delivery: describeDelivery(record)
         }
       });
+    }
 
-    } catch (ghlError) {
-      console.error('[TYG Form] GHL API error:', ghlError);
-      // Still return success to user, but log the error
-      // You may want to change this behavior based on your requirements
-      return res.status(200).json({
-        success: true,
-        message: 'Form submitted successfully (GHL sync had issues)',
-        warning: 'GoHighLevel integration encountered an error',
-        data: {
-          recipientEmail: submissionData.recipientEmail,
-          timestamp: submissionData.timestamp
-        },
-        error: process.env.NODE_ENV === 'development' ? ghlError.message : undefined
-      });
+    // The submission is kept in the outbox and the remaining steps are
+    // retried by /api/replay_outbox, so the user still gets a success
+    return res.status(200).json({
+      success: true,
+      message: 'Form submitted successfully (GHL sync had issues)',
+      warning: queued
+        ? 'GoHighLevel integration encountered an error; the submission was saved and will be retried'
+        : 'GoHighLevel integration encountered an error',
+      data: {
+        submissionId: record.id,
+        recipientEmail: submissionData.recipientEmail,
+        timestamp: submissionData.timestamp,
+        queued,
+        completedSteps: record.completedSteps,
+        delivery: describeDelivery(record)
+      },
+      code: ghlError.code,
+      error: process.env.NODE_ENV === 'development' ? ghlError.message : undefined
+    });
+  }
+}
+
+// The error for a gram that failed part-way and was withdrawn rather than
+// left for a replay. An open circuit keeps its own 503 and Retry-After.
+function notQueuedError(ghlError) {
+  if (ghlError instanceof GhlCircuitOpenError) {
+    return ghlError;
+  }
+  return new RequestRejectedError('GoHighLevel sync failed, please send the form again', {
+    status: 503,
+    code: 'NOT_QUEUED',
+    detail: 'The submission could not be synced to GoHighLevel and was not saved for a retry',
+    retryAfterMs: ghlError.retryAfterMs ?? null
+  });
+}
+
+// What the submitter is told about moderation: whether the gram is held and
+// what was stripped, but not which rule matched
+function describeModeration(record) {
+  const { status = 'passed', removed = null } = record.moderation || {};
+  return { status, removed };
+}
+
+// Save one outbox record per recipient and sync them to GHL, the sender once
+// and the recipients in parallel. Every recipient gets its own result, so a
+// partial failure shows which grams were queued for a replay.
+async function syncSubmissionBatch(res, moderated) {
+  const batchId = crypto.randomUUID();
+  const records = [];
+  for (const { submission, moderation } of moderated) {
+    records.push(await enqueueSubmission(submission, { batchId, moderation }));
+  }
+
+  const outcomes = await processSubmissionBatch(records);
+
+  // As for a single submission, grams that nothing would replay are
+  // withdrawn and the client is told which recipients to send again
+  if (!isReplayScheduled()) {
+    for (const { record, error } of outcomes) {
+      if (error && record.status === 'pending') {
+        await withdrawSubmission(record);
+      }
     }
+  }
 
-  } catch (error) {
-    console.error('Error processing form submission:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error',
+  const results = outcomes.map(({ record, error }) => ({
+    submissionId: record.id,
+    recipientName: record.submission.recipientName,
+    recipientEmail: record.submission.recipientEmail,
+    success: !error,
+    status: record.status,
+    queued: record.status === 'pending',
+    recipientContactId: record.results.recipientContactId || null,
+    completedSteps: record.completedSteps,
+    delivery: describeDelivery(record),
+    moderation: describeModeration(record),
+    ...(error && {
+      code: error.code,
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }));
+  const failed = outcomes.filter(outcome => outcome.error);
+
+  log.info('Multi-recipient sync finished', {
+    batchId,
+    recipients: results.length,
+    failed: failed.length
+  });
+
+  // No recipient was synced or saved for a replay, so the whole form is sent again
+  if (failed.length === outcomes.length && failed.every(({ record }) => record.status === 'cancelled')) {
+    return sendErrorResponse(res, notQueuedError(failed[0].error), { data: { batchId, recipients: results } });
+  }
+
+  // GHL is degraded and nothing was attempted. Every gram is queued for the
+  // replay, so this is a 202 that the idempotency key keeps, like a single
+  // submission
+  if (failed.length === outcomes.length && failed.every(outcome => outcome.error instanceof GhlCircuitOpenError)) {
+    return res.status(202).json({
+      success: true,
+      message: `Form received for ${results.length} recipients; GoHighLevel is temporarily unavailable, so they will be synced when it recovers`,
+      code: failed[0].error.code,
+      data: { batchId, recipients: results }
     });
   }
-}
 
+  // Failed recipients are either kept in the outbox and retried by
+  // /api/replay_outbox or withdrawn (queued: false) for the client to send
+  // again, so the submission as a whole still succeeds
+  return res.status(200).json({
+    success: true,
+    message: failed.length > 0
+      ? `Form submitted for ${results.length} recipients (GHL sync had issues for ${failed.length})`
+      : `Form submitted successfully for ${results.length} recipients`,
+    warning: failed.length > 0
+      ? 'GoHighLevel integration encountered an error for some recipients; see data.recipients for which were queued for a retry and which must be sent again'
+      : undefined,
+    data: {
+      batchId,
+      senderEmail: records[0].submission.senderEmail,
+      timestamp: records[0].submission.timestamp,
+      ghl: {
+        senderContactId: records[0].results.senderContactId || null
+      },
+      dailyHug: records[0].results.dailyHug || null,
+      recipients: results,
+      counts: {
+        total: results.length,
+        succeeded: results.length - failed.length,
+        failed: failed.length
+      }
+    }
+  });
+}
@@ -0,0 +1,93 @@
+// Import Daily Hug subscription functions
+import { verifyDailyHugToken, unsubscribeDailyHug, getResultPageUrl } from './lib/daily-hug.js';
+import { sendErrorResponse } from './lib/errors.js';
+import { getTenants, runWithTenant } from './lib/tenants.js';
+import { getClientIp } from './lib/client-ip.js';
+import { isFormPost, sendTokenPage } from './lib/token-page.js';
+import { handleCors } from './lib/cors.js';
+import { createLogger, withRequestLogging } from './lib/logger.js';
+
+const log = createLogger('Daily Hug');
+
+export default withRequestLogging(async function handler(req, res) {
+  // Opened from Daily Hug emails; POST also serves one-click unsubscribe.
+  // The unsubscribe page posts back from this deployment's own origin.
+  if (handleCors(req, res, { methods: ['GET', 'POST'], sameOrigin: true })) {
+    return;
+  }
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({
+      success: false,
+      message: 'Method not allowed. Use GET or POST.'
+    });
+  }
+
+  try {
+    const body = typeof req.body === 'string'
+      ? Object.fromEntries(new URLSearchParams(req.body))
+      : req.body || {};
+    const token = req.query?.token || body.token;
+
+    // Link clicks (GET) and the unsubscribe page's form go to the result page
+    // when one is configured. A mail client's one-click unsubscribe
+    // (RFC 8058) is a form post too, but gets JSON.
+    const oneClick = body['List-Unsubscribe'] === 'One-Click';
+    const fromBrowser = req.method === 'GET' || (isFormPost(req) && !oneClick);
+    const respond = (status, pageStatus, responseBody) => {
+      const pageUrl = fromBrowser ? getResultPageUrl(pageStatus) : null;
+      return pageUrl ? res.redirect(req.method === 'GET' ? 302 : 303, pageUrl) : res.status(status).json(responseBody);
+    };
+
+    const verified = verifyDailyHugToken(token, 'unsubscribe');
+    const tenant = verified.error ? null : getTenants().get(verified.tenantId);
+
+    if (!tenant) {
+      return respond(400, 'invalid', {
+        success: false,
+        message: verified.error || 'This link is invalid',
+        error: 'The unsubscribe token is missing, malformed or not signed by this deployment',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    // Opening the link only shows a button, so mail scanners and link
+    // prefetchers don't unsubscribe anyone
+    if (req.method === 'GET') {
+      return sendTokenPage(res, {
+        title: 'Unsubscribe from the Daily Hug',
+        button: 'Unsubscribe',
+        token
+      });
+    }
+
+    log.info('Unsubscribe received', {
+      email: verified.email,
+      tenant: tenant.id,
+      oneClick
+    });
+
+    const subscription = await runWithTenant(tenant, () => unsubscribeDailyHug(verified.email, {
+      ip: getClientIp(req)
+    }));
+
+    return respond(200, 'unsubscribed', {
+      success: true,
+      message: subscription.alreadyUnsubscribed
+        ? 'Already unsubscribed from the Daily Hug'
+        : 'Unsubscribed from the Daily Hug',
+      data: {
+        email: subscription.email,
+        status: subscription.status,
+        unsubscribedAt: subscription.unsubscribedAt
+      }
+    });
+
+  } catch (error) {
+    log.error('Error unsubscribing', { error });
+
+    return sendErrorResponse(res, error, {
+      fallbackMessage: 'An error occurred while unsubscribing'
+    });
+  }
+});
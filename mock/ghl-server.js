@@ -0,0 +1,525 @@
+// Local GoHighLevel stand-in server
+//
+// Implements the subset of the GHL rest (v1) and services APIs used by
+// api/lib/ghl-api.js with in-memory state, so the full TYG flow can run
+// without network access. Point the middleware at it with:
+//
+//   GHL_API_BASE=http://localhost:4010/v1
+//   GHL_SERVICES_BASE=http://localhost:4010/services
+//
+// Inspect or reset state via GET /__mock/state and POST /__mock/reset.
+
+import express from 'express';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_LOCATION_ID = 'mock-location';
+
+// Custom fields the TYG form expects to exist
+const SEED_CUSTOM_FIELDS = [
+  { name: 'TYG Recipient Name', fieldKey: 'contact.tyg_recipientname', dataType: 'TEXT' },
+  { name: 'TYG Recipient Email', fieldKey: 'contact.tyg_recipientemail', dataType: 'TEXT' },
+  { name: 'TYG Message', fieldKey: 'contact.tyg_message', dataType: 'LARGE_TEXT' },
+  { name: 'TYG Sender Name', fieldKey: 'contact.tyg_sendername', dataType: 'TEXT' },
+  { name: 'TYG Send Anonymously', fieldKey: 'contact.tyg_sendanonymously', dataType: 'TEXT' },
+  { name: 'TYG Subscribe Daily Hug', fieldKey: 'contact.tyg_subscribedailyhug', dataType: 'TEXT' },
+  { name: 'TYG Daily Hug Confirm URL', fieldKey: 'contact.tyg_dailyhug_confirmurl', dataType: 'TEXT' },
+  { name: 'TYG Daily Hug Unsubscribe URL', fieldKey: 'contact.tyg_dailyhug_unsubscribeurl', dataType: 'TEXT' },
+  { name: 'TYG Daily Hug Consent At', fieldKey: 'contact.tyg_dailyhug_consentat', dataType: 'TEXT' },
+  { name: 'TYG Daily Hug Consent IP', fieldKey: 'contact.tyg_dailyhug_consentip', dataType: 'TEXT' }
+];
+
+// Templates available to the mock location
+const SEED_TEMPLATES = [
+  { id: '6957be6d9f487e131420364b', name: 'Anonymous TYG', subject: 'Someone shared encouragement with you', type: 'email' },
+  { id: '6957be6d9f487e131420365c', name: 'Named TYG', subject: '{{contact.tyg_sendername}} shared encouragement with you', type: 'email' },
+  { id: '6957be6d9f487e131420366d', name: 'Daily Hug Confirmation', subject: 'Confirm your Daily Hug subscription', type: 'email' }
+];
+
+// Unsigned JWT with an `exp` claim, enough for the middleware to decode expiry
+function createMockJwt(expiresInSeconds) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const now = Math.floor(Date.now() / 1000);
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ iat: now, exp: now + expiresInSeconds, jti: generateId() })}.mock`;
+}
+
+// Expiry of a JWT-shaped bearer token (null for opaque API keys)
+function jwtExpiry(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+function generateId() {
+  return crypto.randomBytes(10).toString('hex');
+}
+
+// Create a fresh in-memory state
+function createState({ locationId = DEFAULT_LOCATION_ID, customFields = SEED_CUSTOM_FIELDS, templates = SEED_TEMPLATES } = {}) {
+  return {
+    locationId,
+    contacts: new Map(),
+    customFields: customFields.map(field => ({ id: generateId(), locationId, ...field })),
+    templates: templates.map(template => ({ ...template })),
+    messages: [],
+    notes: [],
+    // contact id → workflow ids the contact is enrolled in
+    workflows: new Map(),
+    faults: [],
+    // refresh token → true while unused (GHL refresh tokens are single use)
+    refreshTokens: new Map([['mock-refresh-token', true]])
+  };
+}
+
+// Apply a rest-style contact payload (customField array, tags, profile fields)
+function applyContactPayload(contact, payload) {
+  const { customField, customFields, tags, ...profile } = payload;
+
+  for (const key of ['email', 'firstName', 'lastName', 'name', 'phone']) {
+    if (profile[key] !== undefined) {
+      contact[key] = key === 'email' ? String(profile[key]).toLowerCase() : profile[key];
+    }
+  }
+
+  const fieldUpdates = customField || customFields;
+  if (Array.isArray(fieldUpdates)) {
+    for (const update of fieldUpdates) {
+      const existing = contact.customField.find(field => field.id === update.id);
+      const value = update.value ?? update.field_value;
+      if (existing) {
+        existing.value = value;
+      } else {
+        contact.customField.push({ id: update.id, value });
+      }
+    }
+  }
+
+  if (Array.isArray(tags)) {
+    contact.tags = [...tags];
+  }
+
+  contact.dateUpdated = new Date().toISOString();
+  return contact;
+}
+
+function createContactRecord(state, payload) {
+  const now = new Date().toISOString();
+  const contact = {
+    id: generateId(),
+    locationId: state.locationId,
+    email: null,
+    tags: [],
+    customField: [],
+    dateAdded: now,
+    dateUpdated: now
+  };
+  applyContactPayload(contact, payload);
+  state.contacts.set(contact.id, contact);
+  return contact;
+}
+
+// Add tags without touching existing ones (GHL's add-tag endpoints)
+function addTags(state, req, res) {
+  const contact = state.contacts.get(req.params.id);
+  if (!contact) {
+    return res.status(404).json({ msg: 'Not found' });
+  }
+  const tags = Array.isArray(req.body?.tags) ? req.body.tags : [];
+  contact.tags = [...new Set([...contact.tags, ...tags])];
+  contact.dateUpdated = new Date().toISOString();
+  res.json({ tags: contact.tags });
+}
+
+// Remove tags; tags the contact doesn't have are ignored
+function removeTags(state, req, res) {
+  const contact = state.contacts.get(req.params.id);
+  if (!contact) {
+    return res.status(400).json({ statusCode: 400, message: 'Contact not found' });
+  }
+  const tags = Array.isArray(req.body?.tags) ? req.body.tags : [];
+  contact.tags = contact.tags.filter(tag => !tags.includes(tag));
+  contact.dateUpdated = new Date().toISOString();
+  res.json({ tags: contact.tags });
+}
+
+function addToWorkflow(state, req, res) {
+  if (!state.contacts.has(req.params.id)) {
+    return res.status(400).json({ statusCode: 400, message: 'Contact not found' });
+  }
+  const enrolled = state.workflows.get(req.params.id) || new Set();
+  enrolled.add(req.params.workflowId);
+  state.workflows.set(req.params.id, enrolled);
+  // (sic) GHL's spelling
+  res.json({ succeded: true });
+}
+
+function removeFromWorkflow(state, req, res) {
+  if (!state.contacts.has(req.params.id)) {
+    return res.status(400).json({ statusCode: 400, message: 'Contact not found' });
+  }
+  state.workflows.get(req.params.id)?.delete(req.params.workflowId);
+  res.json({ succeded: true });
+}
+
+function addNote(state, req, res) {
+  if (!state.contacts.has(req.params.id)) {
+    return res.status(400).json({ statusCode: 400, message: 'Contact not found' });
+  }
+  if (!req.body?.body) {
+    return res.status(422).json({ statusCode: 422, message: ['body should not be empty'] });
+  }
+  const note = { id: generateId(), contactId: req.params.id, body: req.body.body, dateAdded: new Date().toISOString() };
+  state.notes.push(note);
+  res.status(201).json({ note });
+}
+
+// Send a conversation message, mirroring GHL's 500 for unknown templates
+function sendMessage(state, req, res) {
+  const { type, contactId, templateId } = req.body || {};
+
+  if (!contactId || !state.contacts.has(contactId)) {
+    return res.status(400).json({ statusCode: 400, message: 'Contact not found' });
+  }
+
+  if (templateId && !state.templates.some(template => template.id === templateId)) {
+    return res.status(500).json({ statusCode: 500, message: `Template with id ${templateId} not found` });
+  }
+
+  const message = {
+    id: generateId(),
+    conversationId: `conv-${contactId}`,
+    type: type || 'Email',
+    contactId,
+    templateId: templateId || null,
+    subject: req.body.subject || null,
+    // The custom fields the template is rendered with
+    contactFields: structuredClone(state.contacts.get(contactId).customField || []),
+    dateAdded: new Date().toISOString()
+  };
+  state.messages.push(message);
+
+  return res.status(201).json({
+    conversationId: message.conversationId,
+    messageId: message.id,
+    msg: 'Message queued'
+  });
+}
+
+function createRestRouter(getState) {
+  const router = express.Router();
+
+  // Contacts
+  router.get('/contacts/', (req, res) => {
+    const state = getState();
+    const query = String(req.query.query || '').toLowerCase();
+    const limit = Math.min(parseInt(req.query.limit || '20', 10), 100);
+    // Fuzzy like GHL: any word of the query (e.g. the email domain) matches
+    const terms = query.split(/[^a-z0-9]+/).filter(term => term.length >= 3);
+    const matches = [...state.contacts.values()].filter(contact =>
+      !query ||
+      terms.some(term =>
+        (contact.email && contact.email.includes(term)) ||
+        (contact.name && contact.name.toLowerCase().includes(term))
+      )
+    );
+
+    // Cursor pagination like GHL: pass meta.startAfterId back to get the next page
+    const startIndex = req.query.startAfterId
+      ? matches.findIndex(contact => contact.id === req.query.startAfterId) + 1
+      : 0;
+    const contacts = matches.slice(startIndex, startIndex + limit);
+    const last = contacts[contacts.length - 1];
+    const hasMore = startIndex + limit < matches.length;
+
+    res.json({
+      contacts,
+      meta: {
+        total: matches.length,
+        ...(hasMore && { startAfterId: last.id, startAfter: Date.parse(last.dateAdded) })
+      }
+    });
+  });
+
+  router.post('/contacts/', (req, res) => {
+    const state = getState();
+    if (!req.body || !req.body.email) {
+      return res.status(422).json({ email: { message: 'email is required' } });
+    }
+    const contact = createContactRecord(state, req.body);
+    res.status(200).json({ contact });
+  });
+
+  router.get('/contacts/:id', (req, res) => {
+    const state = getState();
+    const contact = state.contacts.get(req.params.id);
+    if (!contact) {
+      return res.status(404).json({ msg: 'Not found' });
+    }
+    res.json({ contact });
+  });
+
+  router.put('/contacts/:id', (req, res) => {
+    const state = getState();
+    const contact = state.contacts.get(req.params.id);
+    if (!contact) {
+      return res.status(404).json({ msg: 'Not found' });
+    }
+    applyContactPayload(contact, req.body || {});
+    res.json({ contact });
+  });
+
+  router.post('/contacts/:id/tags/', (req, res) => addTags(getState(), req, res));
+
+  router.delete('/contacts/:id/tags/', (req, res) => removeTags(getState(), req, res));
+
+  router.post('/contacts/:id/workflow/:workflowId', (req, res) => addToWorkflow(getState(), req, res));
+
+  router.delete('/contacts/:id/workflow/:workflowId', (req, res) => removeFromWorkflow(getState(), req, res));
+
+  router.post('/contacts/:id/notes/', (req, res) => addNote(getState(), req, res));
+
+  router.delete('/contacts/:id', (req, res) => {
+    const state = getState();
+    if (!state.contacts.delete(req.params.id)) {
+      return res.status(404).json({ msg: 'Not found' });
+    }
+    res.type('text/plain').send('OK');
+  });
+
+  // Custom fields
+  router.get('/custom-fields/', (req, res) => {
+    const state = getState();
+    res.json({ customFields: state.customFields });
+  });
+
+  router.post('/custom-fields/', (req, res) => {
+    const state = getState();
+    const { name, dataType = 'TEXT', fieldKey } = req.body || {};
+    if (!name) {
+      return res.status(422).json({ name: { message: 'name is required' } });
+    }
+
+    // GHL derives the key from the name when none is given
+    const key = fieldKey || `contact.${name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')}`;
+    if (state.customFields.some(field => field.fieldKey === key)) {
+      return res.status(422).json({ msg: `Custom field with key ${key} already exists` });
+    }
+
+    const customField = { id: generateId(), locationId: state.locationId, name, fieldKey: key, dataType };
+    state.customFields.push(customField);
+    res.json({ customField });
+  });
+
+  // Messages and templates (rest fallbacks used by sendEmailTemplate/listEmailTemplates)
+  router.post('/conversations/messages', (req, res) => sendMessage(getState(), req, res));
+
+  router.get('/locations/:locationId/templates', (req, res) => {
+    const state = getState();
+    res.json({ templates: state.templates });
+  });
+
+  return router;
+}
+
+function createServicesRouter(getState) {
+  const router = express.Router();
+
+  // Contacts (v2): upsert matches on email
+  router.post('/contacts/upsert', (req, res) => {
+    const state = getState();
+    const { email, locationId, ...payload } = req.body || {};
+    if (!email) {
+      return res.status(422).json({ statusCode: 422, message: ['email is required'] });
+    }
+
+    const existing = [...state.contacts.values()].find(contact => contact.email === String(email).toLowerCase());
+    const { tags, ...rest } = payload;
+    const contact = existing
+      ? applyContactPayload(existing, rest)
+      : createContactRecord(state, { email, ...rest });
+    // Upsert replaces tags when given; additive writes go through /contacts/:id/tags
+    if (Array.isArray(tags)) {
+      contact.tags = [...tags];
+    }
+
+    res.status(existing ? 200 : 201).json({ new: !existing, contact, traceId: generateId() });
+  });
+
+  router.post('/contacts/:id/tags', (req, res) => addTags(getState(), req, res));
+
+  router.delete('/contacts/:id/tags', (req, res) => removeTags(getState(), req, res));
+
+  router.post('/contacts/:id/workflow/:workflowId', (req, res) => addToWorkflow(getState(), req, res));
+
+  router.delete('/contacts/:id/workflow/:workflowId', (req, res) => removeFromWorkflow(getState(), req, res));
+
+  router.post('/contacts/:id/notes', (req, res) => addNote(getState(), req, res));
+
+  router.get('/contacts/:id/notes', (req, res) => {
+    const state = getState();
+    res.json({ notes: state.notes.filter(note => note.contactId === req.params.id) });
+  });
+
+  router.get('/contacts/search/duplicate', (req, res) => {
+    const state = getState();
+    const email = String(req.query.email || '').toLowerCase();
+    const contact = [...state.contacts.values()].find(candidate => candidate.email === email) || null;
+    res.json({ contact });
+  });
+
+  router.post('/conversations/messages', (req, res) => sendMessage(getState(), req, res));
+
+  router.get(['/templates', '/templates/'], (req, res) => {
+    const state = getState();
+    res.json({ templates: state.templates, totalCount: state.templates.length });
+  });
+
+  return router;
+}
+
+// Build the mock app. Pass `apiKey` to reject requests with a different bearer token.
+function createMockGhlServer(options = {}) {
+  const app = express();
+  let state = createState(options);
+
+  app.use(express.json());
+
+  // Inspection endpoints (not part of GHL)
+  app.get('/__mock/state', (req, res) => {
+    res.json({
+      locationId: state.locationId,
+      contacts: [...state.contacts.values()],
+      customFields: state.customFields,
+      templates: state.templates,
+      messages: state.messages,
+      notes: state.notes,
+      workflows: Object.fromEntries([...state.workflows].map(([contactId, workflowIds]) => [contactId, [...workflowIds]]))
+    });
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    state = createState(options);
+    res.json({ success: true });
+  });
+
+  // Inject failures: { method, path, status, times, retryAfter, body, delayMs }
+  // `path` is matched as a prefix of the full request path (e.g. "/v1/contacts/").
+  // With `delayMs` the response is held back that long (to exercise timeouts).
+  app.post('/__mock/faults', (req, res) => {
+    const fault = { method: 'GET', status: 503, times: 1, ...req.body };
+    fault.method = fault.method.toUpperCase();
+    state.faults.push(fault);
+    res.json({ success: true, fault });
+  });
+
+  app.delete('/__mock/faults', (req, res) => {
+    state.faults = [];
+    res.json({ success: true });
+  });
+
+  app.use((req, res, next) => {
+    const fault = state.faults.find(candidate =>
+      candidate.times > 0 &&
+      candidate.method === req.method &&
+      req.path.startsWith(candidate.path)
+    );
+    if (!fault) {
+      return next();
+    }
+
+    fault.times -= 1;
+    const respond = () => {
+      if (res.writableEnded || res.destroyed) {
+        return;
+      }
+      if (fault.retryAfter !== undefined) {
+        res.setHeader('Retry-After', String(fault.retryAfter));
+      }
+      res.status(fault.status).json(fault.body || { statusCode: fault.status, message: 'Injected mock fault' });
+    };
+    if (fault.delayMs) {
+      setTimeout(respond, fault.delayMs).unref();
+    } else {
+      respond();
+    }
+  });
+
+  // OAuth token refresh (form-encoded, no bearer token)
+  app.post('/services/oauth/token', express.urlencoded({ extended: false }), (req, res) => {
+    const { grant_type: grantType, refresh_token: refreshToken, client_id: clientId, client_secret: clientSecret } = req.body || {};
+    if (grantType !== 'refresh_token' || !clientId || !clientSecret) {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'refresh_token grant with client credentials required' });
+    }
+    if (!state.refreshTokens.get(refreshToken)) {
+      return res.status(401).json({ error: 'invalid_grant', error_description: 'Invalid refresh token' });
+    }
+
+    // Rotate: the used refresh token stops working
+    const expiresIn = parseInt(process.env.MOCK_GHL_TOKEN_TTL_SECONDS || '86399', 10);
+    const nextRefreshToken = `mock-refresh-${generateId()}`;
+    state.refreshTokens.set(refreshToken, false);
+    state.refreshTokens.set(nextRefreshToken, true);
+
+    res.json({
+      access_token: createMockJwt(expiresIn),
+      token_type: 'Bearer',
+      expires_in: expiresIn,
+      refresh_token: nextRefreshToken,
+      userType: 'Location',
+      locationId: state.locationId
+    });
+  });
+
+  // Require a bearer token like GHL does; JWTs must not be expired
+  app.use((req, res, next) => {
+    const authorization = req.headers.authorization || '';
+    const token = authorization.startsWith('Bearer ') ? authorization.substring(7) : '';
+    const expiresAt = jwtExpiry(token);
+    if (!token || (expiresAt !== null && expiresAt <= Date.now())) {
+      return res.status(401).json({ msg: 'Invalid JWT' });
+    }
+    if (expiresAt === null && options.apiKey && token !== options.apiKey) {
+      return res.status(401).json({ msg: 'Invalid JWT' });
+    }
+    // The services API only takes OAuth tokens, never the v1 API key
+    if (expiresAt === null && req.path.startsWith('/services/')) {
+      return res.status(401).json({ statusCode: 401, message: 'Invalid JWT' });
+    }
+    next();
+  });
+
+  // Routers resolve state lazily so /__mock/reset takes effect
+  const getState = () => state;
+  app.use('/v1', createRestRouter(getState));
+  app.use('/services', createServicesRouter(getState));
+
+  app.use((req, res) => {
+    res.status(404).json({ statusCode: 404, message: `Cannot ${req.method} ${req.path}` });
+  });
+
+  app.getState = getState;
+  return app;
+}
+
+// Run standalone: node mock/ghl-server.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = process.env.MOCK_GHL_PORT || DEFAULT_PORT;
+  const app = createMockGhlServer({
+    apiKey: process.env.MOCK_GHL_API_KEY,
+    locationId: process.env.GHL_LOCATION_ID || DEFAULT_LOCATION_ID,
+    // MOCK_GHL_SEED_FIELDS=false starts without the tyg_* fields (to exercise provisioning)
+    ...(process.env.MOCK_GHL_SEED_FIELDS === 'false' && { customFields: [] })
+  });
+
+  app.listen(port, () => {
+    console.log(`[Mock GHL] Listening on port ${port}`);
+    console.log(`[Mock GHL] GHL_API_BASE=http://localhost:${port}/v1`);
+    console.log(`[Mock GHL] GHL_SERVICES_BASE=http://localhost:${port}/services`);
+  });
+}
+
+export { createMockGhlServer, createState, createMockJwt };
@@ -0,0 +1,107 @@
+// Run the api/ handlers against the GoHighLevel mock, without Vercel
+//
+// Shared by mock/run-flow.js and the tests in test/. startMockGhl() starts
+// mock/ghl-server.js on a free port and points the middleware at it; call it
+// before importing any api/ module, since ghl-api.js and friends read their
+// configuration at import time. invoke() calls a handler with Vercel-like
+// request and response objects.
+
+import { createMockGhlServer } from './ghl-server.js';
+
+// Start the mock and set the GHL_* variables for it. `env` is applied on top
+// (e.g. TYG_STORE=memory). Resolves with the app, its base URL and helpers
+// to inject faults and stop it.
+async function startMockGhl(env = {}, options = {}) {
+  const app = createMockGhlServer(options);
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, () => resolve(listener));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  Object.assign(process.env, {
+    GHL_API_BASE: `${base}/v1`,
+    GHL_SERVICES_BASE: `${base}/services`,
+    GHL_API_KEY: process.env.GHL_API_KEY || 'mock-api-key',
+    GHL_LOCATION_ID: process.env.GHL_LOCATION_ID || app.getState().locationId,
+    TYG_NAMED_TEMPLATE_ID: process.env.TYG_NAMED_TEMPLATE_ID || '6957be6d9f487e131420365c',
+    ...env
+  });
+
+  return {
+    app,
+    base,
+    state: () => app.getState(),
+    // Make the next `times` matching requests fail (see /__mock/faults)
+    async fault(fault) {
+      await fetch(`${base}/__mock/faults`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fault)
+      });
+    },
+    async clearFaults() {
+      await fetch(`${base}/__mock/faults`, { method: 'DELETE' });
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// Minimal stand-in for the Vercel response object
+function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    headersSent: false,
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    getHeader(name) {
+      return res.headers[name.toLowerCase()];
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      res.headersSent = true;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      res.headersSent = true;
+      return res;
+    },
+    redirect(code, url) {
+      res.statusCode = code;
+      res.headers.location = url;
+      res.headersSent = true;
+      return res;
+    },
+    end(body) {
+      res.body = body;
+      res.headersSent = true;
+      return res;
+    }
+  };
+  return res;
+}
+
+// Call a handler with a Vercel-like request from the form's origin. `req` is
+// merged into the request (e.g. `url`); pass `origin: null` to send none.
+async function invoke(handler, { method = 'GET', query = {}, body = {}, headers = {}, origin = 'http://localhost:3000', ...req } = {}) {
+  const res = createResponse();
+  await handler({ method, query, body, headers: { ...(origin && { origin }), ...headers }, ...req }, res);
+  return res;
+}
+
+export {
+  startMockGhl,
+  createResponse,
+  invoke
+};
@@ -0,0 +1,76 @@
+// End-to-end TYG flow against the local GoHighLevel mock
+//
+// Starts mock/ghl-server.js on a free port, points the middleware at it and
+// runs submit → send → delete through the real api/ handlers.
+//
+//   npm run mock:flow
+
+import { startMockGhl, invoke } from './harness.js';
+
+function step(name, res) {
+  console.log(`\n[Flow] ${name} → ${res.statusCode}`);
+  console.log(JSON.stringify(res.body, null, 2));
+  if (res.statusCode >= 400 || (res.body && res.body.success === false)) {
+    throw new Error(`${name} failed with status ${res.statusCode}`);
+  }
+}
+
+async function main() {
+  const ghl = await startMockGhl({
+    // Keep outbox and other stores in memory so runs leave nothing behind
+    TYG_STORE: process.env.TYG_STORE || 'memory',
+    // Readable log lines next to the step output
+    LOG_FORMAT: process.env.LOG_FORMAT || 'pretty',
+    // Key for the send and delete steps
+    TYG_API_KEYS: process.env.TYG_API_KEYS || JSON.stringify([
+      { id: 'mock-flow', key: 'mock-flow-key', scopes: ['send', 'delete'] }
+    ])
+  });
+  const { app } = ghl;
+  const authHeaders = { 'x-api-key': 'mock-flow-key' };
+
+  try {
+    const { default: submitTygForm } = await import('../api/submit-tyg-form.js');
+    const { default: sendAnonymousTyg } = await import('../api/send_anonymous_tyg.js');
+    const { default: deleteRecipient } = await import('../api/TYG_delete_recipient.js');
+
+    step('submit-tyg-form', await invoke(submitTygForm, {
+      method: 'POST',
+      body: {
+        recipientName: 'Alex',
+        recipientEmail: 'alex@example.com',
+        message: 'Because of you, the launch went smoothly.',
+        senderEmail: 'you@example.com',
+        senderName: 'Sam',
+        sendAnonymously: 'true',
+        subscribeDailyHug: 'false'
+      }
+    }));
+
+    const recipient = [...app.getState().contacts.values()].find(contact => contact.email === 'alex@example.com');
+    console.log(`\n[Flow] Recipient tags: ${recipient.tags.join(', ')}`);
+
+    step('send_anonymous_tyg', await invoke(sendAnonymousTyg, {
+      method: 'POST',
+      headers: authHeaders,
+      body: { target_email: 'alex@example.com' }
+    }));
+    console.log(`[Flow] Messages sent: ${app.getState().messages.length}`);
+
+    step('TYG_delete_recipient', await invoke(deleteRecipient, {
+      method: 'POST',
+      headers: authHeaders,
+      body: { email: 'alex@example.com' }
+    }));
+    console.log(`[Flow] Contacts remaining: ${app.getState().contacts.size}`);
+
+    console.log('\n[Flow] Completed successfully');
+  } finally {
+    await ghl.close();
+  }
+}
+
+main().catch(error => {
+  console.error('[Flow] Failed:', error.message);
+  process.exitCode = 1;
+});
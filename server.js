@@ -1,114 +1,164 @@
+// Local server that runs the api/ handlers the way Vercel does
+//
+// Every api/*.js file with a default export is mounted at /api/<name>
+// (index.js at /api, [param].js as a route parameter), with Vercel's request
+// semantics: req.query holds the query string and route parameters, and
+// req.body is parsed by content type (JSON, URL-encoded, text or raw bytes)
+// or left undefined. A handler that exports
+// `config = { api: { bodyParser: false } }` gets req.body undefined and the
+// unparsed bytes in req.rawBody, which is what it reads from the stream on
+// Vercel. Headers from vercel.json are applied first, like the
+// platform does. Files starting with "_" or "." and the lib/ folder are not
+// routes, as on Vercel.
+
 import express from 'express';
-import cors from 'cors';
 import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import querystring from 'querystring';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { createLogger } from './api/lib/logger.js';
 
 dotenv.config();
 
-const app = express();
+const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const API_DIR = path.join(ROOT_DIR, 'api');
 const PORT = process.env.PORT || 3000;
+// Vercel's request body limit
+const BODY_LIMIT = '4.5mb';
 
-// Middleware
-app.use(cors());
-app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
-
-// Form handler endpoint
-app.post('/api/submit-tyg-form', async (req, res) => {
-  try {
-    // Extract form data
-    const {
-      recipientName,
-      recipientEmail,
-      message,
-      senderEmail,
-      senderName,
-      sendAnonymously,
-      subscribeDailyHug,
-      timestamp
-    } = req.body;
-
-    // Validate required fields
-    const errors = [];
-    
-    if (!recipientName || recipientName.trim() === '') {
-      errors.push('recipientName is required');
-    }
-    
-    if (!recipientEmail || recipientEmail.trim() === '') {
-      errors.push('recipientEmail is required');
-    } else if (!isValidEmail(recipientEmail)) {
-      errors.push('recipientEmail must be a valid email address');
-    }
-    
-    if (!message || message.trim() === '') {
-      errors.push('message is required');
+const log = createLogger('Server');
+
+// "submit-tyg-form.js" → "/api/submit-tyg-form", "[id].js" → "/api/:id"
+function routeForFile(fileName) {
+  const name = fileName.replace(/\.js$/, '');
+  if (name === 'index') {
+    return '/api';
+  }
+  return `/api/${name.replace(/^\[(\w+)\]$/, ':$1')}`;
+}
+
+// Parse a buffered body like Vercel: by content type, undefined without one
+function parseBody(req, buffer) {
+  const contentType = req.headers['content-type'];
+  if (!contentType || !Buffer.isBuffer(buffer)) {
+    return undefined;
+  }
+
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  const text = buffer.toString('utf8');
+  switch (type) {
+    case 'application/json':
+      return text ? JSON.parse(text) : {};
+    case 'application/x-www-form-urlencoded':
+      return { ...querystring.parse(text) };
+    case 'text/plain':
+      return text;
+    case 'application/octet-stream':
+      return buffer;
+    default:
+      return undefined;
+  }
+}
+
+// Wrap a handler with Vercel's req.query/req.body and error behaviour.
+// `config` is the handler module's exported config, if any.
+function adaptHandler(handler, fileName, config = {}) {
+  const bodyParser = config?.api?.bodyParser !== false;
+  return async (req, res) => {
+    // Kept so signed requests can be checked against the exact bytes sent
+    if (Buffer.isBuffer(req.body)) {
+      req.rawBody = req.body;
     }
-    
-    if (!senderEmail || senderEmail.trim() === '') {
-      errors.push('senderEmail is required');
-    } else if (!isValidEmail(senderEmail)) {
-      errors.push('senderEmail must be a valid email address');
+    try {
+      req.body = bodyParser ? parseBody(req, req.body) : undefined;
+    } catch {
+      return res.status(400).json({ success: false, message: 'Invalid JSON' });
     }
 
-    if (errors.length > 0) {
-      return res.status(400).json({
-        success: false,
-        errors: errors
-      });
+    // Route parameters are part of req.query on Vercel
+    req.query = { ...req.query, ...req.params };
+
+    try {
+      await handler(req, res);
+    } catch (error) {
+      log.error('Unhandled error', { route: `api/${fileName}`, error });
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, message: 'A server error has occurred' });
+      }
     }
+  };
+}
 
-    // Prepare submission data
-    const submissionData = {
-      recipientName: recipientName.trim(),
-      recipientEmail: recipientEmail.trim().toLowerCase(),
-      message: message.trim(),
-      senderEmail: senderEmail.trim().toLowerCase(),
-      senderName: senderName ? senderName.trim() : '',
-      sendAnonymously: sendAnonymously === 'true' || sendAnonymously === true,
-      subscribeDailyHug: subscribeDailyHug === 'true' || subscribeDailyHug === true,
-      timestamp: timestamp || new Date().toISOString()
-    };
-
-    // Here you can add additional processing:
-    // - Save to database
-    // - Send email notifications
-    // - Process subscription requests
-    // etc.
-
-    // Return success response
-    res.status(200).json({
-      success: true,
-      message: 'Form submitted successfully',
-      data: {
-        recipientEmail: submissionData.recipientEmail,
-        timestamp: submissionData.timestamp
+// Headers vercel.json sets for matching paths
+function applyVercelHeaders(app) {
+  const configPath = path.join(ROOT_DIR, 'vercel.json');
+  if (!fs.existsSync(configPath)) {
+    return;
+  }
+
+  const { headers = [] } = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  for (const rule of headers) {
+    app.all(rule.source, (req, res, next) => {
+      for (const { key, value } of rule.headers) {
+        res.setHeader(key, value);
       }
+      next();
     });
+  }
+}
 
-  } catch (error) {
-    console.error('Error processing form submission:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+// Import every api/*.js default export and mount it. Returns the mounted
+// handlers by route.
+async function mountApiRoutes(app) {
+  const files = fs.readdirSync(API_DIR)
+    .filter(file => file.endsWith('.js') && !file.startsWith('_') && !file.startsWith('.'))
+    .sort();
+
+  const routes = new Map();
+  for (const file of files) {
+    const { default: handler, config } = await import(pathToFileURL(path.join(API_DIR, file)).href);
+    if (typeof handler !== 'function') {
+      log.warn('Skipping file without a default export', { file: `api/${file}` });
+      continue;
+    }
+
+    const route = routeForFile(file);
+    const adapted = adaptHandler(handler, file, config);
+    app.all(route, adapted);
+    routes.set(route, adapted);
   }
-});
+  return routes;
+}
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
-});
+async function createServer() {
+  const app = express();
 
-// Helper function to validate email
-function isValidEmail(email) {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
+  // Vercel parses the query string without nesting (?a=1&a=2 → ['1', '2'])
+  app.set('query parser', 'simple');
+  app.disable('x-powered-by');
+
+  // Buffer every body; adaptHandler parses it by content type
+  app.use(express.raw({ type: () => true, limit: BODY_LIMIT }));
+
+  applyVercelHeaders(app);
+  const routes = await mountApiRoutes(app);
+
+  // Kept for existing uptime checks; on Vercel the health check is /api/health
+  if (routes.has('/api/health')) {
+    app.all('/health', routes.get('/api/health'));
+  }
+
+  return { app, routes: [...routes.keys()] };
 }
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-  console.log(`Form handler endpoint: http://localhost:${PORT}/api/submit-tyg-form`);
-});
+// Run standalone: node server.js (npm start, npm run dev)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { app, routes } = await createServer();
+
+  app.listen(PORT, () => {
+    log.info('Server is running', { port: PORT, url: `http://localhost:${PORT}`, routes });
+  });
+}
 
+export { createServer };
@@ -0,0 +1,170 @@
+import { test, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGhl, invoke } from './helpers.js';
+
+const ghl = await startMockGhl({
+  TYG_API_KEYS: JSON.stringify([
+    { id: 'sender', key: 'send-key', scopes: ['send'] },
+    { id: 'old', key: 'old-key', scopes: ['send', 'delete'], expiresAt: '2020-01-01T00:00:00Z' },
+    { id: 'other-tenant', key: 'tenant-key', scopes: ['delete'], tenants: ['dailyhug'] }
+  ]),
+  TYG_WEBHOOK_SECRETS: JSON.stringify([
+    { id: 'new', secret: 'new-secret', scopes: ['send', 'delete'] },
+    { id: 'old', secret: 'old-secret', scopes: ['send', 'delete'] },
+    { id: 'sender', secret: 'send-secret', scopes: ['send'] },
+    { id: 'other-tenant', secret: 'tenant-secret', scopes: ['delete'], tenants: ['dailyhug'] },
+    { id: 'expired', secret: 'expired-secret', scopes: ['delete'], expiresAt: '2020-01-01T00:00:00Z' }
+  ])
+});
+const { default: deleteRecipient } = await import('../api/TYG_delete_recipient.js');
+const { authorizeRequest, signRequest, resetApiKeys } = await import('../api/lib/api-auth.js');
+const { getDefaultTenant } = await import('../api/lib/tenants.js');
+const { isAuthorizedAdmin } = await import('../api/lib/admin-auth.js');
+const { safeEqual } = await import('../api/lib/safe-equal.js');
+
+after(() => ghl.close());
+afterEach(() => {
+  delete process.env.TYG_AUTH_MODE;
+});
+
+function authorize(headers, { scope = 'delete', ...req } = {}) {
+  const request = { method: 'POST', url: '/api/TYG_delete_recipient', body: {}, headers, ...req };
+  return authorizeRequest(request, scope, getDefaultTenant());
+}
+
+// X-TYG-* headers for a request signed with `secret`
+function signedHeaders(secret, { body = '', timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const signature = signRequest(secret, { timestamp, method: 'POST', url: '/api/TYG_delete_recipient', body });
+  return { 'x-tyg-timestamp': String(timestamp), 'x-tyg-signature': `sha256=${signature}` };
+}
+
+test('a request without credentials is refused', async () => {
+  const res = await invoke(deleteRecipient, { method: 'POST', body: { email: 'alex@example.com' } });
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.code, 'AUTH_REQUIRED');
+});
+
+test('an API key needs the endpoint scope', async () => {
+  const res = await invoke(deleteRecipient, {
+    method: 'POST',
+    headers: { authorization: 'Bearer send-key' },
+    body: { email: 'alex@example.com' }
+  });
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, 'INSUFFICIENT_SCOPE');
+});
+
+test('unknown and expired keys are refused', async () => {
+  await assert.rejects(authorize({ 'x-api-key': 'nope' }), { status: 401, code: 'INVALID_API_KEY' });
+  await assert.rejects(authorize({ 'x-api-key': 'old-key' }), { status: 401, code: 'INVALID_API_KEY' });
+});
+
+test('a key limited to other tenants is refused', async () => {
+  await assert.rejects(authorize({ 'x-api-key': 'tenant-key' }), { status: 403, code: 'INSUFFICIENT_SCOPE' });
+});
+
+test('a key with the scope is accepted', async () => {
+  assert.deepEqual(
+    await authorize({ authorization: 'Bearer send-key' }, { scope: 'send' }),
+    { keyId: 'sender', signerId: null, signed: false }
+  );
+});
+
+test('a request signed with any configured secret is accepted once', async () => {
+  const headers = signedHeaders('old-secret');
+
+  assert.deepEqual(await authorize(headers), { keyId: null, signerId: 'old', signed: true });
+  await assert.rejects(authorize(headers), { status: 401, code: 'SIGNATURE_REPLAYED' });
+});
+
+test('a signing secret only grants its own scopes and tenants', async () => {
+  await assert.rejects(authorize(signedHeaders('send-secret')), { status: 403, code: 'INSUFFICIENT_SCOPE' });
+  await assert.rejects(authorize(signedHeaders('tenant-secret')), { status: 403, code: 'INSUFFICIENT_SCOPE' });
+  await assert.rejects(authorize(signedHeaders('expired-secret')), { status: 401, code: 'INVALID_SIGNATURE' });
+});
+
+test('a signature must match the body and be recent', async () => {
+  const tampered = signedHeaders('new-secret', { body: '{"email":"a@example.com"}' });
+  await assert.rejects(authorize(tampered, { body: { email: 'b@example.com' } }), { status: 401, code: 'INVALID_SIGNATURE' });
+
+  const stale = signedHeaders('new-secret', { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+  await assert.rejects(authorize(stale), { status: 401, code: 'SIGNATURE_EXPIRED' });
+});
+
+test('TYG_AUTH_MODE=both needs a key and a signature', async () => {
+  process.env.TYG_AUTH_MODE = 'both';
+
+  await assert.rejects(authorize({ authorization: 'Bearer send-key' }, { scope: 'send' }), { status: 401, code: 'SIGNATURE_REQUIRED' });
+  await assert.rejects(authorize(signedHeaders('new-secret'), { scope: 'send' }), { status: 401, code: 'AUTH_REQUIRED' });
+  // A different timestamp, so this isn't a replay of the signature above
+  const timestamp = Math.floor(Date.now() / 1000) - 1;
+  assert.deepEqual(
+    await authorize({ authorization: 'Bearer send-key', ...signedHeaders('new-secret', { timestamp }) }, { scope: 'send' }),
+    { keyId: 'sender', signerId: 'new', signed: true }
+  );
+});
+
+test('with TYG_AUTH_MODE=both, the key and the signing secret each need the scope', async () => {
+  process.env.TYG_AUTH_MODE = 'both';
+  // Not a replay of the tenant-secret signature in the test above
+  const timestamp = Math.floor(Date.now() / 1000) - 2;
+
+  await assert.rejects(
+    authorize({ 'x-api-key': 'send-key', ...signedHeaders('new-secret') }),
+    { status: 403, code: 'INSUFFICIENT_SCOPE' }
+  );
+  await assert.rejects(
+    authorize({ 'x-api-key': 'send-key', ...signedHeaders('tenant-secret', { timestamp }) }, { scope: 'send' }),
+    { status: 403, code: 'INSUFFICIENT_SCOPE' }
+  );
+});
+
+test('signing secrets that are not a JSON array are refused', async () => {
+  const secrets = process.env.TYG_WEBHOOK_SECRETS;
+  process.env.TYG_WEBHOOK_SECRETS = 'new-secret, old-secret';
+  resetApiKeys();
+
+  try {
+    await assert.rejects(authorize(signedHeaders('new-secret')), { code: 'INVALID_WEBHOOK_SECRETS' });
+  } finally {
+    process.env.TYG_WEBHOOK_SECRETS = secrets;
+    resetApiKeys();
+  }
+});
+
+test('changed keys are read again after resetApiKeys()', async () => {
+  const keys = process.env.TYG_API_KEYS;
+  process.env.TYG_API_KEYS = JSON.stringify([{ id: 'rotated', key: 'rotated-key', scopes: ['delete'] }]);
+  resetApiKeys();
+
+  try {
+    assert.equal((await authorize({ 'x-api-key': 'rotated-key' })).keyId, 'rotated');
+    await assert.rejects(authorize({ 'x-api-key': 'send-key' }), { code: 'INVALID_API_KEY' });
+  } finally {
+    process.env.TYG_API_KEYS = keys;
+    resetApiKeys();
+  }
+});
+
+test('secrets are compared whatever their length', () => {
+  assert.equal(safeEqual('admin-key', 'admin-key'), true);
+  assert.equal(safeEqual('admin-kez', 'admin-key'), false);
+  assert.equal(safeEqual('admin', 'admin-key'), false);
+  assert.equal(safeEqual('', 'admin-key'), false);
+});
+
+test('the admin key is only accepted as an exact bearer token', () => {
+  process.env.ADMIN_API_KEY = 'admin-key';
+  const bearer = token => ({ headers: { authorization: `Bearer ${token}` } });
+
+  try {
+    assert.equal(isAuthorizedAdmin(bearer('admin-key')), true);
+    assert.equal(isAuthorizedAdmin(bearer('admin-key-and-more')), false);
+    assert.equal(isAuthorizedAdmin(bearer('')), false);
+    assert.equal(isAuthorizedAdmin({ headers: { authorization: 'admin-key' } }), false);
+  } finally {
+    delete process.env.ADMIN_API_KEY;
+  }
+});
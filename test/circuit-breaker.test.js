@@ -0,0 +1,40 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGhl } from './helpers.js';
+
+const ghl = await startMockGhl();
+const { fetchWithRetry } = await import('../api/lib/retry.js');
+const { createCircuitBreaker } = await import('../api/lib/circuit-breaker.js');
+const { GhlUpstreamError } = await import('../api/lib/errors.js');
+
+const auth = { Authorization: 'Bearer mock-api-key' };
+
+after(() => ghl.close());
+
+test('a stalled request times out', async () => {
+  await ghl.fault({ method: 'GET', path: '/v1/custom-fields', status: 200, delayMs: 500, times: 1 });
+
+  await assert.rejects(
+    fetchWithRetry(`${ghl.base}/v1/custom-fields/`, { headers: auth }, { timeoutMs: 50, maxAttempts: 1 }),
+    error => error.code === 'ETIMEDOUT'
+  );
+  await ghl.clearFaults();
+});
+
+test('the circuit breaker opens after repeated upstream failures and closes after the reset time', async () => {
+  const breaker = createCircuitBreaker('test', { failureThreshold: 2, resetTimeoutMs: 50 });
+  const failing = () => Promise.reject(new GhlUpstreamError('Upstream down', { status: 503 }));
+  let calls = 0;
+  const succeeding = async () => {
+    calls++;
+    return 'ok';
+  };
+
+  await assert.rejects(breaker.execute(failing));
+  await assert.rejects(breaker.execute(failing));
+  await assert.rejects(breaker.execute(succeeding), { code: 'CIRCUIT_OPEN' });
+  assert.equal(calls, 0);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(await breaker.execute(succeeding), 'ok');
+});
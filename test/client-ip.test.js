@@ -0,0 +1,51 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getClientIp } from '../api/lib/client-ip.js';
+
+afterEach(() => {
+  delete process.env.TYG_TRUST_PROXY;
+  delete process.env.VERCEL;
+});
+
+// A request from `remoteAddress` that claims to be forwarded for `forwardedFor`
+function request(forwardedFor, { remoteAddress = '10.0.0.1', realIp } = {}) {
+  return {
+    headers: {
+      ...(forwardedFor && { 'x-forwarded-for': forwardedFor }),
+      ...(realIp && { 'x-real-ip': realIp })
+    },
+    socket: { remoteAddress }
+  };
+}
+
+test('X-Forwarded-For is ignored unless a proxy is trusted', () => {
+  const forged = request('203.0.113.9', { realIp: '203.0.113.10' });
+
+  assert.equal(getClientIp(forged), '10.0.0.1');
+
+  process.env.TYG_TRUST_PROXY = '0';
+  assert.equal(getClientIp(forged), '10.0.0.1');
+});
+
+test('with one trusted proxy, the address it saw wins over anything the client sent', () => {
+  process.env.TYG_TRUST_PROXY = 'true';
+
+  // The client sent "198.51.100.7"; the proxy appended the real address
+  assert.equal(getClientIp(request('198.51.100.7, 203.0.113.9')), '203.0.113.9');
+  assert.equal(getClientIp(request('203.0.113.9')), '203.0.113.9');
+});
+
+test('with two trusted proxies, the hop the outer proxy appended is used', () => {
+  process.env.TYG_TRUST_PROXY = '2';
+
+  assert.equal(getClientIp(request('198.51.100.7, 203.0.113.9, 10.1.1.1')), '203.0.113.9');
+  // Fewer entries than trusted hops: the leftmost one is all there is
+  assert.equal(getClientIp(request('203.0.113.9')), '203.0.113.9');
+});
+
+test('Vercel trusts its one proxy by default', () => {
+  process.env.VERCEL = '1';
+
+  assert.equal(getClientIp(request('198.51.100.7, 203.0.113.9')), '203.0.113.9');
+  assert.equal(getClientIp(request(null, { realIp: '203.0.113.10' })), '203.0.113.10');
+});
@@ -0,0 +1,47 @@
+import { test, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGhl } from './helpers.js';
+import { createMockJwt } from '../mock/ghl-server.js';
+
+// An OAuth token, so contact writes go to the v2 services API first
+const ghl = await startMockGhl({ GHL_OAUTH_TOKEN: createMockJwt(3600) });
+const { upsertContact, addContactTags } = await import('../api/lib/ghl-api.js');
+const { getTenants, runWithTenant } = await import('../api/lib/tenants.js');
+
+after(() => ghl.close());
+afterEach(() => ghl.clearFaults());
+
+function withDefaultTenant(fn) {
+  return runWithTenant(getTenants().get('default'), fn);
+}
+
+function unusedFaults() {
+  return ghl.state().faults.reduce((sum, fault) => sum + fault.times, 0);
+}
+
+test('a write the services API refuses is made over the v1 API instead', async () => {
+  await ghl.fault({ method: 'POST', path: '/services/contacts/upsert', status: 401, times: 1 });
+  const { contact } = await withDefaultTenant(() => upsertContact('refused@example.com', { firstName: 'Ray' }, {}));
+
+  await ghl.fault({ method: 'POST', path: `/services/contacts/${contact.id}/tags`, status: 404, times: 1 });
+  await withDefaultTenant(() => addContactTags(contact.id, ['tyg--> sender']));
+
+  assert.equal(unusedFaults(), 0);
+  assert.equal(ghl.state().contacts.get(contact.id).firstName, 'Ray');
+  assert.deepEqual(ghl.state().contacts.get(contact.id).tags, ['tyg--> sender']);
+});
+
+test('a write that may have reached GHL is not repeated over the v1 API', async () => {
+  const { contact } = await withDefaultTenant(() => upsertContact('unsure@example.com', {}, {}));
+  // Every retry of the v2 call fails, and so would the v1 call if it were made
+  await ghl.fault({ method: 'POST', path: `/services/contacts/${contact.id}/tags`, status: 503, times: 10 });
+  await ghl.fault({ method: 'POST', path: `/v1/contacts/${contact.id}/tags`, status: 500, times: 1 });
+  const before = unusedFaults();
+
+  await assert.rejects(withDefaultTenant(() => addContactTags(contact.id, ['tyg--> sender'])), { status: 503 });
+
+  const v1Fault = ghl.state().faults.find(fault => fault.path.startsWith('/v1/'));
+  assert.equal(v1Fault.times, 1);
+  assert.ok(unusedFaults() < before);
+  assert.deepEqual(ghl.state().contacts.get(contact.id).tags, []);
+});
@@ -0,0 +1,57 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGhl } from './helpers.js';
+
+// No OAuth token: only GHL_API_KEY, as in the README's required config
+const ghl = await startMockGhl();
+const { upsertContact, addContactTags, addContactNote, searchContactByEmail } = await import('../api/lib/ghl-api.js');
+const { getTenants, runWithTenant } = await import('../api/lib/tenants.js');
+
+after(() => ghl.close());
+
+function withDefaultTenant(fn) {
+  return runWithTenant(getTenants().get('default'), fn);
+}
+
+function fieldValue(contact, fieldKey) {
+  const field = ghl.state().customFields.find(candidate => candidate.fieldKey === `contact.${fieldKey}`);
+  return contact.customField.find(entry => entry.id === field.id)?.value;
+}
+
+test('without OAuth, contacts are upserted, tagged and noted through the v1 API', async () => {
+  const created = await withDefaultTenant(() =>
+    upsertContact('Pat@Example.com', { firstName: 'Pat' }, { tyg_message: 'First' })
+  );
+  const updated = await withDefaultTenant(() =>
+    upsertContact('pat@example.com', {}, { tyg_message: 'Second' })
+  );
+  await withDefaultTenant(() => addContactTags(created.contact.id, ['tyg--> sender']));
+  await withDefaultTenant(() => addContactNote(created.contact.id, 'Sent a gram'));
+
+  assert.equal(created.isNew, true);
+  assert.equal(updated.isNew, false);
+  assert.equal(updated.contact.id, created.contact.id);
+  const contact = ghl.state().contacts.get(created.contact.id);
+  assert.equal(ghl.state().contacts.size, 1);
+  assert.equal(contact.firstName, 'Pat');
+  assert.equal(fieldValue(contact, 'tyg_message'), 'Second');
+  assert.deepEqual(contact.tags, ['tyg--> sender']);
+  assert.equal(ghl.state().notes.length, 1);
+});
+
+test('a contact past the first page of fuzzy results is found, not created again', async () => {
+  // More namesakes on the same domain than one page of results holds
+  const { contacts, locationId } = ghl.state();
+  for (let i = 0; i < 150; i++) {
+    const id = `robin-team-${i}`;
+    contacts.set(id, { id, locationId, email: `robin.team${i}@bigco.com`, tags: [], customField: [], dateAdded: new Date(Date.now() + i).toISOString() });
+  }
+  const { contact: robin } = await withDefaultTenant(() => upsertContact('Robin@BigCo.com', { firstName: 'Robin' }, {}));
+  const countBefore = contacts.size;
+
+  assert.equal((await withDefaultTenant(() => searchContactByEmail(' robin@bigco.com '))).id, robin.id);
+  assert.equal((await withDefaultTenant(() => upsertContact('ROBIN@bigco.com', {}, {}))).contact.id, robin.id);
+  assert.equal(contacts.size, countBefore);
+  // A + alias is its own address, whatever its case
+  assert.equal(await withDefaultTenant(() => searchContactByEmail('Robin+TYG@bigco.com')), null);
+});
@@ -0,0 +1,94 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createResponse } from './helpers.js';
+
+process.env.LOG_LEVEL = 'silent';
+const { handleCors, isOriginAllowed } = await import('../api/lib/cors.js');
+
+afterEach(() => {
+  delete process.env.CORS_ALLOWED_ORIGINS;
+  delete process.env.CORS_ALLOW_CREDENTIALS;
+});
+
+function allow(origins) {
+  process.env.CORS_ALLOWED_ORIGINS = origins;
+}
+
+function cors(origin, { method = 'POST', ...options } = {}) {
+  const res = createResponse();
+  const handled = handleCors({ method, headers: { ...(origin && { origin }), host: 'api.example.com' } }, res, { methods: ['POST'], ...options });
+  return { handled, res };
+}
+
+test('exact origins match scheme, host and port only', () => {
+  allow('https://dailyhug.com');
+
+  assert.equal(isOriginAllowed('https://dailyhug.com'), true);
+  for (const origin of [
+    'http://dailyhug.com',
+    'https://dailyhug.com:8443',
+    'https://www.dailyhug.com',
+    // Contain the allowed origin, which a substring check would accept
+    'https://dailyhug.com.evil.example',
+    'https://evil.example/?https://dailyhug.com',
+    'https://notdailyhug.com',
+    'https://dailyhug.com/path',
+    'null'
+  ]) {
+    assert.equal(isOriginAllowed(origin), false, origin);
+  }
+});
+
+test('wildcard entries match subdomains but not the bare domain', () => {
+  allow('https://*.dailyhug.com');
+
+  assert.equal(isOriginAllowed('https://www.dailyhug.com'), true);
+  assert.equal(isOriginAllowed('https://a.b.dailyhug.com'), true);
+  assert.equal(isOriginAllowed('https://dailyhug.com'), false);
+  assert.equal(isOriginAllowed('https://evil-dailyhug.com'), false);
+  assert.equal(isOriginAllowed('http://www.dailyhug.com'), false);
+});
+
+test('an allowed origin is echoed back and others are refused', () => {
+  allow('https://dailyhug.com');
+
+  const allowed = cors('https://dailyhug.com');
+  const refused = cors('https://evil.example');
+
+  assert.equal(allowed.handled, false);
+  assert.equal(allowed.res.headers['access-control-allow-origin'], 'https://dailyhug.com');
+  assert.equal(allowed.res.headers.vary, 'Origin');
+  assert.equal(refused.handled, true);
+  assert.equal(refused.res.statusCode, 403);
+  assert.equal(refused.res.body.code, 'ORIGIN_NOT_ALLOWED');
+});
+
+test('requests without an Origin pass and browser-only routes refuse every origin', () => {
+  allow('https://dailyhug.com');
+
+  assert.equal(cors(null).handled, false);
+  assert.equal(cors('https://dailyhug.com', { browsers: false }).res.statusCode, 403);
+});
+
+test('a preflight lists the route methods and headers', () => {
+  allow('https://dailyhug.com');
+
+  const { handled, res } = cors('https://dailyhug.com', { method: 'OPTIONS', headers: ['Idempotency-Key'] });
+
+  assert.equal(handled, true);
+  assert.equal(res.statusCode, 204);
+  assert.equal(res.headers['access-control-allow-methods'], 'POST, OPTIONS');
+  assert.match(res.headers['access-control-allow-headers'], /Idempotency-Key/);
+});
+
+test('credentials are only allowed for origins listed by name', () => {
+  process.env.CORS_ALLOW_CREDENTIALS = 'true';
+  allow('*, https://dailyhug.com');
+
+  const named = cors('https://dailyhug.com');
+  const anySite = cors('https://evil.example');
+
+  assert.equal(named.res.headers['access-control-allow-credentials'], 'true');
+  assert.equal(anySite.res.headers['access-control-allow-origin'], 'https://evil.example');
+  assert.equal(anySite.res.headers['access-control-allow-credentials'], undefined);
+});
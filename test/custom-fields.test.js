@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGhl, invoke, tygSubmission } from './helpers.js';
+
+const ghl = await startMockGhl({ ADMIN_API_KEY: 'test-admin-key' });
+const { default: submitTygForm } = await import('../api/submit-tyg-form.js');
+const { default: provisionCustomFields } = await import('../api/provision_custom_fields.js');
+const { invalidateCustomFieldCache } = await import('../api/lib/ghl-api.js');
+
+before(() => ghl.clearFaults());
+after(() => ghl.close());
+
+// A fault nobody consumed shows that the request it matches was never made
+function remainingFaults() {
+  return ghl.state().faults.reduce((sum, fault) => sum + fault.times, 0);
+}
+
+function submit(recipientEmail) {
+  return invoke(submitTygForm, { method: 'POST', body: tygSubmission({ recipientEmail }) });
+}
+
+function fieldValue(email, key) {
+  const contact = [...ghl.state().contacts.values()].find(candidate => candidate.email === email);
+  const field = ghl.state().customFields.find(candidate => candidate.fieldKey === `contact.${key}`);
+  return contact.customField.find(entry => entry.id === field.id)?.value;
+}
+
+test('custom field definitions are fetched once and reused until the cache is invalidated', async () => {
+  assert.equal((await submit('cache-first@example.com')).statusCode, 200);
+
+  // Any further fetch of the definitions would take this fault
+  await ghl.fault({ method: 'GET', path: '/v1/custom-fields', status: 503, times: 1 });
+  const cached = await submit('cache-second@example.com');
+
+  assert.equal(cached.statusCode, 200);
+  assert.equal(remainingFaults(), 1);
+  assert.equal(fieldValue('cache-second@example.com', 'tyg_message'), 'Because of you, the launch went smoothly.');
+
+  invalidateCustomFieldCache();
+  assert.equal((await submit('cache-third@example.com')).statusCode, 200);
+
+  assert.equal(remainingFaults(), 0);
+  assert.equal(fieldValue('cache-third@example.com', 'tyg_recipientname'), 'Alex');
+});
+
+function provision(method) {
+  return invoke(provisionCustomFields, {
+    method,
+    origin: null,
+    headers: { authorization: 'Bearer test-admin-key' }
+  });
+}
+
+function findField(key) {
+  return ghl.state().customFields.find(field => field.fieldKey === `contact.${key}`);
+}
+
+test('provisioning creates missing fields and reports drift without touching it', async () => {
+  const fields = ghl.state().customFields;
+  fields.splice(fields.indexOf(findField('tyg_dailyhug_consentip')), 1);
+  findField('tyg_recipientname').dataType = 'NUMERICAL';
+  findField('tyg_sendername').fieldKey = 'contact.tyg_sender_name';
+  const fieldCount = fields.length;
+
+  const check = await provision('GET');
+
+  assert.equal(check.statusCode, 200);
+  assert.deepEqual(check.body.data.missing, ['tyg_dailyhug_consentip']);
+  assert.deepEqual(check.body.data.drift.map(field => [field.key, field.status]), [
+    ['tyg_recipientname', 'type_mismatch'],
+    ['tyg_sendername', 'renamed']
+  ]);
+  assert.equal(ghl.state().customFields.length, fieldCount);
+
+  const created = await provision('POST');
+
+  assert.deepEqual(created.body.data.created, ['tyg_dailyhug_consentip']);
+  assert.equal(findField('tyg_dailyhug_consentip').dataType, 'TEXT');
+  // The renamed field isn't created a second time
+  assert.equal(ghl.state().customFields.length, fieldCount + 1);
+  assert.equal(created.body.data.drift.length, 2);
+});
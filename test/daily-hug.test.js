@@ -0,0 +1,128 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGhl, invoke } from './helpers.js';
+
+const ghl = await startMockGhl({
+  VERCEL_ENV: 'production',
+  TYG_PUBLIC_URL: 'https://tyg.example.com',
+  DAILY_HUG_TOKEN_SECRET: 'test-daily-hug-secret'
+});
+const { default: confirmDailyHug } = await import('../api/confirm-daily-hug.js');
+const { default: unsubscribeDailyHug } = await import('../api/unsubscribe-daily-hug.js');
+const { createDailyHugToken, verifyDailyHugToken } = await import('../api/lib/daily-hug.js');
+
+after(() => ghl.close());
+
+function confirmToken(email) {
+  return createDailyHugToken({ tenantId: 'default', email, action: 'confirm' }, { ttlMs: 60000 });
+}
+
+// Submit a link page's form as a browser would: form-encoded, to the same
+// URL, from the page's origin
+function postForm(html, origin, handler = confirmDailyHug) {
+  const token = html.match(/name="token" value="([^"]+)"/)[1];
+  return invoke(handler, {
+    method: 'POST',
+    origin,
+    headers: { host: 'tyg.example.com', 'content-type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ token }).toString()
+  });
+}
+
+test('the confirm page posts back to itself and subscribes in production', async () => {
+  const page = await invoke(confirmDailyHug, {
+    query: { token: confirmToken('hug@example.com') },
+    origin: null,
+    headers: { host: 'tyg.example.com' }
+  });
+  assert.equal(page.statusCode, 200);
+  assert.match(page.body, /<form method="post" action="">/);
+
+  const res = await postForm(page.body, 'https://tyg.example.com');
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.status, 'subscribed');
+  assert.equal(res.headers['access-control-allow-origin'], 'https://tyg.example.com');
+});
+
+test('the confirm form is refused from another origin', async () => {
+  const page = await invoke(confirmDailyHug, {
+    query: { token: confirmToken('elsewhere@example.com') },
+    origin: null
+  });
+
+  const res = await postForm(page.body, 'https://evil.example.com');
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, 'ORIGIN_NOT_ALLOWED');
+});
+
+test('a token verifies for its own action only', () => {
+  const token = confirmToken('token@example.com');
+
+  assert.deepEqual(verifyDailyHugToken(token, 'confirm'), { tenantId: 'default', email: 'token@example.com' });
+  assert.equal(verifyDailyHugToken(token, 'unsubscribe').code, 'INVALID_TOKEN');
+});
+
+test('a tampered or malformed token is invalid', () => {
+  const [payload, signature] = confirmToken('token@example.com').split('.');
+  const otherPayload = Buffer.from(JSON.stringify({ t: 'default', e: 'someone@example.com', a: 'confirm', x: null })).toString('base64url');
+
+  for (const token of [`${otherPayload}.${signature}`, `${payload}.${signature.slice(1)}`, payload, `${payload}.${signature}.extra`, '', undefined]) {
+    assert.equal(verifyDailyHugToken(token, 'confirm').code, 'INVALID_TOKEN');
+  }
+});
+
+test('confirm tokens expire and unsubscribe tokens do not', () => {
+  const confirm = confirmToken('token@example.com');
+  const unsubscribe = createDailyHugToken({ tenantId: 'default', email: 'token@example.com', action: 'unsubscribe' });
+  const inTenYears = Date.now() + 10 * 365 * 24 * 60 * 60 * 1000;
+
+  assert.equal(verifyDailyHugToken(confirm, 'confirm', Date.now() + 61000).code, 'TOKEN_EXPIRED');
+  assert.equal(verifyDailyHugToken(unsubscribe, 'unsubscribe', inTenYears).email, 'token@example.com');
+});
+
+test('an expired confirmation link answers 410', async () => {
+  const token = createDailyHugToken({ tenantId: 'default', email: 'late@example.com', action: 'confirm' }, { ttlMs: -1 });
+
+  const res = await invoke(confirmDailyHug, { query: { token }, origin: null });
+
+  assert.equal(res.statusCode, 410);
+  assert.equal(res.body.code, 'TOKEN_EXPIRED');
+});
+
+test('opening an unsubscribe link only shows a page, whose button unsubscribes', async () => {
+  const email = 'leaving@example.com';
+  const confirmPage = await invoke(confirmDailyHug, { query: { token: confirmToken(email) }, origin: null });
+  await postForm(confirmPage.body, 'https://tyg.example.com');
+  const token = createDailyHugToken({ tenantId: 'default', email, action: 'unsubscribe' });
+
+  const page = await invoke(unsubscribeDailyHug, { query: { token }, origin: null, headers: { host: 'tyg.example.com' } });
+
+  assert.equal(page.statusCode, 200);
+  assert.match(page.body, /<button type="submit">Unsubscribe<\/button>/);
+
+  const res = await postForm(page.body, 'https://tyg.example.com', unsubscribeDailyHug);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.message, 'Unsubscribed from the Daily Hug');
+  assert.equal(res.body.data.status, 'unsubscribed');
+});
+
+test('a one-click unsubscribe from a mail client unsubscribes straight away', async () => {
+  const email = 'one-click@example.com';
+  const confirmPage = await invoke(confirmDailyHug, { query: { token: confirmToken(email) }, origin: null });
+  await postForm(confirmPage.body, 'https://tyg.example.com');
+  const token = createDailyHugToken({ tenantId: 'default', email, action: 'unsubscribe' });
+
+  const res = await invoke(unsubscribeDailyHug, {
+    method: 'POST',
+    query: { token },
+    origin: null,
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: 'List-Unsubscribe=One-Click'
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.message, 'Unsubscribed from the Daily Hug');
+});
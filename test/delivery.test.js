@@ -0,0 +1,50 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGhl, invoke, tygSubmission } from './helpers.js';
+
+const ghl = await startMockGhl();
+const { default: submitTygForm } = await import('../api/submit-tyg-form.js');
+const { resetTenantRegistry } = await import('../api/lib/tenants.js');
+
+after(() => ghl.close());
+
+const ANONYMOUS_TEMPLATE_ID = '6957be6d9f487e131420364b';
+const NAMED_TEMPLATE_ID = '6957be6d9f487e131420365c';
+
+function submit(overrides) {
+  return invoke(submitTygForm, { method: 'POST', body: tygSubmission(overrides) });
+}
+
+function messagesTo(email) {
+  const contact = [...ghl.state().contacts.values()].find(candidate => candidate.email === email);
+  return ghl.state().messages.filter(message => message.contactId === contact.id);
+}
+
+test('the gram is sent with the named or the anonymous template', async () => {
+  const named = await submit({ recipientEmail: 'named@example.com' });
+  const anonymous = await submit({ recipientEmail: 'anonymous@example.com', sendAnonymously: true });
+
+  assert.equal(named.body.data.delivery.status, 'sent');
+  assert.equal(named.body.data.delivery.templateId, NAMED_TEMPLATE_ID);
+  assert.deepEqual(messagesTo('named@example.com').map(message => message.templateId), [NAMED_TEMPLATE_ID]);
+  assert.equal(anonymous.body.data.delivery.template, 'anonymous');
+  assert.deepEqual(messagesTo('anonymous@example.com').map(message => message.templateId), [ANONYMOUS_TEMPLATE_ID]);
+});
+
+test('in workflow mode the gram is left to the GHL workflow', async () => {
+  process.env.TYG_DELIVERY_MODE = 'workflow';
+  resetTenantRegistry();
+
+  try {
+    const res = await submit({ recipientEmail: 'workflow@example.com' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.delivery.status, 'deferred');
+    assert.deepEqual(messagesTo('workflow@example.com'), []);
+    const recipient = [...ghl.state().contacts.values()].find(contact => contact.email === 'workflow@example.com');
+    assert.ok(recipient.tags.includes('tyg--> recipient'));
+  } finally {
+    delete process.env.TYG_DELIVERY_MODE;
+    resetTenantRegistry();
+  }
+});
@@ -0,0 +1,57 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGhl, invoke } from './helpers.js';
+
+const ghl = await startMockGhl({
+  TYG_API_KEYS: JSON.stringify([{ id: 'sender', key: 'send-key', scopes: ['send'] }])
+});
+const { default: sendAnonymousTyg } = await import('../api/send_anonymous_tyg.js');
+const errors = await import('../api/lib/errors.js');
+
+after(() => ghl.close());
+
+function upstream(status, body, headers = {}) {
+  return errors.createGhlError(new Response(JSON.stringify(body), { status, headers }), body, { endpoint: '/contacts/' });
+}
+
+function send(targetEmail) {
+  return invoke(sendAnonymousTyg, {
+    method: 'POST',
+    headers: { 'x-api-key': 'send-key' },
+    body: { target_email: targetEmail },
+    origin: null
+  });
+}
+
+test('upstream failures become typed errors that carry the status, endpoint and body', () => {
+  const notFound = upstream(404, { msg: 'Contact not found' });
+  const limited = upstream(429, { msg: 'Slow down' }, { 'Retry-After': '3' });
+  const invalid = upstream(422, { message: 'email is invalid' });
+  const failed = upstream(502, { message: 'Bad gateway' });
+
+  assert.ok(notFound instanceof errors.GhlNotFoundError);
+  assert.equal(notFound.status, 404);
+  assert.equal(notFound.endpoint, '/contacts/');
+  assert.deepEqual(notFound.body, { msg: 'Contact not found' });
+  assert.ok(upstream(401, { msg: 'Invalid JWT' }) instanceof errors.GhlAuthError);
+  assert.ok(limited instanceof errors.GhlRateLimitError);
+  assert.equal(limited.retryAfterMs, 3000);
+  assert.ok(invalid instanceof errors.GhlValidationError);
+  assert.equal(invalid.retryable, false);
+  assert.ok(failed instanceof errors.GhlUpstreamError);
+  assert.equal(failed.retryable, true);
+});
+
+test('endpoints map typed errors to a status and code, not to message text', async () => {
+  const missing = await send('nobody@example.com');
+
+  assert.equal(missing.statusCode, 404);
+  assert.equal(missing.body.code, 'CONTACT_NOT_FOUND');
+
+  await ghl.fault({ method: 'GET', path: '/v1/contacts', status: 401, times: 1, body: { msg: 'Invalid JWT' } });
+  const unauthorized = await send('nobody@example.com');
+
+  assert.equal(unauthorized.statusCode, 500);
+  assert.equal(unauthorized.body.code, 'AUTH_ERROR');
+  assert.equal(unauthorized.body.error, 'GoHighLevel rejected the configured credentials');
+});
@@ -0,0 +1,152 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { startMockGhl, createResponse, invoke, tygSubmission } from './helpers.js';
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+const ghl = await startMockGhl({
+  GHL_WEBHOOK_PUBLIC_KEY: publicKey.export({ type: 'spki', format: 'pem' })
+});
+const { default: ghlWebhook, config } = await import('../api/ghl-webhook.js');
+const { default: submitTygForm } = await import('../api/submit-tyg-form.js');
+const outbox = await import('../api/lib/outbox.js');
+const { getSuppression } = await import('../api/lib/suppression.js');
+const { getTenants, runWithTenant } = await import('../api/lib/tenants.js');
+const { createMemoryRecordStore } = await import('../api/lib/record-store.js');
+
+// A shared outbox with the replay on a schedule, so failed syncs stay pending
+outbox.setOutboxStore({ ...createMemoryRecordStore(), durable: true });
+process.env.TYG_OUTBOX_REPLAY_SCHEDULED = 'true';
+
+after(() => ghl.close());
+
+let nextEventId = 1;
+
+// An event as GHL sends it, with spacing a re-serialised body wouldn't keep
+function eventBody(type, fields = {}) {
+  const event = {
+    type,
+    webhookId: `event-${nextEventId++}`,
+    locationId: ghl.state().locationId,
+    timestamp: new Date().toISOString(),
+    ...fields
+  };
+  return JSON.stringify(event, null, 2);
+}
+
+function sign(raw) {
+  return crypto.sign(null, Buffer.from(raw), privateKey).toString('base64');
+}
+
+// Deliver a webhook the way Vercel does with the body parser off: the body
+// is still in the request stream
+async function deliver(raw, { signature = sign(raw) } = {}) {
+  const req = Object.assign(Readable.from([Buffer.from(raw)]), {
+    method: 'POST',
+    query: {},
+    body: undefined,
+    headers: {
+      'content-type': 'application/json',
+      ...(signature && { 'x-ghl-signature': signature })
+    }
+  });
+  const res = createResponse();
+  await ghlWebhook(req, res);
+  return res;
+}
+
+function suppressionOf(email) {
+  return runWithTenant(getTenants().get('default'), () => getSuppression(email));
+}
+
+test('the route turns the body parser off', () => {
+  assert.equal(config.api.bodyParser, false);
+});
+
+test('a webhook signed over the raw body is accepted', async () => {
+  const res = await deliver(eventBody('Unsubscribe', { email: 'leaving@example.com' }));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.status, 'processed');
+  assert.deepEqual((await suppressionOf('leaving@example.com')).reasons, ['unsubscribed']);
+});
+
+test('a missing or wrong signature is refused', async () => {
+  const raw = eventBody('Unsubscribe', { email: 'forged@example.com' });
+
+  const unsigned = await deliver(raw, { signature: null });
+  const tampered = await deliver(raw.replace('forged@', 'other@'), { signature: sign(raw) });
+
+  assert.equal(unsigned.statusCode, 401);
+  assert.equal(unsigned.body.code, 'SIGNATURE_REQUIRED');
+  assert.equal(tampered.statusCode, 401);
+  assert.equal(tampered.body.code, 'INVALID_SIGNATURE');
+  assert.equal(await suppressionOf('forged@example.com'), null);
+});
+
+test('a repeated event is only processed once', async () => {
+  const raw = eventBody('SomethingNew');
+
+  const first = await deliver(raw);
+  const second = await deliver(raw);
+
+  assert.equal(first.body.data.status, 'ignored');
+  assert.equal(second.statusCode, 200);
+  assert.equal(second.body.data.status, 'duplicate');
+});
+
+test('two deliveries of the same event at once run it once', async () => {
+  const raw = eventBody('Unsubscribe', { email: 'twice@example.com' });
+
+  const responses = await Promise.all([deliver(raw), deliver(raw)]);
+
+  const statuses = responses.map(res => res.statusCode).sort();
+  assert.deepEqual(statuses, [200, 409]);
+  assert.equal(responses.find(res => res.statusCode === 409).body.code, 'EVENT_IN_PROGRESS');
+});
+
+test('removing the suppression tag keeps a bounced address suppressed', async () => {
+  const email = 'bounced@example.com';
+
+  await deliver(eventBody('EmailBounced', { messageId: 'message-1', email, reason: 'mailbox full' }));
+  await deliver(eventBody('ContactTagUpdate', { email, tags: ['tyg--> suppressed'] }));
+  assert.deepEqual((await suppressionOf(email)).reasons, ['bounced', 'tagged']);
+
+  const res = await deliver(eventBody('ContactTagUpdate', { email, tags: [] }));
+
+  assert.equal(res.body.data.result.unsuppressed, false);
+  assert.deepEqual((await suppressionOf(email)).reasons, ['bounced']);
+});
+
+test('removing the suppression tag lifts a suppression only the tag created', async () => {
+  const email = 'tagged@example.com';
+
+  await deliver(eventBody('ContactTagUpdate', { email, tags: ['tyg--> suppressed'] }));
+  const res = await deliver(eventBody('ContactTagUpdate', { email, tags: [] }));
+
+  assert.equal(res.body.data.result.unsuppressed, true);
+  assert.equal(await suppressionOf(email), null);
+});
+
+test('deleting a contact cancels every gram to it that could still be sent', async () => {
+  const email = 'deleted@example.com';
+  // Sending the email fails, so the grams are left pending
+  await ghl.fault({ method: 'POST', path: '/v1/conversations/', status: 503, times: 100 });
+  const submitted = [];
+  for (let i = 0; i < 2; i++) {
+    const res = await invoke(submitTygForm, { method: 'POST', body: tygSubmission({ recipientEmail: email, message: `Thanks, #${i + 1}` }) });
+    submitted.push(await outbox.getSubmission(res.body.data.submissionId));
+  }
+  await ghl.clearFaults();
+  const [pending, failed] = submitted;
+  await outbox.getOutboxStore().put({ ...failed, status: 'failed' });
+
+  const res = await deliver(eventBody('ContactDelete', { email }));
+
+  assert.deepEqual(res.body.data.result.cancelled.sort(), [pending.id, failed.id].sort());
+  assert.equal((await outbox.getSubmission(pending.id)).status, 'cancelled');
+  assert.equal((await outbox.getSubmission(failed.id)).status, 'cancelled');
+  assert.equal((await outbox.replayOutbox()).replayed, 0);
+  assert.equal(ghl.state().messages.length, 0);
+});
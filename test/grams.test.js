@@ -0,0 +1,42 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGhl, invoke, tygSubmission } from './helpers.js';
+
+const ghl = await startMockGhl({ ADMIN_API_KEY: 'test-admin-key', TYG_CONTACT_NOTES: 'true' });
+const { default: submitTygForm } = await import('../api/submit-tyg-form.js');
+const { default: grams } = await import('../api/grams.js');
+
+after(() => ghl.close());
+
+function submit(overrides) {
+  return invoke(submitTygForm, { method: 'POST', body: tygSubmission(overrides) });
+}
+
+function history(email) {
+  return invoke(grams, {
+    query: { email },
+    origin: null,
+    headers: { authorization: 'Bearer test-admin-key' }
+  });
+}
+
+test('every gram is kept in the history of both contacts, not just the latest', async () => {
+  await submit({ recipientEmail: 'kim@example.com', message: 'Thanks for the review.' });
+  await submit({ recipientEmail: 'lee@example.com', message: 'Thanks for covering for me.', sendAnonymously: true });
+  await submit({ senderEmail: 'kim@example.com', senderName: 'Kim', recipientEmail: 'sam@example.com', message: 'Right back at you.' });
+
+  const res = await history('SAM@example.com');
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.data.counts, { sent: 2, received: 1 });
+  assert.deepEqual(
+    res.body.data.sent.map(gram => [gram.recipientEmail, gram.message, gram.sendAnonymously]).sort(),
+    [['kim@example.com', 'Thanks for the review.', false], ['lee@example.com', 'Thanks for covering for me.', true]]
+  );
+  assert.equal(res.body.data.received[0].senderEmail, 'kim@example.com');
+  assert.equal(res.body.data.received[0].deliveryStatus, 'sent');
+
+  // With TYG_CONTACT_NOTES, each gram is also noted on both contacts in GHL
+  const sam = [...ghl.state().contacts.values()].find(contact => contact.email === 'sam@example.com');
+  assert.equal(ghl.state().notes.filter(note => note.contactId === sam.id).length, 3);
+});
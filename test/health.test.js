@@ -0,0 +1,46 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGhl, invoke } from './helpers.js';
+
+// The test stores are in memory, so none of them is persistent
+const ghl = await startMockGhl();
+const { default: health } = await import('../api/health.js');
+const { setTokenStore, createMemoryTokenStore } = await import('../api/lib/oauth.js');
+const { resetTenantRegistry } = await import('../api/lib/tenants.js');
+
+after(() => ghl.close());
+
+test('per-instance stores are a warning, not a failed check', async () => {
+  const res = await invoke(health);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, 'ok');
+  assert.deepEqual(res.body.warnings, ['STORE_NOT_PERSISTED']);
+  assert.equal(res.body.issues, undefined);
+  assert.equal(res.body.storage.outbox.persistent, false);
+});
+
+test('each tenant reports its own token, and an unkept refresh token is a warning', async () => {
+  process.env.TYG_TENANTS = JSON.stringify([{
+    id: 'dailyhug',
+    locationId: 'dailyhug-location',
+    oauth: { refreshToken: 'dailyhug-refresh-token', clientId: 'client', clientSecret: 'secret' }
+  }]);
+  resetTenantRegistry();
+  setTokenStore(createMemoryTokenStore());
+
+  try {
+    const res = await invoke(health);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.status, 'ok');
+    assert.deepEqual(res.body.warnings, ['OAUTH_TOKEN_NOT_PERSISTED', 'STORE_NOT_PERSISTED']);
+    assert.deepEqual(Object.keys(res.body.oauth).sort(), ['dailyhug', 'default']);
+    assert.equal(res.body.oauth.dailyhug.refreshable, true);
+    assert.equal(res.body.oauth.dailyhug.persistent, false);
+    assert.equal(res.body.oauth.default.refreshable, false);
+  } finally {
+    delete process.env.TYG_TENANTS;
+    resetTenantRegistry();
+  }
+});
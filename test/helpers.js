@@ -0,0 +1,38 @@
+// Shared setup for the tests in this folder
+//
+// Each test file runs in its own process (node --test), starts the GHL mock
+// with startMockGhl() and only then imports the api/ modules it exercises
+// (see mock/harness.js, which mock/run-flow.js uses as well).
+
+import { startMockGhl as startHarness, createResponse, invoke } from '../mock/harness.js';
+
+// The harness with test defaults: stores in memory, no logs, no backoff
+// delays and no per-IP limit. `env` overrides them.
+function startMockGhl(env = {}) {
+  return startHarness({
+    TYG_STORE: 'memory',
+    LOG_LEVEL: 'silent',
+    GHL_RETRY_BASE_DELAY_MS: '1',
+    TYG_RATE_LIMIT_IP_MAX: '0',
+    ...env
+  });
+}
+
+// A form submission for submit-tyg-form
+function tygSubmission(overrides = {}) {
+  return {
+    recipientName: 'Alex',
+    recipientEmail: 'alex@example.com',
+    message: 'Because of you, the launch went smoothly.',
+    senderEmail: 'sam@example.com',
+    senderName: 'Sam',
+    ...overrides
+  };
+}
+
+export {
+  startMockGhl,
+  createResponse,
+  invoke,
+  tygSubmission
+};
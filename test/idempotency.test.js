@@ -0,0 +1,156 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGhl, invoke, createResponse, tygSubmission } from './helpers.js';
+
+// One upstream failure opens the breaker, for the circuit-open test at the end
+const ghl = await startMockGhl({ GHL_BREAKER_FAILURE_THRESHOLD: '1', GHL_BREAKER_RESET_MS: '60000' });
+const { default: submitTygForm } = await import('../api/submit-tyg-form.js');
+const { listOutbox, setOutboxStore } = await import('../api/lib/outbox.js');
+const { runIdempotent, getIdempotencyStore } = await import('../api/lib/idempotency.js');
+const { getTenants, runWithTenant } = await import('../api/lib/tenants.js');
+const { setCaptchaVerifier } = await import('../api/lib/captcha.js');
+const { getRateLimitStore } = await import('../api/lib/rate-limit.js');
+const { createMemoryRecordStore } = await import('../api/lib/record-store.js');
+
+// A shared outbox with the replay on a schedule, so failed syncs stay queued
+setOutboxStore({ ...createMemoryRecordStore(), durable: true });
+process.env.TYG_OUTBOX_REPLAY_SCHEDULED = 'true';
+
+after(() => ghl.close());
+
+function submit(body, key) {
+  return invoke(submitTygForm, {
+    method: 'POST',
+    headers: key ? { 'idempotency-key': key } : {},
+    body
+  });
+}
+
+test('a repeated key replays the first response without syncing again', async () => {
+  const body = tygSubmission({ recipientEmail: 'repeat@example.com' });
+
+  const first = await submit(body, 'key-repeat');
+  const second = await submit(body, 'key-repeat');
+
+  assert.equal(first.statusCode, 200);
+  assert.equal(second.statusCode, 200);
+  assert.equal(second.headers['idempotent-replayed'], 'true');
+  assert.equal(second.body.data.submissionId, first.body.data.submissionId);
+  const records = await listOutbox();
+  assert.equal(records.filter(record => record.submission.recipientEmail === 'repeat@example.com').length, 1);
+});
+
+test('a retry with a spent CAPTCHA token gets the stored response without counting again', async () => {
+  // Like Turnstile and hCaptcha, each token verifies once
+  const spent = new Set();
+  setCaptchaVerifier(async ({ token }) => {
+    const success = !spent.has(token);
+    spent.add(token);
+    return { success, errorCodes: success ? [] : ['timeout-or-duplicate'] };
+  });
+
+  try {
+    const body = tygSubmission({ recipientEmail: 'captcha@example.com', senderEmail: 'captcha-sender@example.com', captchaToken: 'token-1' });
+    const first = await submit(body, 'key-captcha');
+    const retry = await submit(body, 'key-captcha');
+    const other = await submit({ ...body, recipientEmail: 'someone-else@example.com' }, 'key-captcha-other');
+
+    assert.equal(first.statusCode, 200);
+    assert.equal(retry.statusCode, 200);
+    assert.equal(retry.headers['idempotent-replayed'], 'true');
+    assert.equal(retry.body.data.submissionId, first.body.data.submissionId);
+    // A new submission can't reuse the token
+    assert.equal(other.statusCode, 403);
+    assert.equal(other.body.code, 'CAPTCHA_FAILED');
+    const counter = await getRateLimitStore().get('default:sender:captcha-sender@example.com');
+    assert.equal(counter.count, 1);
+  } finally {
+    setCaptchaVerifier(null);
+  }
+});
+
+test('a key reused for a different request is refused', async () => {
+  await submit(tygSubmission({ recipientEmail: 'first@example.com' }), 'key-reused');
+  const res = await submit(tygSubmission({ recipientEmail: 'other@example.com' }), 'key-reused');
+
+  assert.equal(res.statusCode, 422);
+  assert.equal(res.body.code, 'IDEMPOTENCY_KEY_REUSED');
+});
+
+test('a different request sent while the first is in flight is refused', async () => {
+  const [first, second] = await Promise.all([
+    submit(tygSubmission({ recipientEmail: 'inflight@example.com' }), 'key-inflight'),
+    submit(tygSubmission({ recipientEmail: 'inflight@example.com', message: 'A different message entirely.' }), 'key-inflight')
+  ]);
+
+  assert.equal(first.statusCode, 200);
+  assert.equal(second.statusCode, 422);
+  assert.equal(second.body.code, 'IDEMPOTENCY_KEY_REUSED');
+  assert.equal(second.headers['idempotent-replayed'], undefined);
+});
+
+test('expired keys are pruned', async () => {
+  const store = getIdempotencyStore();
+  await store.put({ id: 'expired', status: 'completed', expiresAt: Date.now() - 1000 });
+
+  // Keys are swept every 200 requests on an instance
+  await runWithTenant(getTenants().get('default'), async () => {
+    for (let i = 0; i < 200; i++) {
+      await runIdempotent(createResponse(), { key: `prune-${i}`, fingerprint: 'f' }, async res => {
+        res.status(200).json({ success: true });
+      });
+    }
+  });
+
+  assert.equal(await store.get('expired'), null);
+  assert.ok((await store.list(record => record.status === 'completed')).length >= 200);
+});
+
+test('a submission that hits an open circuit is kept under its key and replayed', async () => {
+  // A failed GHL write keeps the gram in the outbox and opens the breaker.
+  // Contact upserts are retried, so every attempt fails.
+  await ghl.fault({ method: 'POST', path: '/', status: 503, times: 3 });
+  const failed = await submit(tygSubmission({ recipientEmail: 'failed@example.com' }), 'key-failed');
+  assert.equal(failed.statusCode, 200);
+  assert.equal(failed.body.data.queued, true);
+
+  const body = tygSubmission({ recipientEmail: 'outage@example.com' });
+  const responses = [];
+  for (let i = 0; i < 3; i++) {
+    responses.push(await submit(body, 'key-outage'));
+  }
+
+  assert.equal(responses[0].statusCode, 202);
+  assert.equal(responses[0].body.code, 'CIRCUIT_OPEN');
+  assert.equal(responses[0].body.data.queued, true);
+  for (const res of responses.slice(1)) {
+    assert.equal(res.statusCode, 202);
+    assert.equal(res.headers['idempotent-replayed'], 'true');
+  }
+  const records = await listOutbox();
+  const saved = records.filter(record => record.submission.recipientEmail === 'outage@example.com');
+  assert.equal(saved.length, 1);
+  assert.equal(saved[0].status, 'pending');
+});
+
+test('with no replay scheduled, an open circuit is a 503 to retry and nothing is kept', async () => {
+  // The breaker is still open from the test above
+  delete process.env.TYG_OUTBOX_REPLAY_SCHEDULED;
+  const body = tygSubmission({ recipientEmail: 'unscheduled-outage@example.com' });
+
+  try {
+    const first = await submit(body, 'key-unscheduled-outage');
+    const retried = await submit(body, 'key-unscheduled-outage');
+
+    assert.equal(first.statusCode, 503);
+    assert.equal(first.body.code, 'CIRCUIT_OPEN');
+    assert.ok(Number(first.headers['retry-after']) > 0);
+    assert.equal(retried.statusCode, 503);
+    assert.equal(retried.headers['idempotent-replayed'], undefined);
+    const records = await listOutbox();
+    const saved = records.filter(record => record.submission.recipientEmail === 'unscheduled-outage@example.com');
+    assert.deepEqual(saved.map(record => record.status), ['cancelled', 'cancelled']);
+  } finally {
+    process.env.TYG_OUTBOX_REPLAY_SCHEDULED = 'true';
+  }
+});
@@ -0,0 +1,100 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createResponse } from './helpers.js';
+
+const { createLogger, withRequestLogging, getRequestId } = await import('../api/lib/logger.js');
+
+const VARIABLES = ['LOG_LEVEL', 'LOG_FORMAT', 'LOG_REDACTION', 'LOG_HASH_SALT', 'DAILY_HUG_TOKEN_SECRET', 'ADMIN_API_KEY', 'GHL_API_KEY', 'VERCEL_ENV', 'NODE_ENV'];
+const saved = Object.fromEntries(VARIABLES.map(name => [name, process.env[name]]));
+
+afterEach(() => {
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+});
+
+// The JSON lines one log call writes in hash mode, with only `env` set among
+// the salt and environment variables
+function logLines(env, fields) {
+  for (const name of VARIABLES) {
+    delete process.env[name];
+  }
+  Object.assign(process.env, { LOG_LEVEL: 'info', LOG_REDACTION: 'hash' }, env);
+
+  const lines = [];
+  const { log, warn } = console;
+  console.log = console.warn = line => lines.push(JSON.parse(line));
+  try {
+    createLogger('Test').info('Logged', fields);
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+  return lines;
+}
+
+function unsaltedHash(email) {
+  return `[email:${crypto.createHash('sha256').update(email).digest('hex').substring(0, 12)}]`;
+}
+
+test('without LOG_HASH_SALT, email hashes are salted with a secret the deployment has', () => {
+  const email = 'pat@example.com';
+
+  const [derived] = logLines({ GHL_API_KEY: 'ghl-key' }, { email });
+  const [other] = logLines({ GHL_API_KEY: 'other-key' }, { email });
+  const [salted] = logLines({ LOG_HASH_SALT: 'salt', GHL_API_KEY: 'ghl-key' }, { email });
+
+  assert.match(derived.email, /^\[email:[0-9a-f]{12}\]$/);
+  assert.notEqual(derived.email, unsaltedHash(email));
+  assert.notEqual(derived.email, other.email);
+  assert.notEqual(derived.email, salted.email);
+});
+
+test('in production without any salt, emails are redacted rather than hashed', () => {
+  const lines = logLines({ VERCEL_ENV: 'production' }, { email: 'pat@example.com' });
+  const logged = lines.find(line => line.msg === 'Logged');
+
+  assert.equal(logged.email, '[email]');
+  assert.ok(lines.some(line => line.level === 'warn' && /LOG_HASH_SALT/.test(line.msg)));
+});
+
+test('a request ID is set for its handler only, even with requests running at once', async () => {
+  const handler = withRequestLogging(async (req, res) => {
+    await new Promise(resolve => setTimeout(resolve, req.headers['x-delay']));
+    res.json({ requestId: getRequestId() });
+  });
+  const call = async (requestId, delay) => {
+    const res = createResponse();
+    await handler({ headers: { 'x-request-id': requestId, 'x-delay': delay } }, res);
+    return res;
+  };
+
+  const [slow, fast] = await Promise.all([call('req-slow', 20), call('req-fast', 1)]);
+
+  assert.equal(slow.body.requestId, 'req-slow');
+  assert.equal(fast.body.requestId, 'req-fast');
+  assert.equal(fast.headers['x-request-id'], 'req-fast');
+  assert.equal(getRequestId(), null);
+});
+
+test('the pretty format keeps the request ID', async () => {
+  Object.assign(process.env, { LOG_LEVEL: 'info', LOG_FORMAT: 'pretty' });
+  const lines = [];
+  const { log } = console;
+  console.log = line => lines.push(line);
+
+  try {
+    await withRequestLogging(() => createLogger('Test').info('Logged', { step: 'sync' }))(
+      { headers: { 'x-request-id': 'req-pretty' } },
+      createResponse()
+    );
+  } finally {
+    console.log = log;
+  }
+
+  assert.deepEqual(lines, ['[Test] Logged {"requestId":"req-pretty","step":"sync"}']);
+});
@@ -0,0 +1,113 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGhl, invoke, tygSubmission } from './helpers.js';
+
+const ghl = await startMockGhl({
+  TYG_MODERATION_WORDS: 'gloomy, dreary',
+  TYG_MODERATION_PATTERNS: JSON.stringify(['free\\s+money']),
+  ADMIN_API_KEY: 'test-admin-key'
+});
+const { default: submitTygForm } = await import('../api/submit-tyg-form.js');
+const { default: reviewQueue } = await import('../api/review_queue.js');
+const outbox = await import('../api/lib/outbox.js');
+const { setModerationClassifier } = await import('../api/lib/moderation.js');
+
+after(() => ghl.close());
+
+function submit(overrides) {
+  return invoke(submitTygForm, { method: 'POST', body: tygSubmission(overrides) });
+}
+
+function listQueue() {
+  return invoke(reviewQueue, {
+    method: 'GET',
+    origin: null,
+    headers: { authorization: 'Bearer test-admin-key' }
+  });
+}
+
+test('links and contact details are stripped before the gram is sent', async () => {
+  const sent = ghl.state().messages.length;
+
+  const res = await submit({
+    recipientEmail: 'stripped@example.com',
+    message: 'Thanks! See https://spam.example/win, mail me at sam@elsewhere.com or call +1 (555) 123-4567.'
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.data.moderation, { status: 'passed', removed: { links: 1, emails: 1, phones: 1 } });
+  const record = await outbox.getSubmission(res.body.data.submissionId);
+  assert.equal(record.status, 'completed');
+  assert.equal(record.submission.message, 'Thanks! See [link removed] mail me at [email removed] or call [phone removed].');
+  assert.equal(ghl.state().messages.length, sent + 1);
+});
+
+test('a message that is only links or contact details is refused', async () => {
+  const res = await submit({ recipientEmail: 'empty@example.com', message: 'www.example.com sam@example.com' });
+
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.fieldErrors.map(error => `${error.field}:${error.code}`), ['message:NO_TEXT']);
+});
+
+test('a message over the length limit is refused before moderation', async () => {
+  const res = await submit({ recipientEmail: 'long@example.com', message: 'x'.repeat(1001) });
+
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.fieldErrors.map(error => `${error.field}:${error.code}`), ['message:TOO_LONG']);
+});
+
+test('grams with a blocked word or pattern are held for review, not sent', async () => {
+  const sent = ghl.state().messages.length;
+
+  const word = await submit({ recipientEmail: 'word@example.com', message: 'Thanks for the DREARY afternoon.' });
+  const pattern = await submit({ recipientEmail: 'pattern@example.com', message: 'Thanks! Free   money inside.' });
+  // Blocked words only match whole words
+  const partial = await submit({ recipientEmail: 'partial@example.com', message: 'Thanks for the gloomyish jokes.' });
+
+  assert.equal(word.body.data.moderation.status, 'flagged');
+  assert.equal(pattern.body.data.moderation.status, 'flagged');
+  assert.equal(partial.body.data.moderation.status, 'passed');
+  assert.equal(ghl.state().messages.length, sent + 1);
+
+  const queue = await listQueue();
+  const held = queue.body.data.grams.find(entry => entry.id === word.body.data.submissionId);
+  assert.equal(held.status, 'review');
+  assert.deepEqual(held.moderation.reasons, ['blocked word "dreary"']);
+});
+
+test('a held gram is sent once approved and never once rejected', async () => {
+  const approved = await submit({ recipientEmail: 'approve-me@example.com', message: 'A gloomy thanks.' });
+  const rejected = await submit({ recipientEmail: 'reject-me@example.com', message: 'A gloomy thanks.' });
+  const sent = ghl.state().messages.length;
+
+  const decide = (id, action) => invoke(reviewQueue, {
+    method: 'POST',
+    origin: null,
+    headers: { authorization: 'Bearer test-admin-key' },
+    body: { id, action }
+  });
+  assert.equal((await decide(approved.body.data.submissionId, 'approve')).statusCode, 200);
+  assert.equal((await decide(rejected.body.data.submissionId, 'reject')).statusCode, 200);
+
+  assert.equal((await outbox.getSubmission(approved.body.data.submissionId)).status, 'completed');
+  assert.equal((await outbox.getSubmission(rejected.body.data.submissionId)).status, 'rejected');
+  assert.equal(ghl.state().messages.length, sent + 1);
+});
+
+test('a custom classifier replaces the word and pattern rules', async () => {
+  setModerationClassifier(({ texts }) => ({
+    flagged: texts.some(text => text.includes('!!!')),
+    reasons: ['too excited']
+  }));
+
+  try {
+    const flagged = await submit({ recipientEmail: 'excited@example.com', message: 'Thanks!!!' });
+    const gloomy = await submit({ recipientEmail: 'custom-gloomy@example.com', message: 'A gloomy thanks.' });
+
+    assert.equal(flagged.body.data.moderation.status, 'flagged');
+    assert.deepEqual((await outbox.getSubmission(flagged.body.data.submissionId)).moderation.reasons, ['too excited']);
+    assert.equal(gloomy.body.data.moderation.status, 'passed');
+  } finally {
+    setModerationClassifier(null);
+  }
+});
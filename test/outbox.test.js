@@ -0,0 +1,103 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGhl, invoke, tygSubmission } from './helpers.js';
+
+const ghl = await startMockGhl({ ADMIN_API_KEY: 'test-admin-key', CRON_SECRET: 'test-cron-secret' });
+const { default: submitTygForm } = await import('../api/submit-tyg-form.js');
+const { default: replayOutboxHandler } = await import('../api/replay_outbox.js');
+const outbox = await import('../api/lib/outbox.js');
+const { createMemoryRecordStore } = await import('../api/lib/record-store.js');
+
+// A shared outbox with the replay on a schedule, so failed syncs stay queued
+outbox.setOutboxStore({ ...createMemoryRecordStore(), durable: true });
+process.env.TYG_OUTBOX_REPLAY_SCHEDULED = 'true';
+
+after(() => ghl.close());
+
+function contactsWithEmail(email) {
+  return [...ghl.state().contacts.values()].filter(contact => contact.email === email);
+}
+
+test('a failed sync is saved and the replay resumes from the failed step', async () => {
+  // Only sending the email fails
+  await ghl.fault({ method: 'POST', path: '/v1/conversations/', status: 503, times: 100 });
+  const res = await invoke(submitTygForm, { method: 'POST', body: tygSubmission({ recipientEmail: 'replay@example.com' }) });
+  await ghl.clearFaults();
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.queued, true);
+  const record = await outbox.getSubmission(res.body.data.submissionId);
+  assert.equal(record.status, 'pending');
+  assert.ok(record.completedSteps.includes('recipient_contact'));
+  assert.ok(!record.completedSteps.includes('deliver'));
+  assert.equal(record.lastError.step, 'deliver');
+
+  const result = await outbox.replayOutbox();
+
+  assert.equal(result.completed, 1);
+  const replayed = await outbox.getSubmission(record.id);
+  assert.equal(replayed.status, 'completed');
+  assert.equal(replayed.results.delivery.status, 'sent');
+  assert.equal(contactsWithEmail('replay@example.com').length, 1);
+  assert.equal(ghl.state().messages.length, 1);
+});
+
+test('a record locked by another invocation is not replayed', async () => {
+  await ghl.fault({ method: 'POST', path: '/v1/conversations/', status: 503, times: 100 });
+  const res = await invoke(submitTygForm, { method: 'POST', body: tygSubmission({ recipientEmail: 'locked@example.com' }) });
+  await ghl.clearFaults();
+
+  const record = await outbox.getSubmission(res.body.data.submissionId);
+  await outbox.getOutboxStore().put({ ...record, lockedUntil: Date.now() + 60000 });
+
+  const result = await outbox.replayOutbox();
+
+  assert.equal(result.replayed, 0);
+  assert.equal((await outbox.getSubmission(record.id)).status, 'pending');
+});
+
+test('a failed sync that nothing would replay is withdrawn and the client retries it', async () => {
+  delete process.env.TYG_OUTBOX_REPLAY_SCHEDULED;
+  const body = tygSubmission({ recipientEmail: 'unscheduled@example.com' });
+  const headers = { 'idempotency-key': 'key-unscheduled' };
+
+  try {
+    await ghl.fault({ method: 'POST', path: '/v1/conversations/', status: 503, times: 100 });
+    const failed = await invoke(submitTygForm, { method: 'POST', headers, body });
+    await ghl.clearFaults();
+
+    assert.equal(failed.statusCode, 503);
+    assert.equal(failed.body.code, 'NOT_QUEUED');
+    const [withdrawn] = (await outbox.listOutbox()).filter(record => record.submission.recipientEmail === 'unscheduled@example.com');
+    assert.equal(withdrawn.status, 'cancelled');
+    assert.equal((await outbox.replayOutbox()).replayed, 0);
+
+    // The 503 isn't kept under the key, so the retry sends the gram
+    const sent = ghl.state().messages.length;
+    const retried = await invoke(submitTygForm, { method: 'POST', headers, body });
+
+    assert.equal(retried.statusCode, 200);
+    assert.equal(retried.headers['idempotent-replayed'], undefined);
+    assert.equal(ghl.state().messages.length, sent + 1);
+    assert.equal((await outbox.getSubmission(retried.body.data.submissionId)).status, 'completed');
+  } finally {
+    process.env.TYG_OUTBOX_REPLAY_SCHEDULED = 'true';
+  }
+});
+
+test('Vercel Cron replays the outbox with a GET', async () => {
+  await ghl.fault({ method: 'POST', path: '/v1/conversations/', status: 503, times: 100 });
+  const res = await invoke(submitTygForm, { method: 'POST', body: tygSubmission({ recipientEmail: 'cron@example.com' }) });
+  await ghl.clearFaults();
+  assert.equal(res.body.data.queued, true);
+
+  const replayed = await invoke(replayOutboxHandler, {
+    method: 'GET',
+    query: { replay: 'true' },
+    headers: { authorization: 'Bearer test-cron-secret' },
+    origin: null
+  });
+
+  assert.equal(replayed.statusCode, 200);
+  assert.equal((await outbox.getSubmission(res.body.data.submissionId)).status, 'completed');
+});
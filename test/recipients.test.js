@@ -0,0 +1,48 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGhl, invoke, tygSubmission } from './helpers.js';
+
+const ghl = await startMockGhl();
+const { default: submitTygForm } = await import('../api/submit-tyg-form.js');
+
+after(() => ghl.close());
+
+function contactsWithEmail(email) {
+  return [...ghl.state().contacts.values()].filter(contact => contact.email === email);
+}
+
+test('a team gram syncs the sender once and reports each recipient, including a failed one', async () => {
+  // GHL refuses one of the three sends
+  await ghl.fault({ method: 'POST', path: '/v1/conversations/', status: 422, times: 1, body: { message: 'Email is not deliverable' } });
+
+  const res = await invoke(submitTygForm, {
+    method: 'POST',
+    body: tygSubmission({
+      recipientName: undefined,
+      recipientEmail: undefined,
+      message: 'Thanks, team!',
+      recipients: [
+        { name: 'Ana', email: 'ana@example.com' },
+        { name: 'Ben', email: 'ben@example.com', message: 'Thanks for the late nights, Ben.' },
+        { name: 'Cal', email: 'cal@example.com' }
+      ]
+    })
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.data.counts, { total: 3, succeeded: 2, failed: 1 });
+  const failed = res.body.data.recipients.filter(recipient => !recipient.success);
+  assert.equal(failed.length, 1);
+  assert.equal(failed[0].code, 'VALIDATION_ERROR');
+  assert.equal(failed[0].status, 'failed');
+  assert.ok(failed[0].completedSteps.includes('recipient_contact'));
+
+  assert.equal(contactsWithEmail('sam@example.com').length, 1);
+  for (const email of ['ana@example.com', 'ben@example.com', 'cal@example.com']) {
+    assert.equal(contactsWithEmail(email).length, 1);
+  }
+  assert.equal(ghl.state().messages.length, 2);
+  const ben = contactsWithEmail('ben@example.com')[0];
+  const messageField = ghl.state().customFields.find(field => field.fieldKey === 'contact.tyg_message');
+  assert.equal(ben.customField.find(entry => entry.id === messageField.id).value, 'Thanks for the late nights, Ben.');
+});
@@ -0,0 +1,40 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const { createMemoryRecordStore, createFileRecordStore, versionOf } = await import('../api/lib/record-store.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tyg-store-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('putIf only writes over the version that was read', async () => {
+  const store = createMemoryRecordStore();
+
+  assert.equal((await store.putIf({ id: 'a', n: 1 }, 0)).version, 1);
+  assert.equal(await store.putIf({ id: 'a', n: 2 }, 0), null);
+  const read = await store.get('a');
+  await store.put({ ...read, n: 3 });
+  assert.equal(await store.putIf({ ...read, n: 4 }, versionOf(read)), null);
+  assert.equal((await store.get('a')).n, 3);
+});
+
+test('of two file stores sharing a file, only one claim over the same version wins', async () => {
+  const filePath = path.join(dir, 'claims.jsonl');
+  const first = createFileRecordStore(filePath);
+  const second = createFileRecordStore(filePath);
+  await first.put({ id: 'gram', status: 'scheduled' });
+  const [readFirst, readSecond] = await Promise.all([first.get('gram'), second.get('gram')]);
+
+  const claims = await Promise.all([
+    first.putIf({ ...readFirst, claimedBy: 'first' }, versionOf(readFirst)),
+    second.putIf({ ...readSecond, claimedBy: 'second' }, versionOf(readSecond))
+  ]);
+
+  assert.equal(claims.filter(Boolean).length, 1);
+  const stored = await first.get('gram');
+  assert.equal(stored.claimedBy, claims.find(Boolean).claimedBy);
+  assert.equal(stored.version, 2);
+  assert.equal(fs.existsSync(`${filePath}.lock`), false);
+});
@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGhl } from './helpers.js';
+
+const ghl = await startMockGhl();
+const { fetchWithRetry, parseRetryAfter } = await import('../api/lib/retry.js');
+
+const auth = { Authorization: 'Bearer mock-api-key' };
+
+before(() => ghl.clearFaults());
+after(() => ghl.close());
+
+function remainingFaults() {
+  return ghl.state().faults.reduce((sum, fault) => sum + fault.times, 0);
+}
+
+test('a GET that gets a 503 is retried until it succeeds', async () => {
+  await ghl.fault({ method: 'GET', path: '/v1/custom-fields', status: 503, times: 2 });
+
+  const response = await fetchWithRetry(`${ghl.base}/v1/custom-fields/`, { headers: auth });
+
+  assert.equal(response.status, 200);
+  assert.equal(remainingFaults(), 0);
+});
+
+test('a GET gives up after GHL_RETRY_MAX_ATTEMPTS', async () => {
+  await ghl.fault({ method: 'GET', path: '/v1/custom-fields', status: 502, times: 5 });
+
+  const response = await fetchWithRetry(`${ghl.base}/v1/custom-fields/`, { headers: auth });
+
+  assert.equal(response.status, 502);
+  // Three attempts by default
+  assert.equal(remainingFaults(), 2);
+  await ghl.clearFaults();
+});
+
+test('a POST that gets a 5xx is not retried', async () => {
+  await ghl.fault({ method: 'POST', path: '/v1/contacts', status: 503, times: 2 });
+
+  const response = await fetchWithRetry(`${ghl.base}/v1/contacts/`, {
+    method: 'POST',
+    headers: { ...auth, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: 'once@example.com' })
+  });
+
+  assert.equal(response.status, 503);
+  assert.equal(remainingFaults(), 1);
+  await ghl.clearFaults();
+});
+
+test('a POST that gets a 429 waits for Retry-After and is retried', async () => {
+  await ghl.fault({ method: 'POST', path: '/v1/contacts', status: 429, retryAfter: 0, times: 1 });
+
+  const response = await fetchWithRetry(`${ghl.base}/v1/contacts/`, {
+    method: 'POST',
+    headers: { ...auth, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: 'later@example.com' })
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(remainingFaults(), 0);
+});
+
+test('Retry-After is read as seconds or an HTTP date', () => {
+  assert.equal(parseRetryAfter('2'), 2000);
+  assert.equal(parseRetryAfter(null), null);
+  const inOneMinute = new Date(Date.now() + 60000).toUTCString();
+  assert.ok(parseRetryAfter(inOneMinute) > 55000);
+});
@@ -0,0 +1,104 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGhl, invoke, tygSubmission } from './helpers.js';
+
+const ghl = await startMockGhl({
+  TYG_MODERATION_WORDS: 'gloomy',
+  ADMIN_API_KEY: 'test-admin-key',
+  DAILY_HUG_TOKEN_SECRET: 'test-daily-hug-secret',
+  TYG_PUBLIC_URL: 'https://tyg.example.com',
+  TYG_DAILY_HUG_CONFIRM_TEMPLATE_ID: '6957be6d9f487e131420366d'
+});
+const { default: submitTygForm } = await import('../api/submit-tyg-form.js');
+const { default: reviewQueue } = await import('../api/review_queue.js');
+const outbox = await import('../api/lib/outbox.js');
+const { getSubscriptionStore } = await import('../api/lib/daily-hug.js');
+
+after(() => ghl.close());
+
+// Submit a gram moderation holds for review and return its outbox record
+async function submitFlagged(recipientEmail) {
+  const res = await invoke(submitTygForm, {
+    method: 'POST',
+    body: tygSubmission({ recipientEmail, message: 'Thanks for the gloomy day.' })
+  });
+  const record = await outbox.getSubmission(res.body.data.submissionId);
+  assert.equal(record.status, 'review');
+  return record;
+}
+
+function decide(id, action) {
+  return invoke(reviewQueue, {
+    method: 'POST',
+    origin: null,
+    headers: { authorization: 'Bearer test-admin-key' },
+    body: { id, action }
+  });
+}
+
+test('two approvals sent at once deliver the gram once', async () => {
+  const record = await submitFlagged('approved@example.com');
+
+  const responses = await Promise.all([decide(record.id, 'approve'), decide(record.id, 'approve')]);
+
+  assert.deepEqual(responses.map(res => res.statusCode).sort(), [200, 409]);
+  assert.equal((await outbox.getSubmission(record.id)).status, 'completed');
+  assert.equal(ghl.state().messages.length, 1);
+});
+
+test('an approval after a cancel is refused', async () => {
+  const record = await submitFlagged('cancelled@example.com');
+  assert.ok(await outbox.cancelSubmission(record));
+
+  const res = await decide(record.id, 'approve');
+  const direct = await outbox.approveSubmission(record);
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(direct, null);
+  assert.equal((await outbox.getSubmission(record.id)).status, 'cancelled');
+});
+
+test('approving a held gram does not send the sender another Daily Hug confirmation', async () => {
+  const res = await invoke(submitTygForm, {
+    method: 'POST',
+    body: tygSubmission({
+      recipientName: undefined,
+      recipientEmail: undefined,
+      subscribeDailyHug: true,
+      recipients: [
+        { name: 'Alex', email: 'team-clean@example.com' },
+        { name: 'Jo', email: 'team-held@example.com', message: 'Thanks for the gloomy day.' }
+      ]
+    })
+  });
+  const [sent, held] = res.body.data.recipients;
+  assert.equal(sent.status, 'completed');
+  assert.equal(held.status, 'review');
+
+  // Approved a few hours later, with the first confirmation link still valid
+  const store = getSubscriptionStore();
+  const subscription = await store.get('default:sam@example.com');
+  await store.put({ ...subscription, requestedAt: new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString() });
+
+  const approved = await decide(held.submissionId, 'approve');
+
+  assert.equal(approved.statusCode, 200);
+  assert.equal((await outbox.getSubmission(held.submissionId)).status, 'completed');
+  const confirmations = ghl.state().messages.filter(message => message.templateId === '6957be6d9f487e131420366d');
+  assert.equal(confirmations.length, 1);
+});
+
+test('a malformed decision or filter gets field errors', async () => {
+  const decision = await decide(undefined, 'publish');
+  const list = await invoke(reviewQueue, {
+    method: 'GET',
+    origin: null,
+    headers: { authorization: 'Bearer test-admin-key' },
+    query: { status: 'pending' }
+  });
+
+  assert.equal(decision.statusCode, 400);
+  assert.deepEqual(decision.body.fieldErrors.map(error => `${error.field}:${error.code}`), ['id:REQUIRED', 'action:INVALID_VALUE']);
+  assert.equal(list.statusCode, 400);
+  assert.deepEqual(list.body.fieldErrors.map(error => `${error.field}:${error.code}`), ['status:INVALID_VALUE']);
+});
@@ -0,0 +1,195 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGhl, invoke, tygSubmission } from './helpers.js';
+
+const ghl = await startMockGhl({ ADMIN_API_KEY: 'test-admin-key' });
+const outbox = await import('../api/lib/outbox.js');
+const { default: submitTygForm } = await import('../api/submit-tyg-form.js');
+const { default: scheduledGrams } = await import('../api/scheduled_grams.js');
+const { createMemoryRecordStore } = await import('../api/lib/record-store.js');
+const { parseDeliverAt } = await import('../api/lib/schedule.js');
+
+after(() => ghl.close());
+
+// Fixed "now" for parseDeliverAt
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+
+// A record that has synced everything but the deliver step, due now
+async function saveScheduled(id) {
+  const past = new Date(Date.now() - 1000).toISOString();
+  const record = {
+    id,
+    tenantId: 'default',
+    status: 'scheduled',
+    submission: tygSubmission({ recipientEmail: `${id}@example.com` }),
+    delivery: { mode: 'workflow', template: 'named', templateId: null, deliverAt: past, timezone: null },
+    completedSteps: outbox.SUBMISSION_STEPS.map(step => step.name).filter(name => name !== 'deliver'),
+    results: {},
+    attempts: 0,
+    lastError: null,
+    lockedUntil: null,
+    createdAt: past,
+    updatedAt: past,
+    completedAt: null
+  };
+  await outbox.getOutboxStore().put(record);
+  return record;
+}
+
+test('concurrent dispatcher runs send a scheduled gram once', async () => {
+  await saveScheduled('due');
+
+  const runs = await Promise.all([outbox.dispatchScheduled(), outbox.dispatchScheduled()]);
+
+  assert.equal(runs[0].dispatched + runs[1].dispatched, 1);
+  const record = await outbox.getSubmission('due');
+  assert.equal(record.status, 'completed');
+  assert.equal(record.results.delivery.status, 'deferred');
+});
+
+test('a gram being dispatched cannot be cancelled or rescheduled', async () => {
+  const record = await saveScheduled('sending');
+  await outbox.getOutboxStore().put({ ...record, lockedUntil: Date.now() + 60000 });
+
+  assert.equal(outbox.isDeliveryChangeable(await outbox.getSubmission('sending')), false);
+  assert.equal(await outbox.cancelSubmission(record), null);
+  assert.equal(await outbox.rescheduleSubmission(record, { deliverAt: new Date().toISOString(), timezone: null }), null);
+  assert.equal((await outbox.getSubmission('sending')).status, 'scheduled');
+});
+
+test('a gram another instance changes between the read and the claim is not sent', async () => {
+  const record = await saveScheduled('raced');
+  const store = outbox.getOutboxStore();
+  const { get } = store;
+  // Another instance cancels the gram just after this one read it
+  store.get = async id => {
+    const current = await get(id);
+    if (id === 'raced') {
+      store.get = get;
+      await store.put({ ...current, status: 'cancelled' });
+    }
+    return current;
+  };
+
+  try {
+    const result = await outbox.dispatchScheduled();
+
+    assert.ok(!result.results.some(entry => entry.id === record.id));
+    assert.equal((await outbox.getSubmission(record.id)).status, 'cancelled');
+  } finally {
+    store.get = get;
+  }
+});
+
+test('a cancelled gram is not dispatched', async () => {
+  const record = await saveScheduled('cancelled');
+
+  assert.ok(await outbox.cancelSubmission(record));
+  const result = await outbox.dispatchScheduled();
+
+  assert.ok(!result.results.some(entry => entry.id === 'cancelled'));
+  assert.equal((await outbox.getSubmission('cancelled')).status, 'cancelled');
+});
+
+test('deliverAt is read in the given time zone, with 09:00 for a date on its own', () => {
+  assert.deepEqual(parseDeliverAt('2026-03-14', 'America/New_York', NOW), {
+    deliverAt: '2026-03-14T13:00:00.000Z',
+    timezone: 'America/New_York'
+  });
+  assert.equal(parseDeliverAt('2026-03-14T09:00:00-05:00', null, NOW).deliverAt, '2026-03-14T14:00:00.000Z');
+});
+
+test('out-of-range dates and times are refused instead of rolling over', () => {
+  for (const value of ['2026-11-31T25:70', '2026-11-31', '2026-02-29', '2026-06-01T24:00', '2026-06-01T10:60', '2026-06-01T10:00:60', '2026-13-01', '2026-02-30T09:00:00Z']) {
+    assert.match(parseDeliverAt(value, 'UTC', NOW).error, /not a valid date/, value);
+  }
+  assert.match(parseDeliverAt('2027-02-30', 'America/New_York', NOW).error, /not a valid date/);
+  assert.match(parseDeliverAt('next tuesday', 'UTC', NOW).error, /must be an ISO date/);
+});
+
+test('a local time skipped by a DST change is refused, and a repeated one is the first', () => {
+  assert.match(parseDeliverAt('2026-03-08T02:30', 'America/New_York', NOW).error, /does not exist in America\/New_York/);
+  assert.equal(parseDeliverAt('2026-03-08T03:00', 'America/New_York', NOW).deliverAt, '2026-03-08T07:00:00.000Z');
+  // 01:30 happens twice on 1 Nov 2026; the first is still on EDT (UTC-4)
+  assert.equal(parseDeliverAt('2026-11-01T01:30', 'America/New_York', NOW).deliverAt, '2026-11-01T05:30:00.000Z');
+  // East of UTC too: BST (UTC+1), CEST (UTC+2) and AEDT (UTC+11) come first
+  assert.equal(parseDeliverAt('2026-10-25T01:30', 'Europe/London', NOW).deliverAt, '2026-10-25T00:30:00.000Z');
+  assert.equal(parseDeliverAt('2026-10-25T02:30', 'Europe/Berlin', NOW).deliverAt, '2026-10-25T00:30:00.000Z');
+  assert.equal(parseDeliverAt('2026-04-05T02:30', 'Australia/Sydney', NOW).deliverAt, '2026-04-04T15:30:00.000Z');
+  assert.match(parseDeliverAt('2026-03-29T01:30', 'Europe/London', NOW).error, /does not exist/);
+  assert.match(parseDeliverAt('2026-10-04T02:30', 'Australia/Sydney', NOW).error, /does not exist/);
+});
+
+test('deliverAt must be in the future and within TYG_SCHEDULE_MAX_DAYS', () => {
+  assert.match(parseDeliverAt('2025-12-31T23:59', 'UTC', NOW).error, /in the future/);
+  assert.match(parseDeliverAt('2026-01-01T00:00:00Z', 'UTC', NOW).error, /in the future/);
+  assert.match(parseDeliverAt('2027-01-03', 'UTC', NOW).error, /at most 366 days/);
+  assert.match(parseDeliverAt('2026-03-14', 'Mars/Olympus', NOW).error, /IANA time zone/);
+});
+
+test('deliverAt is refused while the outbox is per instance', async () => {
+  const deliverAt = new Date(Date.now() + 86400000).toISOString();
+  const body = tygSubmission({ recipientEmail: 'later@example.com', deliverAt });
+
+  const refused = await invoke(submitTygForm, { method: 'POST', body });
+
+  assert.equal(refused.statusCode, 400);
+  assert.equal(refused.body.fieldErrors[0].code, 'SCHEDULING_UNAVAILABLE');
+
+  // A shared store (here one that only claims to be) lets the gram wait
+  const store = outbox.getOutboxStore();
+  outbox.setOutboxStore({ ...createMemoryRecordStore(), durable: true });
+  try {
+    const accepted = await invoke(submitTygForm, { method: 'POST', body });
+
+    assert.equal(accepted.statusCode, 200);
+    assert.equal((await outbox.getSubmission(accepted.body.data.submissionId)).status, 'scheduled');
+  } finally {
+    outbox.setOutboxStore(store);
+  }
+});
+
+test('a scheduled gram is sent with its own message even if the recipient got another gram since', async () => {
+  const store = outbox.getOutboxStore();
+  outbox.setOutboxStore({ ...createMemoryRecordStore(), durable: true });
+  try {
+    const recipientEmail = 'birthday@example.com';
+    const deliverAt = new Date(Date.now() + 86400000).toISOString();
+    const scheduled = await invoke(submitTygForm, {
+      method: 'POST',
+      body: tygSubmission({ recipientEmail, message: 'Happy birthday!', deliverAt })
+    });
+    await invoke(submitTygForm, { method: 'POST', body: tygSubmission({ recipientEmail, message: 'Thanks for today.' }) });
+
+    const record = await outbox.getSubmission(scheduled.body.data.submissionId);
+    assert.ok(!record.completedSteps.includes('recipient_contact'));
+    const due = new Date(Date.now() - 1000).toISOString();
+    await outbox.getOutboxStore().put({ ...record, delivery: { ...record.delivery, deliverAt: due } });
+    const before = ghl.state().messages.length;
+    await outbox.dispatchScheduled();
+
+    const [sent] = ghl.state().messages.slice(before);
+    const field = ghl.state().customFields.find(candidate => candidate.fieldKey === 'contact.tyg_message');
+    assert.equal(sent.contactFields.find(entry => entry.id === field.id).value, 'Happy birthday!');
+  } finally {
+    outbox.setOutboxStore(store);
+  }
+});
+
+test('rescheduling needs an id and a valid deliverAt', async () => {
+  const reschedule = body => invoke(scheduledGrams, {
+    method: 'PATCH',
+    origin: null,
+    headers: { authorization: 'Bearer test-admin-key' },
+    body
+  });
+  await saveScheduled('reschedule-me');
+
+  const missing = await reschedule({ timezone: 'UTC' });
+  const invalid = await reschedule({ id: 'reschedule-me', deliverAt: 'next tuesday' });
+
+  assert.equal(missing.statusCode, 400);
+  assert.deepEqual(missing.body.fieldErrors.map(error => `${error.field}:${error.code}`), ['id:REQUIRED', 'deliverAt:REQUIRED']);
+  assert.equal(invalid.statusCode, 400);
+  assert.deepEqual(invalid.body.fieldErrors.map(error => `${error.field}:${error.code}`), ['deliverAt:INVALID_DATE']);
+});
@@ -0,0 +1,82 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGhl, invoke } from './helpers.js';
+
+// A public per-IP limit of 2, well under what one key may send
+const ghl = await startMockGhl({
+  TYG_RATE_LIMIT_IP_MAX: '2',
+  TYG_RATE_LIMIT_KEY_MAX: '4',
+  TYG_CAPTCHA_PROVIDER: 'stub',
+  TYG_CAPTCHA_ENDPOINTS: 'submit-tyg-form,send_anonymous_tyg',
+  TYG_TENANTS: JSON.stringify([{ id: 'dailyhug', locationId: 'dailyhug-location' }]),
+  TYG_API_KEYS: JSON.stringify([
+    { id: 'webhook', key: 'webhook-key', scopes: ['send'] },
+    { id: 'other', key: 'other-key', scopes: ['send'] },
+    { id: 'dailyhug', key: 'dailyhug-key', scopes: ['send'], tenants: ['dailyhug'] }
+  ])
+});
+const { default: sendAnonymousTyg } = await import('../api/send_anonymous_tyg.js');
+const { resetTenantRegistry } = await import('../api/lib/tenants.js');
+
+after(() => ghl.close());
+
+function send(key, targetEmail, query = {}) {
+  return invoke(sendAnonymousTyg, {
+    method: 'POST',
+    query,
+    headers: { 'x-api-key': key },
+    body: { target_email: targetEmail },
+    origin: null
+  });
+}
+
+async function createContact(email) {
+  await fetch(`${ghl.base}/v1/contacts/`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${process.env.GHL_API_KEY}` },
+    body: JSON.stringify({ email })
+  });
+}
+
+test('one key sends past the public per-IP limit without a CAPTCHA, up to its own limit', async () => {
+  const responses = [];
+  for (let i = 1; i <= 5; i++) {
+    const email = `anonymous-${i}@example.com`;
+    await createContact(email);
+    responses.push(await send('webhook-key', email));
+  }
+
+  assert.deepEqual(responses.map(res => res.statusCode), [200, 200, 200, 200, 429]);
+  assert.equal(responses[4].body.code, 'RATE_LIMITED');
+  assert.ok(Number(responses[4].headers['retry-after']) > 0);
+  assert.equal(ghl.state().messages.length, 4);
+
+  // Another key has a limit of its own
+  assert.equal((await send('other-key', 'anonymous-1@example.com')).statusCode, 200);
+});
+
+test('a key for one tenant is refused for another, and an unknown tenant is a 400', async () => {
+  const mismatched = await send('dailyhug-key', 'anonymous-1@example.com', { location: 'default' });
+  const unknown = await send('dailyhug-key', 'anonymous-1@example.com', { location: 'nowhere' });
+
+  assert.equal(mismatched.statusCode, 403);
+  assert.equal(mismatched.body.code, 'INSUFFICIENT_SCOPE');
+  assert.equal(unknown.statusCode, 400);
+  assert.equal(unknown.body.code, 'UNKNOWN_TENANT');
+});
+
+test('a tenant configuration that cannot be read is a JSON error, not a crash', async () => {
+  const tenants = process.env.TYG_TENANTS;
+  process.env.TYG_TENANTS = '[{ "id": ';
+  resetTenantRegistry();
+
+  try {
+    const res = await send('webhook-key', 'anonymous-1@example.com');
+
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.body.success, false);
+  } finally {
+    process.env.TYG_TENANTS = tenants;
+    resetTenantRegistry();
+  }
+});
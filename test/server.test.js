@@ -0,0 +1,104 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGhl } from './helpers.js';
+
+const ghl = await startMockGhl({ ADMIN_API_KEY: 'test-admin-key', TYG_MODERATION_WORDS: 'gloomy' });
+const { createServer } = await import('../server.js');
+const outbox = await import('../api/lib/outbox.js');
+
+let server;
+let base;
+let routes;
+
+before(async () => {
+  const created = await createServer();
+  routes = created.routes;
+  server = await new Promise(resolve => {
+    const listener = created.app.listen(0, () => resolve(listener));
+  });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await ghl.close();
+});
+
+function post(route, body, contentType = 'application/json') {
+  return fetch(`${base}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': contentType, Origin: 'http://localhost:3000' },
+    body
+  });
+}
+
+test('every api/*.js handler is mounted, and nothing from api/lib', () => {
+  for (const route of ['/api/submit-tyg-form', '/api/send_anonymous_tyg', '/api/TYG_delete_recipient', '/api/list_templates', '/api/health']) {
+    assert.ok(routes.includes(route), route);
+  }
+  assert.ok(!routes.some(route => route.startsWith('/api/lib')));
+});
+
+test('a JSON submission runs the real handler against GHL', async () => {
+  const sent = ghl.state().messages.length;
+
+  const res = await post('/api/submit-tyg-form', JSON.stringify({
+    recipientName: 'Alex',
+    recipientEmail: 'json@example.com',
+    message: 'Because of you, the launch went smoothly.',
+    senderEmail: 'sam@example.com',
+    senderName: 'Sam'
+  }));
+
+  assert.equal(res.status, 200);
+  const { data } = await res.json();
+  assert.equal((await outbox.getSubmission(data.submissionId)).status, 'completed');
+  assert.equal(ghl.state().messages.length, sent + 1);
+});
+
+test('a URL-encoded submission is parsed into req.body', async () => {
+  const res = await post('/api/submit-tyg-form', new URLSearchParams({
+    recipientName: 'Alex',
+    recipientEmail: 'form@example.com',
+    message: 'Thanks for the help.',
+    senderEmail: 'sam@example.com',
+    senderName: 'Sam'
+  }).toString(), 'application/x-www-form-urlencoded');
+
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).data.recipientEmail, 'form@example.com');
+});
+
+test('malformed JSON is refused before the handler runs', async () => {
+  const res = await post('/api/submit-tyg-form', '{"recipientEmail":');
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), { success: false, message: 'Invalid JSON' });
+});
+
+test('the query string reaches the handler as req.query', async () => {
+  const headers = { Authorization: 'Bearer test-admin-key' };
+  await post('/api/submit-tyg-form', JSON.stringify({
+    recipientName: 'Alex',
+    recipientEmail: 'held@example.com',
+    message: 'Thanks for the gloomy day.',
+    senderEmail: 'sam@example.com',
+    senderName: 'Sam'
+  }));
+
+  const held = await fetch(`${base}/api/review_queue`, { headers });
+  const rejected = await fetch(`${base}/api/review_queue?status=rejected`, { headers });
+  const unknown = await fetch(`${base}/api/no_such_endpoint`, { headers });
+
+  assert.equal((await held.json()).data.count, 1);
+  assert.equal((await rejected.json()).data.count, 0);
+  assert.equal(unknown.status, 404);
+});
+
+test('/health still answers for existing uptime checks', async () => {
+  const [legacy, current] = await Promise.all([fetch(`${base}/health`), fetch(`${base}/api/health`)]);
+
+  assert.equal(legacy.status, current.status);
+  assert.equal((await legacy.json()).status, (await current.json()).status);
+});
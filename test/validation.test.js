@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isValidEmail,
+  validate,
+  SINGLE_RECIPIENT_SCHEMA,
+  MULTI_RECIPIENT_SCHEMA,
+  SENDER_SCHEMA,
+  BATCH_LIMIT_SCHEMA
+} from '../api/lib/validation.js';
+
+function codes(result) {
+  return result.errors.map(error => `${error.field}:${error.code}`);
+}
+
+test('strings are trimmed, emails lowercased and defaults filled in', () => {
+  const result = validate(SENDER_SCHEMA, { senderEmail: '  Sam@Example.COM ', senderName: ' Sam ' });
+
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.value.senderEmail, 'sam@example.com');
+  assert.equal(result.value.senderName, 'Sam');
+  assert.equal(result.value.sendAnonymously, false);
+});
+
+test('missing, mistyped and oversized fields get field-level errors', () => {
+  const result = validate(SINGLE_RECIPIENT_SCHEMA, {
+    recipientName: { first: 'Alex' },
+    recipientEmail: '   ',
+    message: 'x'.repeat(1001)
+  });
+
+  assert.deepEqual(codes(result), ['recipientName:INVALID_TYPE', 'recipientEmail:REQUIRED', 'message:TOO_LONG']);
+  assert.equal(result.errors[1].message, 'recipientEmail is required');
+  assert.deepEqual(result.value, {});
+});
+
+test('email addresses are checked beyond an @ and a dot', () => {
+  for (const email of ['alex@example.com', 'alex+tag@sub.example.co.uk', "o'brien@example.ie", 'a@xn--bcher-kva.example']) {
+    assert.equal(isValidEmail(email), true, email);
+  }
+  for (const email of ['alex', 'alex@example', '@example.com', 'alex@@example.com', 'alex..b@example.com', 'alex@-example.com', 'alex@example.c0m', `${'a'.repeat(65)}@example.com`]) {
+    assert.equal(isValidEmail(email), false, email);
+  }
+});
+
+test('checkbox values are read as booleans', () => {
+  for (const [raw, expected] of [[true, true], ['on', true], ['1', true], [1, true], ['TRUE', true], ['off', false], ['0', false], [0, false], ['false', false]]) {
+    assert.equal(validate(SENDER_SCHEMA, { senderEmail: 'sam@example.com', subscribeDailyHug: raw }).value.subscribeDailyHug, expected, String(raw));
+  }
+  assert.deepEqual(codes(validate(SENDER_SCHEMA, { senderEmail: 'sam@example.com', subscribeDailyHug: 'yes' })), ['subscribeDailyHug:INVALID_TYPE']);
+});
+
+test('recipients lists are parsed, bounded and checked per entry', () => {
+  const parsed = validate(MULTI_RECIPIENT_SCHEMA, {
+    recipients: JSON.stringify([{ name: 'Alex', email: 'alex@example.com' }])
+  });
+  assert.deepEqual(parsed.errors, []);
+  assert.deepEqual(parsed.value.recipients, [{ name: 'Alex', email: 'alex@example.com', message: '' }]);
+
+  const invalid = validate(MULTI_RECIPIENT_SCHEMA, {
+    recipients: [
+      { name: 'Alex', email: 'alex@example.com' },
+      { name: 'Alex again', email: 'ALEX@example.com' },
+      { email: 'not-an-email' }
+    ]
+  });
+  assert.deepEqual(codes(invalid), ['recipients[1].email:DUPLICATE', 'recipients[2].name:REQUIRED', 'recipients[2].email:INVALID_EMAIL']);
+
+  const tooMany = Array.from({ length: 26 }, (_, index) => ({ name: `R${index}`, email: `r${index}@example.com` }));
+  assert.deepEqual(codes(validate(MULTI_RECIPIENT_SCHEMA, { recipients: tooMany })), ['recipients:TOO_MANY']);
+  assert.deepEqual(codes(validate(MULTI_RECIPIENT_SCHEMA, { recipients: '[oops' })), ['recipients:INVALID_TYPE']);
+});
+
+test('integers are range-checked', () => {
+  assert.equal(validate(BATCH_LIMIT_SCHEMA, {}).value.limit, 25);
+  assert.equal(validate(BATCH_LIMIT_SCHEMA, { limit: '50' }).value.limit, 50);
+  assert.deepEqual(codes(validate(BATCH_LIMIT_SCHEMA, { limit: '501' })), ['limit:OUT_OF_RANGE']);
+  assert.deepEqual(codes(validate(BATCH_LIMIT_SCHEMA, { limit: '2.5' })), ['limit:INVALID_TYPE']);
+});
+
+test('a string limited to a few values refuses any other', () => {
+  const schema = { action: { type: 'string', oneOf: ['approve', 'reject'] } };
+
+  assert.equal(validate(schema, { action: ' approve ' }).value.action, 'approve');
+  assert.deepEqual(codes(validate(schema, { action: 'publish' })), ['action:INVALID_VALUE']);
+});